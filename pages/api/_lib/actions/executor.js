@@ -1,6 +1,12 @@
-import { updateSession, createNotification, notificationExists } from '../db/supabase.js';
-import { pushReservation, pushComplaint, pushNeedsHuman } from '../notifications/push.js';
+import { getSession, updateSession, createNotification, notificationExists, getSessionNotification, updateNotification } from '../db/supabase.js';
+import { sendPush, pushReservation, pushComplaint, pushNeedsHuman } from '../notifications/push.js';
 import { sendStaffEmail, sendGuestEmail } from '../notifications/email.js';
+import { formatString } from '../i18n/strings.js';
+import { getStaffStrings, localize } from '../i18n/locale.js';
+import { recordSessionEvent } from '../handoff/takeover.js';
+import { routeHandoff, sessionAudience } from '../handoff/routing.js';
+import { startSlaClock } from '../handoff/sla.js';
+import restaurant from '../verticals/restaurant.js';
 
 // ============================================
 // EXECUTE ACTION BASED ON TYPE
@@ -55,10 +61,16 @@ export async function executeActionsForTrigger(trigger, actions, context) {
 async function handleCreateNotification(action, context) {
   const { sessionId, customer, analysis } = context;
   const config = action.action_config || {};
+  const wording = notificationWording(context);
 
-  // Check if notification already exists
-  const exists = await notificationExists(sessionId, config.type);
-  if (exists) {
+  // A detected reservation can be corrected later in the chat
+  if (config.type === 'reservation') {
+    const existing = await getSessionNotification(sessionId, 'reservation');
+    if (existing) {
+      await updateDetectedReservation(existing, action, context);
+      return;
+    }
+  } else if (await notificationExists(sessionId, config.type)) {
     console.log(`Notification type ${config.type} already exists for session`);
     return;
   }
@@ -66,12 +78,11 @@ async function handleCreateNotification(action, context) {
   // Build summary based on type
   let summary = '';
   if (config.type === 'reservation') {
-    summary = `Reservation ${analysis.reservation_date} kl ${analysis.reservation_time}, ${analysis.party_size} pers`;
-    if (analysis.special_requests) summary += `, ${analysis.special_requests}`;
+    summary = buildReservationSummary(analysis, wording);
   } else if (config.type === 'complaint') {
-    summary = analysis.needs_human_reason || 'Gäst har uttryckt missnöje';
+    summary = analysis.needs_human_reason || wording.complaint.summary;
   } else {
-    summary = analysis.needs_human_reason || 'Gäst har frågor som behöver svar';
+    summary = analysis.needs_human_reason || wording.needs_human.summary;
   }
 
   const notification = await createNotification({
@@ -84,26 +95,99 @@ async function handleCreateNotification(action, context) {
     guest_name: analysis.guest_name,
     guest_email: analysis.guest_email,
     guest_phone: analysis.guest_phone,
-    reservation_details: config.type === 'reservation' ? {
-      date: analysis.reservation_date,
-      time: analysis.reservation_time,
-      party_size: analysis.party_size,
-      special_requests: analysis.special_requests
-    } : null
+    reservation_details: config.type === 'reservation' ? buildReservationDetails(analysis) : null
   });
 
   if (notification) {
     // Mark session as needs_human
     await updateSession(sessionId, { needs_human: true });
+    await startSlaClock(customer, sessionId);
+    await recordSessionEvent(sessionId, customer.id, 'handoff_requested', {
+      details: { source: 'notification', type: config.type, notification_id: notification.id }
+    });
     console.log(`✅ Notification created: ${notification.id} (${config.type})`);
 
-    // Send push notification
-    await sendPushForTrigger(action.trigger_value, customer.id, sessionId, analysis);
+    // Route to a team or user, then push to them
+    const { audience } = await routeHandoff({
+      customer,
+      sessionId,
+      source: 'notification',
+      type: config.type,
+      reason: summary,
+      analysis,
+      isTestMode: context.isTestMode
+    });
+    await sendPushForTrigger(action, customer.id, sessionId, analysis, wording, audience);
   }
 }
 
+// Updates the session's reservation notification when the guest changed
+// date, time, party size or requests. Bookings made through the reservation
+// tools are the source of truth and are left alone.
+async function updateDetectedReservation(existing, action, context) {
+  const { sessionId, customer, analysis } = context;
+  const previous = existing.reservation_details || {};
+
+  if (previous.reservation_id) {
+    console.log('Reservation notification is linked to a booking, not overwriting from analysis');
+    return;
+  }
+
+  const details = buildReservationDetails(analysis);
+  const changed = ['date', 'time', 'party_size', 'special_requests']
+    .some(key => (details[key] ?? null) !== (previous[key] ?? null));
+
+  if (!changed) {
+    console.log('Reservation notification already up to date');
+    return;
+  }
+
+  await updateNotification(existing.id, {
+    summary: localize(getStaffStrings(customer, { aiConfig: context.aiConfig, vertical: context.vertical }), 'staff_reservation_updated', {
+      summary: buildReservationSummary(analysis, notificationWording(context))
+    }),
+    status: 'unread',
+    guest_name: analysis.guest_name || existing.guest_name,
+    guest_email: analysis.guest_email || existing.guest_email,
+    guest_phone: analysis.guest_phone || existing.guest_phone,
+    reservation_details: {
+      ...details,
+      previous: { date: previous.date, time: previous.time, party_size: previous.party_size }
+    }
+  });
+  console.log(`✅ Reservation notification updated: ${existing.id}`);
+
+  // The session was routed when the notification was created - push to that route
+  const audience = await sessionAudience(customer.id, await getSession(sessionId));
+  await sendPushForTrigger(action, customer.id, sessionId, analysis, notificationWording(context), audience);
+}
+
+// Notification texts from the tenant's vertical profile
+function notificationWording(context) {
+  return context.vertical?.notifications || restaurant.notifications;
+}
+
+function buildReservationSummary(analysis, wording) {
+  let summary = formatString(wording.reservation.summary, {
+    date: analysis.reservation_date,
+    time: analysis.reservation_time,
+    party_size: analysis.party_size
+  });
+  if (analysis.special_requests) summary += `, ${analysis.special_requests}`;
+  return summary;
+}
+
+function buildReservationDetails(analysis) {
+  return {
+    date: analysis.reservation_date,
+    time: analysis.reservation_time,
+    party_size: analysis.party_size,
+    special_requests: analysis.special_requests
+  };
+}
+
 async function handleEmailStaff(action, context) {
-  const { sessionId, customer, aiConfig, analysisConfig, analysis, isTestMode } = context;
+  const { sessionId, customer, aiConfig, analysisConfig, analysis, analysisSchema, isTestMode } = context;
   const config = action.action_config || {};
 
   await sendStaffEmail({
@@ -111,6 +195,7 @@ async function handleEmailStaff(action, context) {
     aiConfig,
     analysisConfig,
     analysis,
+    schema: analysisSchema,
     sessionId,
     templateName: config.template,
     isTestMode
@@ -118,7 +203,7 @@ async function handleEmailStaff(action, context) {
 }
 
 async function handleEmailGuest(action, context) {
-  const { customer, aiConfig, analysisConfig, analysis, isTestMode } = context;
+  const { customer, aiConfig, analysisConfig, analysis, analysisSchema, isTestMode } = context;
   const config = action.action_config || {};
 
   await sendGuestEmail({
@@ -126,6 +211,7 @@ async function handleEmailGuest(action, context) {
     aiConfig,
     analysisConfig,
     analysis,
+    schema: analysisSchema,
     templateName: config.template,
     isTestMode
   });
@@ -135,26 +221,56 @@ async function handleHandoff(action, context) {
   const { sessionId, customer, analysis } = context;
 
   await updateSession(sessionId, { needs_human: true });
+  await startSlaClock(customer, sessionId);
+  await recordSessionEvent(sessionId, customer.id, 'handoff_requested', {
+    details: { source: 'trigger', trigger: action.trigger_value }
+  });
   console.log('✅ Session marked for handoff');
 
-  // Send push notification
-  await sendPushForTrigger(action.trigger_value, customer.id, sessionId, analysis);
+  // Route to a team or user, then push to them
+  const { audience } = await routeHandoff({
+    customer,
+    sessionId,
+    source: 'trigger',
+    type: action.trigger_value,
+    reason: analysis?.needs_human_reason,
+    analysis,
+    isTestMode: context.isTestMode
+  });
+  await sendPushForTrigger(action, customer.id, sessionId, analysis, notificationWording(context), audience);
 }
 
 // ============================================
 // SEND PUSH BASED ON TRIGGER TYPE
+// Tenant-defined triggers push only when the action has
+// action_config.push: { "title": "...", "body": "{guest_name} vill ..." }
+// ({field} placeholders are analysis values)
+// audience comes from routing (null = the route wants no push)
 // ============================================
-async function sendPushForTrigger(triggerValue, customerId, sessionId, analysis) {
-  switch (triggerValue) {
+async function sendPushForTrigger(action, customerId, sessionId, analysis, wording, audience = {}) {
+  const pushConfig = action.action_config?.push;
+
+  if (!audience) return;
+
+  switch (action.trigger_value) {
     case 'reservation_complete':
-      await pushReservation(customerId, sessionId, analysis);
+      await pushReservation(customerId, sessionId, analysis, wording, audience);
       break;
     case 'is_complaint':
-      await pushComplaint(customerId, sessionId, analysis.guest_name);
+      await pushComplaint(customerId, sessionId, analysis.guest_name, wording, audience);
       break;
     case 'needs_human_response':
-      await pushNeedsHuman(customerId, sessionId, analysis.guest_name);
+      await pushNeedsHuman(customerId, sessionId, analysis.guest_name, wording, audience);
       break;
+    default:
+      if (pushConfig?.title) {
+        await sendPush(customerId, {
+          title: formatString(pushConfig.title, analysis),
+          body: formatString(pushConfig.body || '', { ...analysis, guest_name: analysis.guest_name || wording.guest }),
+          data: { sessionId, type: action.trigger_value, guestName: analysis.guest_name },
+          ...audience
+        });
+      }
   }
 }
 
@@ -166,7 +282,7 @@ export function checkKeywordTriggers(prompt, actions) {
   const triggered = [];
 
   for (const action of actions) {
-    if (action.trigger_type === 'analysis') continue;
+    if (action.trigger_type === 'analysis' || action.trigger_type === 'tool') continue;
 
     let isTriggered = false;
 
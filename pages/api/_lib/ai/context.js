@@ -0,0 +1,158 @@
+import { callLLM } from './llm.js';
+import { updateSessionMetadata } from '../db/supabase.js';
+
+// ============================================
+// TOKEN-BUDGETED CONVERSATION CONTEXT
+// Recent turns are sent verbatim; older turns are folded into a rolling
+// summary stored in chat_sessions.metadata.conversation_summary:
+//   { text, facts: [], staff_messages: [{ content, timestamp }], covered_until }
+// Tenant settings (customers.settings.context):
+//   { max_history_tokens: 3000, keep_recent_messages: 8 }
+// ============================================
+const DEFAULTS = {
+  max_history_tokens: 3000,
+  keep_recent_messages: 8
+};
+
+const MAX_STAFF_MESSAGES = 10;
+const MAX_FACTS = 30;
+
+// Rough but provider-independent: ~4 characters per token
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+export function getContextSettings(customer) {
+  const settings = { ...DEFAULTS, ...(customer.settings?.context || {}) };
+
+  // The newest guest/assistant pair must always stay verbatim
+  settings.keep_recent_messages = Math.max(2, settings.keep_recent_messages);
+  return settings;
+}
+
+/**
+ * Newest messages that fit in the token budget (never fewer than keep_recent_messages).
+ * @returns {Array} Messages in chronological order
+ */
+export function selectRecentHistory(history, settings) {
+  const selected = [];
+  let tokens = 0;
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const messageTokens = estimateTokens(history[i].content);
+    if (selected.length >= settings.keep_recent_messages && tokens + messageTokens > settings.max_history_tokens) {
+      break;
+    }
+    selected.unshift(history[i]);
+    tokens += messageTokens;
+  }
+
+  if (selected.length < history.length) {
+    console.log(`✂️ Context: ${selected.length}/${history.length} unsummarized messages fit the budget`);
+  }
+
+  return selected;
+}
+
+// Summarize once the unsummarized part no longer fits the budget
+export function needsSummaryRefresh(history, settings) {
+  if (history.length <= settings.keep_recent_messages) {
+    return false;
+  }
+
+  const tokens = history.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+  return tokens > settings.max_history_tokens;
+}
+
+// ============================================
+// REFRESH THE ROLLING SUMMARY
+// Folds everything but the newest keep_recent_messages into the summary.
+// Staff messages are kept verbatim, guest facts as a separate list, so
+// neither depends on the model getting the prose right.
+// ============================================
+export async function refreshConversationSummary({ sessionId, summary, history, settings, modelConfig, usageContext }) {
+  const toSummarize = history
+    .slice(0, history.length - settings.keep_recent_messages)
+    .filter(msg => msg.timestamp);
+
+  if (!toSummarize.length) {
+    return summary;
+  }
+
+  const previous = summary || { text: '', facts: [], staff_messages: [] };
+
+  const transcript = toSummarize
+    .map(msg => `${msg.sender_type === 'human' ? 'STAFF' : msg.role === 'user' ? 'GUEST' : 'ASSISTANT'}: ${msg.content}`)
+    .join('\n');
+
+  const summaryPrompt = `You maintain a rolling summary of a long chat between a guest and an AI assistant.
+
+PREVIOUS SUMMARY:
+${previous.text || '(none)'}
+
+KNOWN FACTS ABOUT THE GUEST:
+${previous.facts?.length ? previous.facts.map(f => `- ${f}`).join('\n') : '(none)'}
+
+NEW MESSAGES TO FOLD IN:
+${transcript}
+
+Update the summary so it covers both the previous summary and the new messages.
+- Keep it under 200 words, in the same language as the conversation.
+- Keep what was agreed, promised or still open, and anything staff said.
+- Keep EVERY fact the guest gave about themselves (name, contact details, allergies, family, dates, party size, preferences). Update facts that changed; never drop one.
+
+Respond ONLY with valid JSON (no markdown, no backticks):
+{"summary": "updated summary", "facts": ["fact", "..."]}`;
+
+  try {
+    const { text } = await callLLM(
+      [{ role: 'user', parts: [{ text: summaryPrompt }] }],
+      { temperature: 0.1, maxOutputTokens: 600 },
+      modelConfig,
+      usageContext
+    );
+
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      console.log('⚠️ No JSON in summary response');
+      return summary;
+    }
+
+    const parsed = JSON.parse(jsonMatch[0]);
+
+    const staffMessages = [
+      ...(previous.staff_messages || []),
+      ...toSummarize
+        .filter(msg => msg.sender_type === 'human')
+        .map(msg => ({ content: msg.content, timestamp: msg.timestamp }))
+    ].slice(-MAX_STAFF_MESSAGES);
+
+    // Facts the model forgot to repeat are carried over
+    const facts = mergeFacts(previous.facts || [], Array.isArray(parsed.facts) ? parsed.facts : []);
+
+    const updated = {
+      text: typeof parsed.summary === 'string' ? parsed.summary : previous.text,
+      facts,
+      staff_messages: staffMessages,
+      covered_until: toSummarize[toSummarize.length - 1].timestamp,
+      updated_at: new Date().toISOString()
+    };
+
+    await updateSessionMetadata(sessionId, { conversation_summary: updated });
+    console.log(`🧾 Conversation summary refreshed (${toSummarize.length} messages folded in)`);
+
+    return updated;
+
+  } catch (err) {
+    console.error('❌ Summary refresh error:', err.message);
+    return summary;
+  }
+}
+
+function mergeFacts(previousFacts, newFacts) {
+  const normalized = new Set(newFacts.map(f => String(f).toLowerCase().trim()));
+  const carried = previousFacts.filter(f => !normalized.has(String(f).toLowerCase().trim()));
+
+  // The model's list comes last so updated facts win when trimming
+  return [...carried, ...newFacts.map(String)].slice(-MAX_FACTS);
+}
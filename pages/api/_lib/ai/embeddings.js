@@ -0,0 +1,225 @@
+import { createHash } from 'crypto';
+import { readKeyEnv } from './llm.js';
+import { estimateCost } from './pricing.js';
+import { recordLlmUsage } from '../db/supabase.js';
+
+// ============================================
+// EMBEDDING PROVIDERS
+// Configured per tenant in customers.settings.embeddings:
+//   { provider: 'gemini' | 'openai' | 'local', model, base_url, api_key_env }
+// api_key_env follows the same LLM_KEY_ rule as the chat providers (llm.js).
+// 'local' runs in-process (hashed bag-of-words) - no network, no cost.
+// With a usageContext, every provider request is written to llm_usage
+// (purpose 'embedding') like an LLM call, so it counts toward quotas.
+// ============================================
+const DEFAULT_EMBEDDING_CONFIG = { provider: 'gemini', model: 'text-embedding-004' };
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const OPENAI_DEFAULT_MODEL = 'text-embedding-3-small';
+
+const BATCH_SIZE = 100;
+const LOCAL_DIMENSIONS = 512;
+
+export function resolveEmbeddingConfig(customer) {
+  const override = customer?.settings?.embeddings;
+  if (!override?.provider) {
+    return DEFAULT_EMBEDDING_CONFIG;
+  }
+  return { ...override };
+}
+
+// Identifies the vector space - chunks embedded with another model must be re-indexed
+export function embeddingModelId(config) {
+  if (config.provider === 'local') return `local:${LOCAL_DIMENSIONS}`;
+  return `${config.provider}:${config.model || 'default'}`;
+}
+
+/**
+ * Embed a list of texts.
+ * @param {string[]} texts
+ * @param {object} config - From resolveEmbeddingConfig
+ * @param {object} [usageContext] - { customerId, sessionId, isTestMode } for usage accounting
+ * @returns {Promise<number[][]>} One vector per text, same order
+ */
+export async function embedTexts(texts, config = DEFAULT_EMBEDDING_CONFIG, usageContext = null) {
+  const vectors = [];
+
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+    const batch = texts.slice(i, i + BATCH_SIZE);
+
+    if (config.provider === 'local') {
+      vectors.push(...batch.map(embedLocally));
+      continue;
+    }
+
+    const startedAt = Date.now();
+    let result;
+
+    switch (config.provider) {
+      case 'gemini':
+        result = await embedWithGemini(batch, config);
+        break;
+      case 'openai':
+        result = await embedWithOpenAI(batch, config);
+        break;
+      default:
+        throw new Error(`Unknown embedding provider: ${config.provider}`);
+    }
+
+    vectors.push(...result.vectors);
+    await accountEmbeddingUsage(batch, result, config, startedAt, usageContext);
+  }
+
+  return vectors;
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (!normA || !normB) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// ============================================
+// GEMINI
+// ============================================
+async function embedWithGemini(texts, config) {
+  const API_KEY = (config.api_key_env && readKeyEnv(config.api_key_env)) || process.env.GEMINI_API_KEY;
+  if (!API_KEY) {
+    throw new Error('GEMINI_API_KEY not set');
+  }
+
+  const model = config.model || DEFAULT_EMBEDDING_CONFIG.model;
+
+  const response = await fetch(`${GEMINI_BASE_URL}/${model}:batchEmbedContents?key=${API_KEY}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      requests: texts.map(text => ({
+        model: `models/${model}`,
+        content: { parts: [{ text }] }
+      }))
+    })
+  });
+
+  if (response.status === 429) {
+    throw new Error('RATE_LIMITED');
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('Gemini embedding error:', response.status, errorText);
+    throw new Error('Embedding service error');
+  }
+
+  const data = await response.json();
+  return {
+    vectors: (data.embeddings || []).map(e => e.values),
+    model,
+    // The batch endpoint reports no token counts
+    promptTokens: null
+  };
+}
+
+// ============================================
+// OPENAI-COMPATIBLE
+// ============================================
+async function embedWithOpenAI(texts, config) {
+  const baseUrl = config.base_url || process.env.OPENAI_BASE_URL || OPENAI_DEFAULT_BASE_URL;
+  // A tenant endpoint only gets the key the tenant named, never our OPENAI_API_KEY
+  const apiKey = config.api_key_env
+    ? readKeyEnv(config.api_key_env)
+    : config.base_url ? null : process.env.OPENAI_API_KEY;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const model = config.model || OPENAI_DEFAULT_MODEL;
+
+  const response = await fetch(`${baseUrl.replace(/\/$/, '')}/embeddings`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model, input: texts })
+  });
+
+  if (response.status === 429) {
+    throw new Error('RATE_LIMITED');
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('OpenAI-compatible embedding error:', response.status, errorText);
+    throw new Error('Embedding service error');
+  }
+
+  const data = await response.json();
+  return {
+    vectors: (data.data || [])
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding),
+    model,
+    promptTokens: data.usage?.prompt_tokens ?? null
+  };
+}
+
+// ============================================
+// USAGE ACCOUNTING
+// ============================================
+async function accountEmbeddingUsage(texts, result, config, startedAt, usageContext) {
+  if (!usageContext?.customerId) return;
+
+  // Roughly 4 characters per token when the provider does not say
+  const promptTokens = result.promptTokens ?? Math.ceil(texts.reduce((sum, text) => sum + text.length, 0) / 4);
+  const usage = { promptTokens, completionTokens: 0 };
+
+  await recordLlmUsage({
+    customer_id: usageContext.customerId,
+    session_id: usageContext.sessionId || null,
+    purpose: 'embedding',
+    provider: config.provider,
+    model: result.model,
+    prompt_tokens: promptTokens,
+    completion_tokens: 0,
+    total_tokens: promptTokens,
+    latency_ms: Date.now() - startedAt,
+    cost_usd: estimateCost(result.model, usage),
+    is_test: !!usageContext.isTestMode
+  });
+}
+
+// ============================================
+// LOCAL (hashed bag of words + word prefixes)
+// Prefixes make "allergi"/"allergier"/"allergisk" overlap without a stemmer
+// ============================================
+function embedLocally(text) {
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  const addFeature = (feature, weight) => {
+    const hash = createHash('md5').update(feature).digest();
+    const index = hash.readUInt32LE(0) % LOCAL_DIMENSIONS;
+    const sign = hash[4] & 1 ? 1 : -1;
+    vector[index] += sign * weight;
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    addFeature(`w:${word}`, 1);
+    if (word.length > 5) addFeature(`p:${word.substring(0, 5)}`, 0.5);
+    if (i > 0) addFeature(`b:${words[i - 1]} ${word}`, 0.5);
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
@@ -0,0 +1,208 @@
+// ============================================
+// TRIGGER EXPRESSIONS
+// Small boolean language over extracted analysis fields - parsed, never eval'd:
+//   reservation_complete && guest_name && (guest_email || guest_phone)
+//   party_size >= 8 and not is_complaint
+//   table_preference == 'ute'
+// Operators: && || ! (or and/or/not), == != > >= < <=, parentheses.
+// Literals: numbers, 'strings', true, false, null. Unknown fields are null.
+// ============================================
+const compiled = new Map();
+
+const KEYWORDS = { and: '&&', or: '||', not: '!' };
+const LITERALS = { true: true, false: false, null: null };
+const COMPARISONS = ['==', '!=', '>=', '<=', '>', '<'];
+
+/**
+ * Compile an expression once; the result is cached per source text.
+ * @param {string} source
+ * @returns {(values: object) => boolean}
+ * @throws {Error} On syntax errors
+ */
+export function compileExpression(source) {
+  if (compiled.has(source)) {
+    return compiled.get(source);
+  }
+
+  const parser = createParser(tokenize(String(source)));
+  const ast = parser.parseOr();
+
+  if (!parser.done()) {
+    throw new Error(`Unexpected '${parser.peek().value}'`);
+  }
+
+  const evaluate = values => truthy(evaluateNode(ast, values || {}));
+  compiled.set(source, evaluate);
+  return evaluate;
+}
+
+// Names of the fields an expression reads (for validating tenant config)
+export function expressionFields(source) {
+  return [...new Set(tokenize(String(source)).filter(t => t.type === 'ident').map(t => t.value))];
+}
+
+// ============================================
+// TOKENIZER
+// ============================================
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const rest = source.slice(i);
+    let match;
+
+    if ((match = rest.match(/^\s+/))) {
+      i += match[0].length;
+    } else if ((match = rest.match(/^-?\d+(?:\.\d+)?/))) {
+      tokens.push({ type: 'literal', value: Number(match[0]) });
+      i += match[0].length;
+    } else if ((match = rest.match(/^'((?:[^'\\]|\\.)*)'|^"((?:[^"\\]|\\.)*)"/))) {
+      tokens.push({ type: 'literal', value: (match[1] ?? match[2]).replace(/\\(.)/g, '$1') });
+      i += match[0].length;
+    } else if ((match = rest.match(/^[A-Za-z_][\w]*/))) {
+      const word = match[0];
+      const lower = word.toLowerCase();
+      if (lower in KEYWORDS) tokens.push({ type: 'op', value: KEYWORDS[lower] });
+      else if (lower in LITERALS) tokens.push({ type: 'literal', value: LITERALS[lower] });
+      else tokens.push({ type: 'ident', value: word });
+      i += word.length;
+    } else if ((match = rest.match(/^(&&|\|\||==|!=|>=|<=|>|<|!|\(|\))/))) {
+      tokens.push({ type: 'op', value: match[0] });
+      i += match[0].length;
+    } else {
+      throw new Error(`Unexpected character '${source[i]}' at ${i}`);
+    }
+  }
+
+  return tokens;
+}
+
+// ============================================
+// PARSER (recursive descent)
+// or  := and ('||' and)*
+// and := not ('&&' not)*
+// not := '!' not | cmp
+// cmp := primary (comparison primary)?
+// ============================================
+function createParser(tokens) {
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const done = () => pos >= tokens.length;
+  const isOp = value => peek()?.type === 'op' && peek().value === value;
+
+  const expectOp = value => {
+    if (!isOp(value)) {
+      throw new Error(done() ? `Expected '${value}' at end` : `Expected '${value}', got '${peek().value}'`);
+    }
+    pos++;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isOp('||')) {
+      pos++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isOp('&&')) {
+      pos++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (isOp('!')) {
+      pos++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parsePrimary();
+    const token = peek();
+    if (token?.type === 'op' && COMPARISONS.includes(token.value)) {
+      pos++;
+      return { type: 'compare', op: token.value, left, right: parsePrimary() };
+    }
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (isOp('(')) {
+      pos++;
+      const node = parseOr();
+      expectOp(')');
+      return node;
+    }
+
+    pos++;
+    if (token.type === 'literal') return { type: 'literal', value: token.value };
+    if (token.type === 'ident') return { type: 'field', name: token.value };
+    throw new Error(`Unexpected '${token.value}'`);
+  };
+
+  return { parseOr, peek, done };
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+function evaluateNode(node, values) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'field':
+      return values[node.name] ?? null;
+    case 'not':
+      return !truthy(evaluateNode(node.operand, values));
+    case 'and':
+      return truthy(evaluateNode(node.left, values)) && truthy(evaluateNode(node.right, values));
+    case 'or':
+      return truthy(evaluateNode(node.left, values)) || truthy(evaluateNode(node.right, values));
+    case 'compare':
+      return compare(node.op, evaluateNode(node.left, values), evaluateNode(node.right, values));
+    default:
+      return false;
+  }
+}
+
+function compare(op, left, right) {
+  if (op === '==' || op === '!=') {
+    const equal = typeof left === 'string' && typeof right === 'string'
+      ? left.toLowerCase() === right.toLowerCase()
+      : left === right;
+    return op === '==' ? equal : !equal;
+  }
+
+  // Ordering only makes sense between two numbers (or two strings)
+  if (left === null || right === null || typeof left !== typeof right) {
+    return false;
+  }
+
+  switch (op) {
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    default: return false;
+  }
+}
+
+// Empty strings and empty lists count as missing
+function truthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value;
+}
@@ -0,0 +1,231 @@
+import { compileExpression } from './expressions.js';
+
+// ============================================
+// EXTRACTION SCHEMA (conversation analysis)
+// The vertical profile defines the default schema; tenants add, replace or
+// remove (null) fields and triggers in customers.settings.analysis:
+// {
+//   "subject": "restaurangkonversation",
+//   "questions": ["Om gästen vill boka bord ute"],
+//   "fields": {
+//     "party_size": { "type": "integer", "description": "antal", "min": 1, "max": 40 },
+//     "table_preference": { "type": "enum", "values": ["inne", "ute"] },
+//     "special_requests": null
+//   },
+//   "triggers": { "large_party": "party_size >= 8 && reservation_complete" }
+// }
+// Field types: string, boolean, integer, number, enum, date (YYYY-MM-DD),
+// time (HH:MM), email, phone. Options: description, min, max, max_length,
+// pattern, values (enum), required.
+// ============================================
+const FIELD_TYPES = ['string', 'boolean', 'integer', 'number', 'enum', 'date', 'time', 'email', 'phone'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_REGEX = /^\+?[\d\s().-]+$/;
+
+/**
+ * The tenant's analysis schema: vertical defaults merged with settings.analysis.
+ * Invalid fields and triggers are logged and left out.
+ * @returns {{subject: string, questions: string[], fields: object, triggers: Array<{name: string, expression: string, test: Function}>}}
+ */
+export function resolveAnalysisSchema(customer, vertical) {
+  const base = vertical.analysis;
+  const override = customer.settings?.analysis || {};
+
+  const fields = {};
+  for (const [name, definition] of Object.entries({ ...base.fields, ...(override.fields || {}) })) {
+    if (!definition) continue;
+
+    if (!FIELD_TYPES.includes(definition.type)) {
+      console.warn(`⚠️ Analysis field '${name}' has unknown type '${definition.type}' - skipped`);
+      continue;
+    }
+    fields[name] = definition;
+  }
+
+  const triggers = [];
+  for (const [name, expression] of Object.entries({ ...base.triggers, ...(override.triggers || {}) })) {
+    if (!expression) continue;
+
+    try {
+      triggers.push({ name, expression, test: compileExpression(expression) });
+    } catch (err) {
+      console.warn(`⚠️ Analysis trigger '${name}' is invalid (${err.message}) - skipped`);
+    }
+  }
+
+  return {
+    subject: override.subject || base.subject,
+    questions: override.questions || base.questions,
+    fields,
+    triggers
+  };
+}
+
+// ============================================
+// STRUCTURED OUTPUT
+// JSON Schema (OpenAPI flavour: nullable) passed to the provider as responseSchema
+// ============================================
+export function buildResponseSchema(schema) {
+  const properties = {};
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    const property = { type: jsonType(field.type) };
+    if (field.description) property.description = field.description;
+    if (field.type === 'enum') property.enum = field.values || [];
+    if (field.type !== 'boolean') property.nullable = true;
+    properties[name] = property;
+  }
+
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties)
+  };
+}
+
+function jsonType(type) {
+  if (type === 'boolean' || type === 'integer' || type === 'number') return type;
+  return 'string';
+}
+
+// The same shape spelled out in the prompt, for models without structured output
+export function describeFields(schema) {
+  return Object.entries(schema.fields)
+    .map(([name, field]) => `  "${name}": ${describeField(field)}`)
+    .join(',\n');
+}
+
+function describeField(field) {
+  switch (field.type) {
+    case 'boolean':
+      return field.description ? `true/false (${field.description})` : 'true/false';
+    case 'integer':
+    case 'number':
+      return `${field.description || 'tal'} eller null`;
+    case 'enum':
+      return `${(field.values || []).map(v => `"${v}"`).join(' | ')} eller null`;
+    case 'date':
+      return `"${field.description || 'datum'} (YYYY-MM-DD) eller null"`;
+    case 'time':
+      return `"${field.description || 'tid'} (HH:MM) eller null"`;
+    default:
+      return `"${field.description || field.type} eller null"`;
+  }
+}
+
+// ============================================
+// VALIDATION
+// Values that do not fit their field become null (false for booleans);
+// fields the schema does not know are dropped.
+// ============================================
+export function validateExtraction(raw, schema) {
+  const values = {};
+  const errors = [];
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    const { value, error } = coerceField(raw?.[name], field);
+    values[name] = value;
+
+    if (error) {
+      errors.push({ field: name, error });
+    } else if (field.required && (value === null || value === false)) {
+      errors.push({ field: name, error: 'missing' });
+    }
+  }
+
+  return { values, errors };
+}
+
+function coerceField(raw, field) {
+  const empty = field.type === 'boolean' ? false : null;
+
+  if (raw === undefined || raw === null || raw === '' || raw === 'null') {
+    return { value: empty };
+  }
+
+  const invalid = error => ({ value: empty, error });
+
+  switch (field.type) {
+    case 'boolean':
+      return { value: raw === true || raw === 'true' };
+
+    case 'integer':
+    case 'number': {
+      const number = typeof raw === 'number' ? raw : Number(String(raw).replace(',', '.').trim());
+      if (!Number.isFinite(number)) return invalid('not a number');
+      if (field.type === 'integer' && !Number.isInteger(number)) return invalid('not an integer');
+      if (field.min !== undefined && number < field.min) return invalid(`below ${field.min}`);
+      if (field.max !== undefined && number > field.max) return invalid(`above ${field.max}`);
+      return { value: number };
+    }
+
+    case 'enum': {
+      const match = (field.values || []).find(v => String(v).toLowerCase() === String(raw).toLowerCase().trim());
+      return match !== undefined ? { value: match } : invalid('not an allowed value');
+    }
+
+    case 'date': {
+      const text = String(raw).trim();
+      const valid = /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(Date.parse(`${text}T00:00:00Z`));
+      return valid ? { value: text } : invalid('not a YYYY-MM-DD date');
+    }
+
+    case 'time': {
+      const match = String(raw).trim().match(/^(\d{1,2})[:.](\d{2})$/);
+      if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return invalid('not a HH:MM time');
+      return { value: `${match[1].padStart(2, '0')}:${match[2]}` };
+    }
+
+    case 'email': {
+      const text = String(raw).trim();
+      return EMAIL_REGEX.test(text) ? { value: text } : invalid('not an email address');
+    }
+
+    case 'phone': {
+      const text = String(raw).trim();
+      const digits = text.replace(/\D/g, '').length;
+      return PHONE_REGEX.test(text) && digits >= 6 && digits <= 15 ? { value: text } : invalid('not a phone number');
+    }
+
+    default: {
+      let text = typeof raw === 'string' ? raw.trim() : JSON.stringify(raw);
+      if (field.pattern && !safeRegex(field.pattern)?.test(text)) return invalid('does not match pattern');
+      if (field.max_length) text = text.substring(0, field.max_length);
+      return { value: text };
+    }
+  }
+}
+
+function safeRegex(pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    console.warn(`⚠️ Invalid analysis field pattern: ${pattern}`);
+    return null;
+  }
+}
+
+// ============================================
+// TRIGGERS
+// ============================================
+export function evaluateTriggers(values, schema) {
+  return schema.triggers
+    .filter(trigger => trigger.test(values))
+    .map(trigger => trigger.name);
+}
+
+// ============================================
+// EMAIL TEMPLATE VARIABLES ({{field}} for every schema field)
+// Booleans become 'true' or '' so {{#field}}...{{/field}} sections work
+// ============================================
+export function schemaTemplateVars(analysis, schema) {
+  const vars = {};
+
+  for (const name of Object.keys(schema?.fields || {})) {
+    const value = analysis?.[name];
+    vars[name] = value === true ? 'true' : value === false || value === null || value === undefined ? '' : String(value);
+  }
+
+  return vars;
+}
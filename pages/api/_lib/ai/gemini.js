@@ -1,52 +1,10 @@
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent';
-
-// ============================================
-// CALL GEMINI API
-// ============================================
-export async function callGemini(contents, options = {}) {
-  const API_KEY = process.env.GEMINI_API_KEY;
-  
-  if (!API_KEY) {
-    throw new Error('GEMINI_API_KEY not set');
-  }
-
-  const {
-    temperature = 0.7,
-    maxOutputTokens = 500,
-    topP = 0.9
-  } = options;
-
-  const response = await fetch(`${GEMINI_API_URL}?key=${API_KEY}`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents,
-      generationConfig: {
-        temperature,
-        maxOutputTokens,
-        topP
-      }
-    })
-  });
-
-  if (response.status === 429) {
-    throw new Error('RATE_LIMITED');
-  }
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('Gemini error:', response.status, errorText);
-    throw new Error('AI service error');
-  }
-
-  const data = await response.json();
-  return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-}
+import { BUILTIN_STRINGS, FALLBACK_LANGUAGE } from '../i18n/strings.js';
 
 // ============================================
 // BUILD CHAT CONTENTS
+// strings: localized system strings (see i18n/locale.js)
 // ============================================
-export function buildChatContents(systemPrompt, greeting, history, currentPrompt) {
+export function buildChatContents(systemPrompt, greeting, history, currentPrompt, strings = BUILTIN_STRINGS[FALLBACK_LANGUAGE]) {
   const contents = [];
 
   // System prompt as first user message
@@ -58,7 +16,7 @@ export function buildChatContents(systemPrompt, greeting, history, currentPrompt
   // AI greeting
   contents.push({
     role: 'model',
-    parts: [{ text: greeting || 'Hej! Hur kan jag hjälpa dig?' }]
+    parts: [{ text: greeting || strings.greeting }]
   });
 
   // History
@@ -68,11 +26,11 @@ export function buildChatContents(systemPrompt, greeting, history, currentPrompt
         // Staff message - tell AI that staff responded
         contents.push({
           role: 'user',
-          parts: [{ text: `[PERSONALENS SVAR: "${msg.content}"]` }]
+          parts: [{ text: `[${strings.staff_reply_label}: "${msg.content}"]` }]
         });
         contents.push({
           role: 'model',
-          parts: [{ text: 'Jag noterar att personalen har svarat.' }]
+          parts: [{ text: strings.staff_reply_ack }]
         });
       } else {
         contents.push({
@@ -95,14 +53,34 @@ export function buildChatContents(systemPrompt, greeting, history, currentPrompt
 // ============================================
 // BUILD SYSTEM PROMPT
 // ============================================
-export function buildSystemPrompt(aiConfig, triggeredActions = []) {
+export function buildSystemPrompt(aiConfig, triggeredActions = [], knowledgeChunks = null, conversationSummary = null, memories = null) {
   let systemPrompt = aiConfig.system_prompt || '';
 
-  // Add knowledge base
-  if (aiConfig.knowledge_base) {
+  // Add knowledge base - only the retrieved chunks when retrieval is active
+  if (knowledgeChunks?.length) {
+    systemPrompt += `\n\n## KUNSKAP (relevanta utdrag, använd denna info för att svara):\n${knowledgeChunks.join('\n\n---\n\n')}`;
+  } else if (aiConfig.knowledge_base) {
     systemPrompt += `\n\n## KUNSKAP (använd denna info för att svara):\n${aiConfig.knowledge_base}`;
   }
 
+  // Add what the companion remembers about the resident from earlier visits
+  if (memories?.length) {
+    systemPrompt += `\n\n## DET DU MINNS OM PERSONEN (från tidigare samtal, nämn det naturligt när det passar):\n${memories.map(m => `- ${m.content}`).join('\n')}`;
+  }
+
+  // Add rolling summary of older turns (long conversations)
+  if (conversationSummary?.text || conversationSummary?.facts?.length) {
+    systemPrompt += `\n\n## TIDIGARE I SAMTALET (sammanfattning):\n${conversationSummary.text || ''}`;
+
+    if (conversationSummary.facts?.length) {
+      systemPrompt += `\n\n### Fakta gästen har gett (senast nämnda gäller):\n${conversationSummary.facts.map(f => `- ${f}`).join('\n')}`;
+    }
+
+    if (conversationSummary.staff_messages?.length) {
+      systemPrompt += `\n\n### Personalens tidigare svar:\n${conversationSummary.staff_messages.map(m => `- "${m.content}"`).join('\n')}`;
+    }
+  }
+
   // Add context from triggered actions
   for (const action of triggeredActions) {
     if (action.action_type === 'add_context' && action.action_config?.text) {
@@ -0,0 +1,167 @@
+import * as gemini from './providers/gemini.js';
+import * as openai from './providers/openai.js';
+import * as mock from './providers/mock.js';
+import { estimateCost } from './pricing.js';
+import { recordLlmUsage } from '../db/supabase.js';
+
+// ============================================
+// LLM PROVIDER LAYER
+// Every adapter takes Gemini-style contents ({ role, parts: [{ text }] }),
+// exposes generate(contents, options) and stream(contents, options, onDelta)
+// and resolves with { text, functionCalls, usage: { promptTokens, completionTokens }, model }.
+// options.tools takes function declarations ({ name, description, parameters }).
+// options.responseSchema (JSON Schema, OpenAPI-style `nullable`) asks for structured JSON output.
+// ============================================
+const PROVIDERS = {
+  gemini,
+  openai,
+  mock
+};
+
+// Tenant config can only name env variables with this prefix, so it can never
+// point a key header at SUPABASE_SERVICE_KEY, CRON_SECRET and the like
+export const KEY_ENV_PREFIX = 'LLM_KEY_';
+
+// Used when the tenant has no override for a purpose
+const DEFAULT_MODELS = {
+  chat: { provider: 'gemini', model: 'gemini-2.0-flash-exp' },
+  judge: { provider: 'gemini', model: 'gemini-2.0-flash-exp' },
+  analysis: { provider: 'gemini', model: 'gemini-2.0-flash-exp' },
+  summary: { provider: 'gemini', model: 'gemini-2.0-flash-exp' }
+};
+
+/**
+ * Resolve which provider/model to use for one purpose of one tenant.
+ *
+ * Overrides are read from customers.settings.llm and then
+ * customer_ai_config.llm_config (most specific wins), both shaped as:
+ *   { "default": { provider, model }, "chat": {...}, "judge": {...}, "analysis": {...}, "summary": {...} }
+ *
+ * Supported keys per entry: provider, model, base_url, api_key_env, response (mock only).
+ * API keys are never stored in the database - api_key_env names an env variable,
+ * which must start with LLM_KEY_ (see readKeyEnv).
+ *
+ * @param {object} customer - Row from customers
+ * @param {object} aiConfig - Row from customer_ai_config
+ * @param {'chat'|'judge'|'analysis'|'summary'} purpose
+ * @returns {{provider: string, model?: string, purpose: string}}
+ */
+export function resolveModelConfig(customer, aiConfig, purpose) {
+  let config = { ...(DEFAULT_MODELS[purpose] || DEFAULT_MODELS.chat), purpose };
+
+  for (const source of [customer?.settings?.llm, aiConfig?.llm_config]) {
+    if (!source || typeof source !== 'object') continue;
+    config = mergeModelConfig(config, source.default);
+    config = mergeModelConfig(config, source[purpose]);
+  }
+
+  return config;
+}
+
+// ============================================
+// CALL / STREAM
+// Both resolve with { text, functionCalls, usage, model, latencyMs, costUsd }.
+// When usageContext ({ customerId, sessionId, isTestMode }) is given the
+// call is also written to llm_usage for billing.
+// ============================================
+export async function callLLM(contents, options = {}, modelConfig = DEFAULT_MODELS.chat, usageContext = null) {
+  const provider = getProvider(modelConfig.provider);
+  const startedAt = Date.now();
+
+  const result = await provider.generate(contents, buildProviderOptions(options, modelConfig));
+
+  return accountUsage(result, modelConfig, startedAt, usageContext);
+}
+
+export async function streamLLM(contents, options = {}, onDelta = () => {}, modelConfig = DEFAULT_MODELS.chat, usageContext = null) {
+  const provider = getProvider(modelConfig.provider);
+  const startedAt = Date.now();
+
+  const result = await provider.stream(contents, buildProviderOptions(options, modelConfig), onDelta);
+
+  return accountUsage(result, modelConfig, startedAt, usageContext);
+}
+
+// ============================================
+// USAGE ACCOUNTING
+// ============================================
+async function accountUsage(result, modelConfig, startedAt, usageContext) {
+  const latencyMs = Date.now() - startedAt;
+  const costUsd = estimateCost(result.model, result.usage);
+
+  const accounted = { ...result, latencyMs, costUsd };
+
+  if (usageContext?.customerId) {
+    await recordLlmUsage({
+      customer_id: usageContext.customerId,
+      session_id: usageContext.sessionId || null,
+      purpose: modelConfig.purpose || 'chat',
+      provider: modelConfig.provider,
+      model: result.model,
+      prompt_tokens: result.usage.promptTokens,
+      completion_tokens: result.usage.completionTokens,
+      total_tokens: result.usage.promptTokens + result.usage.completionTokens,
+      latency_ms: latencyMs,
+      cost_usd: costUsd,
+      is_test: !!usageContext.isTestMode
+    });
+  }
+
+  return accounted;
+}
+
+// ============================================
+// HELPERS
+// ============================================
+function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return provider;
+}
+
+function mergeModelConfig(config, override) {
+  if (!override || typeof override !== 'object') {
+    return config;
+  }
+
+  // Switching provider starts from a clean slate (that provider's default model and endpoint)
+  const merged = override.provider && override.provider !== config.provider
+    ? { purpose: config.purpose }
+    : { ...config };
+
+  for (const key of ['provider', 'model', 'base_url', 'api_key_env', 'response']) {
+    if (override[key]) {
+      merged[key] = override[key];
+    }
+  }
+
+  return merged;
+}
+
+function buildProviderOptions(options, modelConfig) {
+  const providerOptions = { ...options, purpose: modelConfig.purpose };
+
+  if (modelConfig.model) providerOptions.model = modelConfig.model;
+  if (modelConfig.base_url) {
+    // A tenant endpoint only gets the key the tenant named, never our OPENAI_API_KEY
+    providerOptions.baseUrl = modelConfig.base_url;
+    providerOptions.apiKey = null;
+  }
+  if (modelConfig.api_key_env) providerOptions.apiKey = readKeyEnv(modelConfig.api_key_env);
+  if (modelConfig.response) providerOptions.response = modelConfig.response;
+
+  return providerOptions;
+}
+
+/**
+ * Read an API key named in tenant config (api_key_env).
+ * @throws when the name does not start with KEY_ENV_PREFIX
+ */
+export function readKeyEnv(name) {
+  if (typeof name !== 'string' || !name.startsWith(KEY_ENV_PREFIX)) {
+    throw new Error(`api_key_env must start with ${KEY_ENV_PREFIX}: ${name}`);
+  }
+  return process.env[name];
+}
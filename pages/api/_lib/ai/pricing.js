@@ -0,0 +1,43 @@
+// ============================================
+// MODEL PRICING (USD per 1M tokens)
+// Estimates for cost accounting - not an invoice.
+// Matched by longest model-name prefix.
+// ============================================
+const MODEL_PRICING = {
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'mock': { input: 0, output: 0 }
+};
+
+/**
+ * Estimate the cost of one LLM call.
+ * @param {string} model
+ * @param {{promptTokens: number, completionTokens: number}} usage
+ * @returns {number|null} Cost in USD, or null when the model has no known price
+ *   (e.g. a locally hosted model)
+ */
+export function estimateCost(model, usage) {
+  const pricing = findPricing(model);
+  if (!pricing) {
+    return null;
+  }
+
+  const cost = (usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / 1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+function findPricing(model) {
+  if (!model) return null;
+
+  const match = Object.keys(MODEL_PRICING)
+    .filter(prefix => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? MODEL_PRICING[match] : null;
+}
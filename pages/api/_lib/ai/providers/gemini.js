@@ -0,0 +1,147 @@
+import { readEventStream } from './sse.js';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const DEFAULT_MODEL = 'gemini-2.0-flash-exp';
+
+// ============================================
+// GENERATE (single response)
+// Resolves with { text, functionCalls, usage, model }
+// ============================================
+export async function generate(contents, options = {}) {
+  const response = await requestGemini('generateContent', contents, options);
+
+  const data = await response.json();
+  const parts = data.candidates?.[0]?.content?.parts || [];
+
+  return {
+    text: parts.map(part => part.text || '').join(''),
+    functionCalls: parseFunctionCalls(parts),
+    usage: parseUsage(data.usageMetadata),
+    model: options.model || DEFAULT_MODEL
+  };
+}
+
+// ============================================
+// STREAM (Server-Sent Events)
+// Calls onDelta for every text chunk and resolves with { text, functionCalls, usage, model }
+// ============================================
+export async function stream(contents, options = {}, onDelta = () => {}) {
+  const response = await requestGemini('streamGenerateContent', contents, options, 'alt=sse&');
+  let fullText = '';
+  let usageMetadata = null;
+  const functionCalls = [];
+
+  await readEventStream(response, (data) => {
+    const chunk = parseStreamChunk(data);
+    if (!chunk) return;
+
+    // Every chunk repeats cumulative usage; the last one is the total
+    if (chunk.usageMetadata) {
+      usageMetadata = chunk.usageMetadata;
+    }
+
+    const parts = chunk.candidates?.[0]?.content?.parts || [];
+
+    // Function calls arrive whole, never split across chunks
+    functionCalls.push(...parseFunctionCalls(parts));
+
+    const text = parts.map(part => part.text || '').join('');
+    if (text) {
+      fullText += text;
+      onDelta(text);
+    }
+  });
+
+  return {
+    text: fullText,
+    functionCalls,
+    usage: parseUsage(usageMetadata),
+    model: options.model || DEFAULT_MODEL
+  };
+}
+
+async function requestGemini(method, contents, options, query = '') {
+  const API_KEY = options.apiKey || process.env.GEMINI_API_KEY;
+
+  if (!API_KEY) {
+    throw new Error('GEMINI_API_KEY not set');
+  }
+
+  const {
+    model = DEFAULT_MODEL,
+    temperature = 0.7,
+    maxOutputTokens = 500,
+    topP = 0.9
+  } = options;
+
+  const url = `${GEMINI_BASE_URL}/${model}:${method}`;
+
+  const response = await fetch(`${url}?${query}key=${API_KEY}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      contents: contents.map(toGeminiContent),
+      generationConfig: {
+        temperature,
+        maxOutputTokens,
+        topP,
+        ...(options.responseSchema ? { responseMimeType: 'application/json', responseSchema: options.responseSchema } : {})
+      },
+      ...(options.tools?.length ? { tools: [{ functionDeclarations: options.tools }] } : {})
+    })
+  });
+
+  if (response.status === 429) {
+    throw new Error('RATE_LIMITED');
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('Gemini error:', response.status, errorText);
+    throw new Error('AI service error');
+  }
+
+  return response;
+}
+
+function parseStreamChunk(data) {
+  try {
+    return JSON.parse(data);
+  } catch (err) {
+    console.error('Failed to parse Gemini stream chunk:', err.message);
+    return null;
+  }
+}
+
+function parseFunctionCalls(parts) {
+  return parts
+    .filter(part => part.functionCall)
+    .map(part => ({
+      id: part.functionCall.id || null,
+      name: part.functionCall.name,
+      args: part.functionCall.args || {}
+    }));
+}
+
+// Call ids are an engine-side addition - Gemini matches responses by name and order
+function toGeminiContent(item) {
+  return {
+    role: item.role,
+    parts: (item.parts || []).map(part => {
+      if (part.functionCall) {
+        return { functionCall: { name: part.functionCall.name, args: part.functionCall.args } };
+      }
+      if (part.functionResponse) {
+        return { functionResponse: { name: part.functionResponse.name, response: part.functionResponse.response } };
+      }
+      return part;
+    })
+  };
+}
+
+function parseUsage(usageMetadata) {
+  return {
+    promptTokens: usageMetadata?.promptTokenCount || 0,
+    completionTokens: usageMetadata?.candidatesTokenCount || 0
+  };
+}
@@ -0,0 +1,58 @@
+// ============================================
+// DETERMINISTIC MOCK PROVIDER
+// For tests, demos and local development - never calls the network.
+// Same input always gives the same output.
+// ============================================
+const MOCK_RESPONSES = {
+  judge: '{"suspicious": false, "reason": "Mock provider", "riskLevel": 1}',
+  analysis: '{}'
+};
+
+export async function generate(contents, options = {}) {
+  return buildResult(contents, mockResponse(contents, options), options);
+}
+
+export async function stream(contents, options = {}, onDelta = () => {}) {
+  const text = mockResponse(contents, options);
+
+  // Emit word by word so streaming clients can be exercised
+  for (const word of text.match(/\S+\s*/g) || []) {
+    onDelta(word);
+  }
+
+  return buildResult(contents, text, options);
+}
+
+// Token counts are estimated at ~4 characters per token
+function buildResult(contents, text, options) {
+  const promptText = contents
+    .map(item => (item.parts || []).map(part => part.text || '').join(''))
+    .join('');
+
+  return {
+    text,
+    functionCalls: [],
+    usage: {
+      promptTokens: Math.ceil(promptText.length / 4),
+      completionTokens: Math.ceil(text.length / 4)
+    },
+    model: options.model || 'mock'
+  };
+}
+
+function mockResponse(contents, options) {
+  if (options.response) {
+    return options.response;
+  }
+
+  if (MOCK_RESPONSES[options.purpose]) {
+    return MOCK_RESPONSES[options.purpose];
+  }
+
+  const lastUserText = [...contents]
+    .reverse()
+    .find(item => item.role === 'user')
+    ?.parts?.map(part => part.text || '').join('') || '';
+
+  return `[mock] ${lastUserText.substring(0, 200)}`;
+}
@@ -0,0 +1,214 @@
+import { readEventStream } from './sse.js';
+
+// Works against api.openai.com and any OpenAI-compatible server
+// (vLLM, Ollama, LM Studio, llama.cpp server, ...) via baseUrl
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// ============================================
+// GENERATE (single response)
+// Resolves with { text, functionCalls, usage, model }
+// ============================================
+export async function generate(contents, options = {}) {
+  const response = await requestCompletion(contents, options, false);
+
+  const data = await response.json();
+  const message = data.choices?.[0]?.message || {};
+
+  return {
+    text: message.content || '',
+    functionCalls: (message.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      args: parseArguments(call.function?.arguments)
+    })),
+    usage: parseUsage(data.usage),
+    model: data.model || options.model || DEFAULT_MODEL
+  };
+}
+
+// ============================================
+// STREAM (Server-Sent Events)
+// ============================================
+export async function stream(contents, options = {}, onDelta = () => {}) {
+  const response = await requestCompletion(contents, options, true);
+  let fullText = '';
+  let usage = null;
+  const toolCalls = [];
+
+  await readEventStream(response, (data) => {
+    if (data === '[DONE]') return;
+
+    try {
+      const chunk = JSON.parse(data);
+
+      // Sent as a final chunk with empty choices when include_usage is set
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      // Tool calls stream as fragments keyed by index; arguments arrive in pieces
+      for (const fragment of chunk.choices?.[0]?.delta?.tool_calls || []) {
+        const call = toolCalls[fragment.index] ||= { id: null, name: '', arguments: '' };
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+      }
+
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) {
+        fullText += text;
+        onDelta(text);
+      }
+    } catch (err) {
+      console.error('Failed to parse OpenAI stream chunk:', err.message);
+    }
+  });
+
+  return {
+    text: fullText,
+    functionCalls: toolCalls.filter(Boolean).map(call => ({
+      id: call.id,
+      name: call.name,
+      args: parseArguments(call.arguments)
+    })),
+    usage: parseUsage(usage),
+    model: options.model || DEFAULT_MODEL
+  };
+}
+
+async function requestCompletion(contents, options, streaming) {
+  const {
+    model = DEFAULT_MODEL,
+    baseUrl = process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL,
+    apiKey = process.env.OPENAI_API_KEY,
+    temperature = 0.7,
+    maxOutputTokens = 500,
+    topP = 0.9
+  } = options;
+
+  const headers = { 'Content-Type': 'application/json' };
+
+  // Locally hosted models usually run without a key
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model,
+      messages: toMessages(contents),
+      temperature,
+      max_tokens: maxOutputTokens,
+      top_p: topP,
+      stream: streaming,
+      ...(streaming ? { stream_options: { include_usage: true } } : {}),
+      ...(options.tools?.length ? {
+        tools: options.tools.map(tool => ({ type: 'function', function: tool })),
+        tool_choice: 'auto'
+      } : {}),
+      ...(options.responseSchema ? {
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'response', schema: toJsonSchema(options.responseSchema) }
+        }
+      } : {})
+    })
+  });
+
+  if (response.status === 429) {
+    throw new Error('RATE_LIMITED');
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('OpenAI-compatible error:', response.status, errorText);
+    throw new Error('AI service error');
+  }
+
+  return response;
+}
+
+// OpenAPI-style `nullable` (shared with Gemini) becomes a JSON Schema type union
+function toJsonSchema(schema) {
+  const { nullable, properties, items, ...rest } = schema;
+  const converted = { ...rest };
+
+  if (nullable) {
+    converted.type = [schema.type, 'null'];
+    if (rest.enum) converted.enum = [...rest.enum, null];
+  }
+  if (properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(properties).map(([name, property]) => [name, toJsonSchema(property)])
+    );
+  }
+  if (items) converted.items = toJsonSchema(items);
+
+  return converted;
+}
+
+function parseArguments(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.error('Failed to parse tool call arguments:', raw);
+    return {};
+  }
+}
+
+function parseUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0
+  };
+}
+
+// ============================================
+// CONVERT GEMINI-STYLE CONTENTS TO CHAT MESSAGES
+// functionCall parts become assistant tool_calls,
+// functionResponse parts become role "tool" messages
+// ============================================
+function toMessages(contents) {
+  const messages = [];
+
+  for (const item of contents) {
+    const parts = item.parts || [];
+    const text = parts.map(part => part.text || '').join('');
+    const calls = parts.filter(part => part.functionCall).map(part => part.functionCall);
+    const responses = parts.filter(part => part.functionResponse).map(part => part.functionResponse);
+
+    if (responses.length) {
+      for (const response of responses) {
+        messages.push({
+          role: 'tool',
+          tool_call_id: response.id,
+          content: JSON.stringify(response.response)
+        });
+      }
+      continue;
+    }
+
+    if (item.role === 'model') {
+      messages.push({
+        role: 'assistant',
+        content: text || null,
+        ...(calls.length ? {
+          tool_calls: calls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+          }))
+        } : {})
+      });
+      continue;
+    }
+
+    messages.push({ role: 'user', content: text });
+  }
+
+  return messages;
+}
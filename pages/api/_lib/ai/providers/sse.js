@@ -0,0 +1,38 @@
+// ============================================
+// READ A SERVER-SENT EVENTS RESPONSE BODY
+// Calls onData with the joined "data:" payload of every event
+// ============================================
+export async function readEventStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleEvent = (rawEvent) => {
+    const data = rawEvent
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('');
+
+    if (data) {
+      onData(data);
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; keep the trailing partial event in the buffer
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    events.forEach(handleEvent);
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    handleEvent(buffer);
+  }
+}
@@ -0,0 +1,64 @@
+import { timingSafeEqual } from 'crypto';
+import { getSupabase, isSuperadmin, getUserCustomerIds } from './db/supabase.js';
+
+// ============================================
+// AUTHENTICATE REQUEST
+// Accepts either the internal API key (server-to-server, full access)
+// or a Supabase access token from the dashboard (Authorization: Bearer ...)
+// Returns null when the request is not authenticated
+// ============================================
+export async function authenticateRequest(req) {
+  const internalKey = req.headers['x-internal-api-key'];
+  if (internalKey && isValidInternalKey(internalKey)) {
+    return { type: 'internal', userId: null, isSuperadmin: true, customerIds: [] };
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+  if (!token) {
+    return null;
+  }
+
+  const { data, error } = await getSupabase().auth.getUser(token);
+  if (error || !data?.user) {
+    return null;
+  }
+
+  const [superadmin, customerIds] = await Promise.all([
+    isSuperadmin(data.user.id),
+    getUserCustomerIds(data.user.id)
+  ]);
+
+  return {
+    type: 'user',
+    userId: data.user.id,
+    email: data.user.email,
+    isSuperadmin: superadmin,
+    customerIds
+  };
+}
+
+export function canAccessCustomer(auth, customerId) {
+  return !!auth && (auth.isSuperadmin || auth.customerIds.includes(customerId));
+}
+
+// ============================================
+// CRON REQUESTS
+// Vercel Cron sends Authorization: Bearer $CRON_SECRET
+// ============================================
+export function isCronRequest(req) {
+  const authHeader = req.headers.authorization || '';
+  return authHeader.startsWith('Bearer ') && safeEqual(authHeader.slice(7).trim(), process.env.CRON_SECRET);
+}
+
+function isValidInternalKey(candidate) {
+  return safeEqual(candidate, process.env.INTERNAL_API_KEY);
+}
+
+function safeEqual(candidate, expected) {
+  if (!expected) return false;
+
+  const a = Buffer.from(String(candidate));
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
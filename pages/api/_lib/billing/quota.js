@@ -0,0 +1,160 @@
+import { countLlmCalls, updateCustomerMetadata, getSuperadminEmails } from '../db/supabase.js';
+import { sendQuotaAlert } from '../notifications/email.js';
+import { startOfMonth } from './usage.js';
+
+// ============================================
+// PLAN QUOTAS (LLM calls per period)
+// null = unlimited. Tenants can override with customers.settings.quota:
+// { period, max_calls, cheaper_model: { provider, model }, busy_message, thresholds }
+// A soft limit: usage is counted from llm_usage (cached per instance for a
+// minute) and nothing reserves calls, so a busy tenant can go a little over
+// before requests start getting the busy reply.
+// ============================================
+const PLAN_QUOTAS = {
+  free: { period: 'month', max_calls: 1000 },
+  starter: { period: 'month', max_calls: 10000 },
+  pro: { period: 'month', max_calls: 50000 },
+  enterprise: null
+};
+
+const DEFAULT_PLAN = 'starter';
+
+// Degradation steps, as a share of the quota
+const DEFAULT_THRESHOLDS = {
+  cheaper_model: 0.8,
+  skip_analysis: 0.9,
+  busy: 1.0
+};
+
+const LEVELS = ['ok', 'cheaper_model', 'skip_analysis', 'busy'];
+
+// Used for the cheaper_model step when the tenant names none
+const CHEAPER_MODELS = {
+  gemini: 'gemini-2.0-flash-lite',
+  openai: 'gpt-4o-mini'
+};
+
+// Counting is a database round-trip, so results are cached per instance
+const CACHE_TTL_MS = 60 * 1000;
+const usageCache = new Map();
+
+// ============================================
+// QUOTA STATUS
+// ============================================
+export function getQuotaConfig(customer) {
+  const plan = customer.plan || DEFAULT_PLAN;
+  const planQuota = plan in PLAN_QUOTAS ? PLAN_QUOTAS[plan] : PLAN_QUOTAS[DEFAULT_PLAN];
+  const override = customer.settings?.quota || {};
+
+  if (!planQuota && !override.max_calls) {
+    return null;
+  }
+
+  return {
+    period: override.period || planQuota?.period || 'month',
+    max_calls: override.max_calls || planQuota.max_calls,
+    thresholds: { ...DEFAULT_THRESHOLDS, ...(override.thresholds || {}) },
+    cheaper_model: override.cheaper_model || null,
+    // null = the localized busy_message string (i18n/strings.js)
+    busy_message: override.busy_message || null
+  };
+}
+
+/**
+ * Where a tenant stands against its quota for the current period.
+ * @returns {Promise<{level: 'ok'|'cheaper_model'|'skip_analysis'|'busy', used?: number, limit?: number, ratio?: number, periodKey?: string, config?: object}>}
+ */
+export async function getQuotaStatus(customer) {
+  const config = getQuotaConfig(customer);
+  if (!config) {
+    return { level: 'ok' };
+  }
+
+  const periodStart = getPeriodStart(config.period);
+  const periodKey = `${config.period}:${periodStart.toISOString().substring(0, 10)}`;
+  const used = await getCachedCallCount(customer.id, periodStart, periodKey);
+
+  const ratio = used / config.max_calls;
+
+  let level = 'ok';
+  if (ratio >= config.thresholds.busy) level = 'busy';
+  else if (ratio >= config.thresholds.skip_analysis) level = 'skip_analysis';
+  else if (ratio >= config.thresholds.cheaper_model) level = 'cheaper_model';
+
+  return { level, used, limit: config.max_calls, ratio, periodKey, config };
+}
+
+export function isAtLeast(status, level) {
+  return LEVELS.indexOf(status.level) >= LEVELS.indexOf(level);
+}
+
+// Chat model to use at the cheaper_model step
+export function getCheaperModelConfig(status, modelConfig) {
+  const override = status.config?.cheaper_model;
+
+  if (override?.provider) {
+    return { purpose: modelConfig.purpose, ...override };
+  }
+
+  const cheaperModel = override?.model || CHEAPER_MODELS[modelConfig.provider];
+  return cheaperModel ? { ...modelConfig, model: cheaperModel } : modelConfig;
+}
+
+// ============================================
+// SUPERADMIN ALERTS (once per level per period)
+// ============================================
+export async function notifyQuotaThreshold(customer, status, isTestMode) {
+  if (status.level === 'ok') return;
+
+  const alerted = customer.metadata?.quota_alerts?.[status.periodKey] || [];
+  if (alerted.includes(status.level)) return;
+
+  // Recorded before sending, so requests that load the customer after this
+  // skip the alert. Not atomic: requests already past the check above can
+  // send it again - a duplicate email, nothing worse.
+  const quotaAlerts = { [status.periodKey]: [...alerted, status.level] };
+  customer.metadata = { ...(customer.metadata || {}), quota_alerts: quotaAlerts };
+  await updateCustomerMetadata(customer.id, { quota_alerts: quotaAlerts });
+
+  const recipients = await getSuperadminEmails();
+
+  try {
+    await sendQuotaAlert({
+      to: recipients,
+      customerName: customer.name,
+      plan: customer.plan || DEFAULT_PLAN,
+      level: status.level,
+      used: status.used,
+      limit: status.limit,
+      period: status.config.period,
+      isTestMode
+    });
+    console.log(`✅ Quota alert sent: ${customer.name} at ${status.level}`);
+  } catch (err) {
+    console.error('❌ Failed to send quota alert:', err.message);
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+function getPeriodStart(period) {
+  const now = new Date();
+  if (period === 'day') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+  return startOfMonth(now);
+}
+
+async function getCachedCallCount(customerId, periodStart, periodKey) {
+  const cacheKey = `${customerId}:${periodKey}`;
+  const cached = usageCache.get(cacheKey);
+
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return cached.count;
+  }
+
+  const count = await countLlmCalls(customerId, periodStart.toISOString());
+  usageCache.set(cacheKey, { count, fetchedAt: Date.now() });
+  return count;
+}
@@ -0,0 +1,99 @@
+import { getLlmUsageTotals, getCustomersByIds } from '../db/supabase.js';
+
+// ============================================
+// PERIOD HELPERS
+// ============================================
+export function startOfMonth(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+export function startOfNextMonth(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
+
+// ============================================
+// ROLL UP USAGE TOTALS
+// Rows come summed per customer, purpose, provider and model from
+// llm_usage_totals - a handful per tenant, however many calls were made.
+// ============================================
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, avgLatencyMs: 0, latencyMs: 0 };
+}
+
+function addRow(totals, row) {
+  totals.calls += Number(row.calls) || 0;
+  totals.promptTokens += Number(row.prompt_tokens) || 0;
+  totals.completionTokens += Number(row.completion_tokens) || 0;
+  totals.totalTokens = totals.promptTokens + totals.completionTokens;
+  totals.costUsd += Number(row.cost_usd) || 0;
+  totals.latencyMs += Number(row.latency_ms) || 0;
+}
+
+function finish({ latencyMs, ...totals }) {
+  totals.avgLatencyMs = totals.calls ? Math.round(latencyMs / totals.calls) : 0;
+  totals.costUsd = Math.round(totals.costUsd * 10000) / 10000;
+  return totals;
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+export function summarizeUsage(rows) {
+  const totals = emptyTotals();
+  const byPurpose = {};
+  const byModel = {};
+
+  for (const row of rows) {
+    addRow(totals, row);
+    addRow(byPurpose[row.purpose] ||= emptyTotals(), row);
+    addRow(byModel[`${row.provider}/${row.model}`] ||= emptyTotals(), row);
+  }
+
+  return { totals: finish(totals), byPurpose: mapValues(byPurpose, finish), byModel: mapValues(byModel, finish) };
+}
+
+// ============================================
+// USAGE REPORTS
+// ============================================
+export async function getCustomerUsageReport(customer, { from, to, includeTest = false }) {
+  const rows = await getLlmUsageTotals({ customerId: customer.id, from, to, includeTest });
+  if (!rows) return null;
+
+  return {
+    customerId: customer.id,
+    customerName: customer.name,
+    plan: customer.plan || null,
+    from,
+    to,
+    ...summarizeUsage(rows)
+  };
+}
+
+// All tenants ranked by cost - the first rows are the ones to look at
+export async function getAllCustomersUsageReport({ from, to, includeTest = false }) {
+  const rows = await getLlmUsageTotals({ from, to, includeTest });
+  if (!rows) return null;
+
+  const rowsByCustomer = {};
+  for (const row of rows) {
+    (rowsByCustomer[row.customer_id] ||= []).push(row);
+  }
+
+  const customers = await getCustomersByIds(Object.keys(rowsByCustomer));
+  const customersById = Object.fromEntries(customers.map(c => [c.id, c]));
+
+  const report = Object.entries(rowsByCustomer).map(([customerId, customerRows]) => {
+    const { totals } = summarizeUsage(customerRows);
+    return {
+      customerId,
+      customerName: customersById[customerId]?.name || null,
+      plan: customersById[customerId]?.plan || null,
+      ...totals
+    };
+  });
+
+  report.sort((a, b) => b.costUsd - a.costUsd);
+
+  return { from, to, customers: report };
+}
@@ -34,6 +34,83 @@ export async function getCustomerBySlug(slug) {
   return data;
 }
 
+export async function getCustomersByIds(customerIds) {
+  if (!customerIds.length) return [];
+
+  const { data } = await getSupabase()
+    .from('customers')
+    .select('id, name, slug, plan')
+    .in('id', customerIds);
+  return data || [];
+}
+
+export async function updateCustomerMetadata(customerId, newMetadata) {
+  const { data: existing } = await getSupabase()
+    .from('customers')
+    .select('metadata')
+    .eq('id', customerId)
+    .single();
+
+  const { error } = await getSupabase()
+    .from('customers')
+    .update({
+      metadata: {
+        ...(existing?.metadata || {}),
+        ...newMetadata
+      }
+    })
+    .eq('id', customerId);
+
+  if (error) {
+    console.error('Failed to update customer metadata:', error);
+  }
+}
+
+// ============================================
+// AUTH QUERIES
+// ============================================
+export async function isSuperadmin(userId) {
+  const { data } = await getSupabase()
+    .from('superadmins')
+    .select('id')
+    .eq('user_id', userId)
+    .maybeSingle();
+  return !!data;
+}
+
+export async function getSuperadminEmails() {
+  const { data } = await getSupabase()
+    .from('superadmins')
+    .select('email');
+  return (data || []).map(row => row.email).filter(Boolean);
+}
+
+// Customers a dashboard user can access, directly or through their organization
+export async function getUserCustomerIds(userId) {
+  const { data: memberships } = await getSupabase()
+    .from('user_memberships')
+    .select('customer_id, organization_id')
+    .eq('user_id', userId);
+
+  const customerIds = new Set();
+  const organizationIds = [];
+
+  for (const membership of memberships || []) {
+    if (membership.customer_id) customerIds.add(membership.customer_id);
+    else if (membership.organization_id) organizationIds.push(membership.organization_id);
+  }
+
+  if (organizationIds.length) {
+    const { data: orgCustomers } = await getSupabase()
+      .from('customers')
+      .select('id')
+      .in('organization_id', organizationIds);
+    (orgCustomers || []).forEach(c => customerIds.add(c.id));
+  }
+
+  return [...customerIds];
+}
+
 // ============================================
 // AI CONFIG QUERIES
 // ============================================
@@ -98,6 +175,147 @@ export async function getDefaultCompanion(customerId) {
   return data;
 }
 
+// ============================================
+// KNOWLEDGE CHUNK QUERIES
+// owner_key is 'customer' or 'companion:<id>'
+// ============================================
+export async function getKnowledgeChunks(customerId, ownerKey, sourceHash) {
+  const { data, error } = await getSupabase()
+    .from('knowledge_chunks')
+    .select('chunk_index, content, embedding')
+    .eq('customer_id', customerId)
+    .eq('owner_key', ownerKey)
+    .eq('source_hash', sourceHash)
+    .order('chunk_index', { ascending: true });
+
+  if (error) {
+    console.error('Failed to load knowledge chunks:', error);
+    return [];
+  }
+  return data || [];
+}
+
+export async function saveKnowledgeChunks(chunks) {
+  const { error } = await getSupabase()
+    .from('knowledge_chunks')
+    .upsert(chunks, {
+      onConflict: 'customer_id,owner_key,source_hash,chunk_index',
+      ignoreDuplicates: true
+    });
+
+  if (error) {
+    console.error('Failed to save knowledge chunks:', error);
+  }
+}
+
+export async function deleteStaleKnowledgeChunks(customerId, ownerKey, currentSourceHash) {
+  const { error } = await getSupabase()
+    .from('knowledge_chunks')
+    .delete()
+    .eq('customer_id', customerId)
+    .eq('owner_key', ownerKey)
+    .neq('source_hash', currentSourceHash);
+
+  if (error) {
+    console.error('Failed to delete stale knowledge chunks:', error);
+  }
+}
+
+// ============================================
+// COMPANION MEMORY QUERIES (per resident and companion)
+// ============================================
+// Without a companionKey: what every companion remembers about the resident
+export async function getCompanionMemories(customerId, visitorId, companionKey = null) {
+  let query = getSupabase()
+    .from('companion_memories')
+    .select('*')
+    .eq('customer_id', customerId)
+    .eq('visitor_id', visitorId)
+    .order('created_at', { ascending: true });
+
+  if (companionKey) query = query.eq('companion_key', companionKey);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Failed to load companion memories:', error);
+    return null;
+  }
+  return data || [];
+}
+
+export async function getCompanionMemory(memoryId) {
+  const { data } = await getSupabase()
+    .from('companion_memories')
+    .select('*')
+    .eq('id', memoryId)
+    .maybeSingle();
+  return data;
+}
+
+export async function createCompanionMemories(memories) {
+  const { data, error } = await getSupabase()
+    .from('companion_memories')
+    .insert(memories)
+    .select();
+
+  if (error) {
+    console.error('Failed to save companion memories:', error);
+    return null;
+  }
+  return data || [];
+}
+
+export async function updateCompanionMemory(memoryId, updates) {
+  const { data, error } = await getSupabase()
+    .from('companion_memories')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', memoryId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Failed to update companion memory:', error);
+    return null;
+  }
+  return data;
+}
+
+export async function deleteCompanionMemory(memoryId) {
+  const { error } = await getSupabase()
+    .from('companion_memories')
+    .delete()
+    .eq('id', memoryId);
+
+  if (error) {
+    console.error('Failed to delete companion memory:', error);
+    return false;
+  }
+  return true;
+}
+
+// Everything remembered about a resident - by one companion, or all of them
+export async function deleteCompanionMemories(customerId, visitorId, companionKey = null) {
+  let query = getSupabase()
+    .from('companion_memories')
+    .delete()
+    .eq('customer_id', customerId)
+    .eq('visitor_id', visitorId);
+
+  if (companionKey) query = query.eq('companion_key', companionKey);
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    console.error('Failed to delete companion memories:', error);
+    return null;
+  }
+  return (data || []).length;
+}
+
 // ============================================
 // SESSION QUERIES
 // ============================================
@@ -110,12 +328,13 @@ export async function getSession(sessionId) {
   return data;
 }
 
-export async function createSession(customerId, metadata = {}) {
+export async function createSession(customerId, metadata = {}, { visitorId } = {}) {
   const { data, error } = await getSupabase()
     .from('chat_sessions')
     .insert({
       customer_id: customerId,
       status: 'active',
+      visitor_id: visitorId || null,
       metadata
     })
     .select()
@@ -157,51 +376,955 @@ export async function updateSessionMetadata(sessionId, newMetadata) {
   await updateSession(sessionId, { metadata: merged });
 }
 
+// Assigns a session to a staff member unless someone else holds it (force takes it over)
+// Returns the updated session, or null when it is claimed by another user
+export async function assignSession(sessionId, userId, { force = false } = {}) {
+  const now = new Date().toISOString();
+  let query = getSupabase()
+    .from('chat_sessions')
+    .update({
+      assigned_user_id: userId,
+      assigned_at: now,
+      needs_human: true,
+      updated_at: now
+    })
+    .eq('id', sessionId);
+
+  if (!force) {
+    query = query.or(`assigned_user_id.is.null,assigned_user_id.eq.${userId}`);
+  }
+
+  const { data, error } = await query.select().maybeSingle();
+
+  if (error) {
+    console.error('Failed to assign session:', error);
+    return null;
+  }
+  return data;
+}
+
+// Sessions waiting on staff past their SLA (see handoff/sla.js). The clock
+// lives in metadata; ISO timestamps compare correctly as text.
+export async function getBreachedSessions(now, limit = 50) {
+  const { data, error } = await getSupabase()
+    .from('chat_sessions')
+    .select('*')
+    .eq('needs_human', true)
+    .is('metadata->>first_response_at', null)
+    .lte('metadata->>sla_due_at', now)
+    .order('metadata->>sla_due_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    console.error('Failed to load breached sessions:', error);
+    return [];
+  }
+  return data || [];
+}
+
+// Moves a breach on only if no other run got to it first (metadata.sla_due_at unchanged)
+export async function claimSlaBreach(session, updates, metadataUpdates) {
+  const { data, error } = await getSupabase()
+    .from('chat_sessions')
+    .update({
+      ...updates,
+      metadata: { ...(session.metadata || {}), ...metadataUpdates },
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', session.id)
+    .eq('metadata->>sla_due_at', session.metadata?.sla_due_at)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Failed to claim SLA breach:', error);
+    return null;
+  }
+  return data;
+}
+
+// Companion sessions that went quiet with resident turns not yet mined for memories
+export async function getSessionsPendingMemory(updatedAfter, updatedBefore, limit = 50) {
+  const { data, error } = await getSupabase()
+    .from('chat_sessions')
+    .select('*')
+    .not('visitor_id', 'is', null)
+    .not('metadata->companion', 'is', null)
+    .gt('metadata->memory->pending_turns', 0)
+    .gte('updated_at', updatedAfter)
+    .lte('updated_at', updatedBefore)
+    .order('updated_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    console.error('Failed to load idle sessions:', error);
+    return [];
+  }
+  return data || [];
+}
+
+// Newest session a resident had with a companion since a point in time
+export async function getLatestCompanionSession(customerId, visitorId, companionKey, since) {
+  const { data } = await getSupabase()
+    .from('chat_sessions')
+    .select('*')
+    .eq('customer_id', customerId)
+    .eq('visitor_id', visitorId)
+    .eq('metadata->>companion', companionKey)
+    .gte('updated_at', since)
+    .order('updated_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  return data;
+}
+
 // ============================================
 // MESSAGE QUERIES
 // ============================================
-export async function saveMessage(sessionId, role, content, senderType) {
+export async function saveMessage(sessionId, role, content, senderType, { tokensUsed, responseTimeMs } = {}) {
   const { error } = await getSupabase()
     .from('chat_messages')
     .insert({
       session_id: sessionId,
       role,
       content,
-      sender_type: senderType
+      sender_type: senderType,
+      tokens_used: tokensUsed ?? null,
+      response_time_ms: responseTimeMs ?? null
     });
   
   if (error) {
     console.error('Failed to save message:', error);
+    return false;
+  }
+  return true;
+}
+
+// Most recent messages of a session, oldest first (optionally only those after `since`).
+// limit: null loads all of them.
+export async function getSessionMessages(sessionId, { limit = 50, since } = {}) {
+  let query = getSupabase()
+    .from('chat_messages')
+    .select('role, content, sender_type, timestamp')
+    .eq('session_id', sessionId)
+    .order('timestamp', { ascending: false });
+
+  if (limit !== null) {
+    query = query.limit(limit);
+  }
+
+  if (since) {
+    query = query.gt('timestamp', since);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Failed to load session messages:', error);
+    return [];
+  }
+
+  return (data || []).reverse();
+}
+
+// The guest's first message after `since` (proactive reply check). Unlike
+// getSessionMessages this tells a failed query (undefined) from no reply (null).
+export async function getFirstUserMessageSince(sessionId, since) {
+  const { data, error } = await getSupabase()
+    .from('chat_messages')
+    .select('role, content, timestamp')
+    .eq('session_id', sessionId)
+    .eq('role', 'user')
+    .gt('timestamp', since)
+    .order('timestamp', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Failed to check for a reply:', error);
+    return undefined;
+  }
+  return data;
+}
+
+// Messages from `since` on, oldest first (realtime stream, which re-reads a window before its cursor)
+export async function getMessagesSince(sessionId, since, limit = 100) {
+  let query = getSupabase()
+    .from('chat_messages')
+    .select('id, role, content, sender_type, timestamp')
+    .eq('session_id', sessionId)
+    .order('timestamp', { ascending: true })
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (since) {
+    query = query.gte('timestamp', since);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Failed to load new messages:', error);
+    return null;
   }
+  return data || [];
 }
 
 // ============================================
-// NOTIFICATION QUERIES
+// LLM USAGE QUERIES
 // ============================================
-export async function notificationExists(sessionId, type) {
-  const { data } = await getSupabase()
-    .from('notifications')
-    .select('id')
-    .eq('session_id', sessionId)
-    .eq('type', type)
-    .single();
-  return !!data;
+export async function recordLlmUsage(usage) {
+  const { error } = await getSupabase()
+    .from('llm_usage')
+    .insert(usage);
+
+  if (error) {
+    console.error('Failed to record LLM usage:', error);
+  }
 }
 
-export async function createNotification(notification) {
+// Number of billable (non-test) LLM calls since a point in time
+export async function countLlmCalls(customerId, since) {
+  const { count, error } = await getSupabase()
+    .from('llm_usage')
+    .select('id', { count: 'exact', head: true })
+    .eq('customer_id', customerId)
+    .eq('is_test', false)
+    .gte('created_at', since);
+
+  if (error) {
+    console.error('Failed to count LLM calls:', error);
+    return 0;
+  }
+  return count || 0;
+}
+
+// Usage in a period summed in the database (llm_usage_totals, see README),
+// one row per customer, purpose, provider and model
+export async function getLlmUsageTotals({ customerId = null, from, to, includeTest = false }) {
   const { data, error } = await getSupabase()
-    .from('notifications')
-    .insert(notification)
-    .select()
-    .single();
-  
+    .rpc('llm_usage_totals', {
+      p_from: from,
+      p_to: to,
+      p_customer_id: customerId,
+      p_include_test: includeTest
+    });
+
   if (error) {
-    console.error('Failed to create notification:', error);
+    console.error('Failed to load LLM usage totals:', error);
     return null;
   }
+  return data || [];
+}
+
+// ============================================
+// RESERVATION QUERIES
+// ============================================
+// Confirmed reservations on a date - what availability is checked against
+export async function getReservationsForDate(customerId, date) {
+  const { data, error } = await getSupabase()
+    .from('reservations')
+    .select('id, reservation_time, duration_minutes, party_size, table_ids, created_at')
+    .eq('customer_id', customerId)
+    .eq('reservation_date', date)
+    .eq('status', 'confirmed');
+
+  if (error) {
+    console.error('Failed to load reservations:', error);
+    throw new Error('Failed to load reservations');
+  }
+  return data || [];
+}
+
+export async function getReservation(reservationId) {
+  const { data } = await getSupabase()
+    .from('reservations')
+    .select('*')
+    .eq('id', reservationId)
+    .maybeSingle();
   return data;
 }
 
+// Confirmed reservations from a date onward - candidates for a guest lookup
+export async function getUpcomingReservations(customerId, fromDate) {
+  const { data, error } = await getSupabase()
+    .from('reservations')
+    .select('*')
+    .eq('customer_id', customerId)
+    .eq('status', 'confirmed')
+    .gte('reservation_date', fromDate)
+    .order('reservation_date', { ascending: true });
+
+  if (error) {
+    console.error('Failed to load upcoming reservations:', error);
+    return [];
+  }
+  return data || [];
+}
+
+export async function createReservationRow(reservation) {
+  const { data, error } = await getSupabase()
+    .from('reservations')
+    .insert(reservation)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Failed to create reservation:', error);
+    return null;
+  }
+  return data;
+}
+
+export async function updateReservation(reservationId, updates) {
+  const { error } = await getSupabase()
+    .from('reservations')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', reservationId);
+
+  if (error) {
+    console.error('Failed to update reservation:', error);
+  }
+}
+
+export async function listReservations({ customerId, from, to, status }) {
+  let query = getSupabase()
+    .from('reservations')
+    .select('*')
+    .eq('customer_id', customerId)
+    .order('reservation_date', { ascending: true })
+    .order('reservation_time', { ascending: true });
+
+  if (from) query = query.gte('reservation_date', from);
+  if (to) query = query.lte('reservation_date', to);
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Failed to list reservations:', error);
+    return null;
+  }
+  return data || [];
+}
+
+// ============================================
+// RISK SCORE QUERIES
+// ============================================
+export async function getRiskScores(customerId, subjects) {
+  const { data, error } = await getSupabase()
+    .from('risk_scores')
+    .select('*')
+    .eq('customer_id', customerId)
+    .in('subject_key', subjects.map(s => s.key));
+
+  if (error) {
+    console.error('Failed to load risk scores:', error);
+    return [];
+  }
+
+  // Keys are only unique per subject type
+  return (data || []).filter(row =>
+    subjects.some(s => s.type === row.subject_type && s.key === row.subject_key)
+  );
+}
+
+// Adds points to each subject's decayed score in one statement and locks
+// the subjects that reach the threshold (add_risk_points, see README).
+// Returns the updated rows, or null when the scores could not be saved.
+export async function incrementRiskScores(customerId, subjects, points, { now, halfLifeMinutes, threshold, durationMinutes, reason }) {
+  const { data, error } = await getSupabase()
+    .rpc('add_risk_points', {
+      p_customer_id: customerId,
+      p_subjects: subjects,
+      p_points: points,
+      p_now: now,
+      p_half_life_minutes: halfLifeMinutes,
+      p_threshold: threshold,
+      p_duration_minutes: durationMinutes,
+      p_reason: reason
+    });
+
+  if (error) {
+    console.error('Failed to save risk scores:', error);
+    return null;
+  }
+  return data || [];
+}
+
+// Subjects that have been locked out, newest lockout first
+export async function listRiskLockouts({ customerId, subjectType, activeOnly }) {
+  let query = getSupabase()
+    .from('risk_scores')
+    .select('*')
+    .not('locked_at', 'is', null)
+    .order('locked_at', { ascending: false })
+    .limit(500);
+
+  if (customerId) query = query.eq('customer_id', customerId);
+  if (subjectType) query = query.eq('subject_type', subjectType);
+  if (activeOnly) query = query.gt('locked_until', new Date().toISOString());
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Failed to list lockouts:', error);
+    return null;
+  }
+  return data || [];
+}
+
+export async function getRiskScore(riskScoreId) {
+  const { data } = await getSupabase()
+    .from('risk_scores')
+    .select('*')
+    .eq('id', riskScoreId)
+    .maybeSingle();
+  return data;
+}
+
+// Ends a lockout for every subject locked with it (same customer and locked_at)
+// and resets their scores, so the next warning does not relock straight away
+export async function liftRiskLockout(lockout, liftedBy) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await getSupabase()
+    .from('risk_scores')
+    .update({
+      locked_until: null,
+      score: 0,
+      updated_at: now,
+      lifted_at: now,
+      lifted_by: liftedBy
+    })
+    .eq('customer_id', lockout.customer_id)
+    .eq('locked_at', lockout.locked_at)
+    .select();
+
+  if (error) {
+    console.error('Failed to lift lockout:', error);
+    return null;
+  }
+  return data || [];
+}
+
+// ============================================
+// PROACTIVE MESSAGE QUERIES (companion_schedules, proactive_messages)
+// ============================================
+export async function getDueCompanionSchedules(now) {
+  const { data, error } = await getSupabase()
+    .from('companion_schedules')
+    .select('*')
+    .eq('is_active', true)
+    .lte('next_run_at', now)
+    .order('next_run_at', { ascending: true })
+    .limit(100);
+
+  if (error) {
+    console.error('Failed to load due schedules:', error);
+    return [];
+  }
+  return data || [];
+}
+
+// Moves a schedule on only if no other run got to it first (next_run_at unchanged)
+export async function claimCompanionSchedule(scheduleId, expectedNextRunAt, updates) {
+  const { data, error } = await getSupabase()
+    .from('companion_schedules')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', scheduleId)
+    .eq('next_run_at', expectedNextRunAt)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Failed to claim schedule:', error);
+    return null;
+  }
+  return data;
+}
+
+export async function listCompanionSchedules({ customerId, visitorId }) {
+  let query = getSupabase()
+    .from('companion_schedules')
+    .select('*')
+    .eq('customer_id', customerId)
+    .order('created_at', { ascending: true });
+
+  if (visitorId) query = query.eq('visitor_id', visitorId);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Failed to list schedules:', error);
+    return null;
+  }
+  return data || [];
+}
+
+export async function getCompanionSchedule(scheduleId) {
+  const { data } = await getSupabase()
+    .from('companion_schedules')
+    .select('*')
+    .eq('id', scheduleId)
+    .maybeSingle();
+  return data;
+}
+
+export async function createCompanionSchedule(schedule) {
+  const { data, error } = await getSupabase()
+    .from('companion_schedules')
+    .insert(schedule)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Failed to create schedule:', error);
+    return null;
+  }
+  return data;
+}
+
+export async function updateCompanionSchedule(scheduleId, updates) {
+  const { data, error } = await getSupabase()
+    .from('companion_schedules')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', scheduleId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Failed to update schedule:', error);
+    return null;
+  }
+  return data;
+}
+
+export async function deleteCompanionSchedule(scheduleId) {
+  const { error } = await getSupabase()
+    .from('companion_schedules')
+    .delete()
+    .eq('id', scheduleId);
+
+  if (error) {
+    console.error('Failed to delete schedule:', error);
+    return false;
+  }
+  return true;
+}
+
+export async function createProactiveMessage(message) {
+  const { data, error } = await getSupabase()
+    .from('proactive_messages')
+    .insert(message)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Failed to record proactive message:', error);
+    return null;
+  }
+  return data;
+}
+
+// Sent messages whose reply window has closed without being checked
+export async function getProactiveMessagesAwaitingReply(now) {
+  const { data, error } = await getSupabase()
+    .from('proactive_messages')
+    .select('*')
+    .eq('status', 'awaiting_reply')
+    .lte('reply_due_at', now)
+    .order('reply_due_at', { ascending: true })
+    .limit(100);
+
+  if (error) {
+    console.error('Failed to load proactive messages:', error);
+    return [];
+  }
+  return data || [];
+}
+
+export async function updateProactiveMessage(messageId, updates) {
+  const { error } = await getSupabase()
+    .from('proactive_messages')
+    .update(updates)
+    .eq('id', messageId);
+
+  if (error) {
+    console.error('Failed to update proactive message:', error);
+  }
+}
+
+// ============================================
+// ROUTING QUERIES (routing_rules, teams, user_memberships)
+// ============================================
+// Lowest priority number first
+export async function getActiveRoutingRules(customerId) {
+  const { data, error } = await getSupabase()
+    .from('routing_rules')
+    .select('*')
+    .eq('customer_id', customerId)
+    .eq('is_active', true)
+    .order('priority', { ascending: true });
+
+  if (error) {
+    console.error('Failed to load routing rules:', error);
+    return [];
+  }
+  return data || [];
+}
+
+export async function getTeam(teamId) {
+  const { data } = await getSupabase()
+    .from('teams')
+    .select('*')
+    .eq('id', teamId)
+    .maybeSingle();
+  return data;
+}
+
+export async function getTeams(customerId) {
+  const { data, error } = await getSupabase()
+    .from('teams')
+    .select('*')
+    .eq('customer_id', customerId);
+
+  if (error) {
+    console.error('Failed to load teams:', error);
+    return [];
+  }
+  return data || [];
+}
+
+// A team's members are the user_memberships pointing at it
+export async function getTeamMembers(teamId) {
+  const { data, error } = await getSupabase()
+    .from('user_memberships')
+    .select('user_id, role, permissions')
+    .eq('team_id', teamId);
+
+  if (error) {
+    console.error('Failed to load team members:', error);
+    return [];
+  }
+  return data || [];
+}
+
+// A staff member's memberships of a customer (their notification settings live in permissions)
+export async function getUserMemberships(customerId, userId) {
+  const { data, error } = await getSupabase()
+    .from('user_memberships')
+    .select('user_id, team_id, role, permissions')
+    .eq('customer_id', customerId)
+    .eq('user_id', userId);
+
+  if (error) {
+    console.error('Failed to load user memberships:', error);
+    return [];
+  }
+  return data || [];
+}
+
+// ============================================
+// SESSION ESCALATION QUERIES (SLA breaches)
+// ============================================
+export async function createSessionEscalation(escalation) {
+  const { data, error } = await getSupabase()
+    .from('session_escalations')
+    .insert(escalation)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Failed to create session escalation:', error);
+    return null;
+  }
+  return data;
+}
+
+// session_escalations has no customer_id - filtered through the session
+export async function listSessionEscalations({ customerId, teamId, from, to }) {
+  let query = getSupabase()
+    .from('session_escalations')
+    .select('*, chat_sessions!inner(customer_id, metadata)')
+    .eq('chat_sessions.customer_id', customerId)
+    .order('created_at', { ascending: true });
+
+  if (teamId) query = query.eq('from_team_id', teamId);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lt('created_at', to);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Failed to list session escalations:', error);
+    return null;
+  }
+  return data || [];
+}
+
+// ============================================
+// SESSION EVENT QUERIES (audit trail of handoffs and staff actions)
+// ============================================
+export async function createSessionEvent(event) {
+  const { data, error } = await getSupabase()
+    .from('session_events')
+    .insert(event)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Failed to record session event:', error);
+    return null;
+  }
+  return data;
+}
+
+// Oldest first, like the messages they sit between (optionally only those from `since` on)
+export async function listSessionEvents(sessionId, { since, limit = 200 } = {}) {
+  let query = getSupabase()
+    .from('session_events')
+    .select('*')
+    .eq('session_id', sessionId)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (since) {
+    query = query.gte('created_at', since);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Failed to load session events:', error);
+    return null;
+  }
+  return data;
+}
+
+// ============================================
+// TYPING PRESENCE QUERIES (short-lived, see realtime/typing.js)
+// ============================================
+export async function upsertTypingPresence(presence) {
+  const { error } = await getSupabase()
+    .from('typing_presence')
+    .upsert(presence, { onConflict: 'session_id,participant' });
+
+  if (error) {
+    console.error('Failed to save typing presence:', error);
+    return false;
+  }
+  return true;
+}
+
+// Removes a participant's presence, and any presence in the session that has expired
+export async function deleteTypingPresence(sessionId, participant, now) {
+  const { error } = await getSupabase()
+    .from('typing_presence')
+    .delete()
+    .eq('session_id', sessionId)
+    .or(`participant.eq."${participant}",expires_at.lte.${now}`);
+
+  if (error) {
+    console.error('Failed to clear typing presence:', error);
+    return false;
+  }
+  return true;
+}
+
+export async function getActiveTypingPresence(sessionId, now) {
+  const { data, error } = await getSupabase()
+    .from('typing_presence')
+    .select('participant, sender, user_id, expires_at')
+    .eq('session_id', sessionId)
+    .gt('expires_at', now);
+
+  if (error) {
+    console.error('Failed to load typing presence:', error);
+    return null;
+  }
+  return data || [];
+}
+
+// ============================================
+// NOTIFICATION QUERIES
+// ============================================
+export async function notificationExists(sessionId, type) {
+  const { data } = await getSupabase()
+    .from('notifications')
+    .select('id')
+    .eq('session_id', sessionId)
+    .eq('type', type)
+    .single();
+  return !!data;
+}
+
+export async function getSessionNotification(sessionId, type) {
+  const { data } = await getSupabase()
+    .from('notifications')
+    .select('*')
+    .eq('session_id', sessionId)
+    .eq('type', type)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  return data;
+}
+
+export async function updateNotification(notificationId, updates) {
+  const { error } = await getSupabase()
+    .from('notifications')
+    .update(updates)
+    .eq('id', notificationId);
+
+  if (error) {
+    console.error('Failed to update notification:', error);
+  }
+}
+
+export async function createNotification(notification) {
+  const { data, error } = await getSupabase()
+    .from('notifications')
+    .insert(notification)
+    .select()
+    .single();
+  
+  if (error) {
+    console.error('Failed to create notification:', error);
+    return null;
+  }
+  return data;
+}
+
+export async function getNotification(notificationId) {
+  const { data } = await getSupabase()
+    .from('notifications')
+    .select('*')
+    .eq('id', notificationId)
+    .maybeSingle();
+  return data;
+}
+
+// ============================================
+// WELLBEING QUERIES (care contacts and alerts)
+// ============================================
+// Contacts for a resident: their own (visitor_id) plus facility-wide ones (visitor_id null)
+export async function getCareContacts(customerId, visitorId, companionKey) {
+  const { data, error } = await getSupabase()
+    .from('care_contacts')
+    .select('*')
+    .eq('customer_id', customerId)
+    .eq('is_active', true);
+
+  if (error) {
+    console.error('Failed to load care contacts:', error);
+    return [];
+  }
+
+  return (data || []).filter(contact =>
+    (!contact.visitor_id || contact.visitor_id === visitorId) &&
+    (!contact.companion_key || contact.companion_key === companionKey)
+  );
+}
+
+// Newest unacknowledged alert for a session since a point in time
+export async function getOpenWellbeingAlert(sessionId, since) {
+  const { data } = await getSupabase()
+    .from('wellbeing_alerts')
+    .select('*')
+    .eq('session_id', sessionId)
+    .is('acknowledged_at', null)
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  return data;
+}
+
+export async function createWellbeingAlert(alert) {
+  const { data, error } = await getSupabase()
+    .from('wellbeing_alerts')
+    .insert(alert)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Failed to create wellbeing alert:', error);
+    return null;
+  }
+  return data;
+}
+
+export async function getWellbeingAlert(alertId) {
+  const { data } = await getSupabase()
+    .from('wellbeing_alerts')
+    .select('*')
+    .eq('id', alertId)
+    .maybeSingle();
+  return data;
+}
+
+export async function updateWellbeingAlert(alertId, updates) {
+  const { error } = await getSupabase()
+    .from('wellbeing_alerts')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', alertId);
+
+  if (error) {
+    console.error('Failed to update wellbeing alert:', error);
+  }
+}
+
+// Unacknowledged alerts whose next escalation is due
+export async function getDueWellbeingAlerts(now) {
+  const { data, error } = await getSupabase()
+    .from('wellbeing_alerts')
+    .select('*')
+    .is('acknowledged_at', null)
+    .not('next_escalation_at', 'is', null)
+    .lte('next_escalation_at', now)
+    .order('next_escalation_at', { ascending: true })
+    .limit(100);
+
+  if (error) {
+    console.error('Failed to load due wellbeing alerts:', error);
+    return [];
+  }
+  return data || [];
+}
+
+export async function listWellbeingAlerts({ customerId, openOnly }) {
+  let query = getSupabase()
+    .from('wellbeing_alerts')
+    .select('*')
+    .eq('customer_id', customerId)
+    .order('created_at', { ascending: false })
+    .limit(200);
+
+  if (openOnly) query = query.is('acknowledged_at', null);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Failed to list wellbeing alerts:', error);
+    return null;
+  }
+  return data || [];
+}
+
 // ============================================
 // EMAIL TEMPLATE QUERIES
 // ============================================
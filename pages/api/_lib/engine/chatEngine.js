@@ -9,25 +9,43 @@ import {
   createSession,
   updateSession,
   updateSessionMetadata,
-  saveMessage
+  saveMessage,
+  getSessionMessages
 } from '../db/supabase.js';
 
-import { callGemini, buildChatContents, buildSystemPrompt } from '../ai/gemini.js';
-import { shouldRunAnalysis, analyzeConversation, getFiredTriggers, analyzePromptSafety } from '../ai/analysis.js';
+import { buildChatContents, buildSystemPrompt } from '../ai/gemini.js';
+import { resolveModelConfig } from '../ai/llm.js';
+import { loadTenantTools } from '../tools/registry.js';
+import { generateWithTools } from '../tools/runner.js';
+import { shouldRunAnalysis, analyzeConversation, getFiredTriggers } from '../ai/analysis.js';
+import { resolveAnalysisSchema } from '../ai/extraction.js';
 import { checkKeywordTriggers, executeActionsForTrigger } from '../actions/executor.js';
 import { pushNewGuestMessage } from '../notifications/push.js';
-import { sendSuperadminAlert } from '../notifications/email.js';
-
-const SUPERADMIN_EMAIL = 'eric@eryai.tech';
-
-// Risk level threshold for blocking
-const RISK_THRESHOLD_BLOCK = 7;  // 7-10 = block and alert
-const RISK_THRESHOLD_LOG = 4;    // 4-6 = log but allow
+import { sessionAudience } from '../handoff/routing.js';
+import { getRelevantKnowledge } from '../knowledge/retrieval.js';
+import { getContextSettings, selectRecentHistory, needsSummaryRefresh, refreshConversationSummary } from '../ai/context.js';
+import { getQuotaStatus, isAtLeast, getCheaperModelConfig, notifyQuotaThreshold } from '../billing/quota.js';
+import { resolveLocale, localize } from '../i18n/locale.js';
+import { judgePrompt, recordSecurityVerdict } from '../security/judge.js';
+import { getSecurityPolicy, decideSecurityAction, sendSecurityAlert } from '../security/policy.js';
+import { getOutputGuardSettings, createGuardContext, guardResponse, guardStream, recordOutputGuardEvent } from '../security/outputGuard.js';
+import { getLockoutSettings, riskSubjects, pointsForVerdict, findActiveLockout, addRiskPoints } from '../security/riskScore.js';
+import { resolveVertical } from '../verticals/index.js';
+import { companionAiConfig } from './companion.js';
+import { matchUrgentPhrases, assessWellbeing } from '../wellbeing/detection.js';
+import { getWellbeingSettings, tracksWellbeing, severityFor, nextWellbeingState, raiseWellbeingAlert } from '../wellbeing/alerts.js';
+import { getMemorySettings, memoryOwner, loadRelevantMemories, extractSessionMemories } from '../memory/companionMemory.js';
+
+// Client-supplied history (brand-new sessions only) is capped and stripped
+const MAX_CLIENT_HISTORY_MESSAGES = 20;
+const MAX_CLIENT_MESSAGE_LENGTH = 2000;
 
 // ============================================
 // MAIN CHAT ENGINE
+// Streaming is opt-in: onDelta receives text chunks as they arrive and
+// onDone receives the final payload before post-response analysis runs
 // ============================================
-export async function handleChat({ prompt, history, sessionId, customerId, slug, companion, isTestMode }) {
+export async function handleChat({ prompt, history, sessionId, customerId, slug, companion, visitorId, clientIP, isTestMode, onDelta, onDone }) {
   
   // ============================================
   // STEP 1: Identify customer
@@ -73,60 +91,155 @@ export async function handleChat({ prompt, history, sessionId, customerId, slug,
       console.log(`👤 Companion loaded: ${companionData.ai_name} (${companionData.companion_key})`);
       
       // Override AI config with companion settings
-      effectiveAiConfig = {
-        ...aiConfig,
-        ai_name: companionData.ai_name,
-        ai_role: companionData.ai_role || aiConfig.ai_role,
-        greeting: companionData.greeting || aiConfig.greeting,
-        system_prompt: companionData.system_prompt,
-        knowledge_base: companionData.knowledge_base || aiConfig.knowledge_base,
-        temperature: companionData.temperature || aiConfig.temperature,
-        max_tokens: companionData.max_tokens || aiConfig.max_tokens
-      };
+      effectiveAiConfig = companionAiConfig(aiConfig, companionData);
     } else {
       console.warn(`⚠️ Companion '${companion}' not found for customer ${customer.id}`);
     }
   }
 
+  // Vertical profile (restaurant, eldercare, ...) - judge context, analysis, safe replies, wording
+  const vertical = resolveVertical(customer, { companion });
+  console.log(`🏷️ Vertical: ${vertical.key}`);
+
   console.log(`🤖 AI loaded: ${effectiveAiConfig.ai_name} (${effectiveAiConfig.ai_role})`);
   console.log(`📋 Loaded ${actions.length} actions`);
 
+  // Provider/model per purpose (tenant overrides from customers.settings / customer_ai_config)
+  const models = {
+    chat: resolveModelConfig(customer, aiConfig, 'chat'),
+    judge: resolveModelConfig(customer, aiConfig, 'judge'),
+    analysis: resolveModelConfig(customer, aiConfig, 'analysis'),
+    summary: resolveModelConfig(customer, aiConfig, 'summary')
+  };
+
   // ============================================
-  // STEP 3: AI-POWERED SECURITY CHECK
-  // Always analyze ALL messages (costs ~$0.001 per check)
-  // This catches threats in ALL languages
+  // STEP 2.6: Quota check - degrade gracefully near the plan limit
+  // cheaper_model -> skip_analysis -> busy (no LLM calls at all)
   // ============================================
-  let securityAnalysis = { suspicious: false, reason: null, riskLevel: 0 };
-  
-  // Determine customer type for context-aware security
-  const customerType = slug?.includes('eldercare') || companion ? 'eldercare' : 'restaurant';
-  
-  // Always run AI security analysis
-  console.log('🔍 Running AI security analysis...');
-  securityAnalysis = await analyzePromptSafety(prompt, customerType);
-  console.log(`🔍 Security result: Risk ${securityAnalysis.riskLevel}/10 - ${securityAnalysis.reason}`);
+  const quotaStatus = await getQuotaStatus(customer);
 
-  const isSuspicious = securityAnalysis.riskLevel >= RISK_THRESHOLD_BLOCK;
-  const isWarning = securityAnalysis.riskLevel >= RISK_THRESHOLD_LOG && securityAnalysis.riskLevel < RISK_THRESHOLD_BLOCK;
+  if (quotaStatus.level !== 'ok') {
+    console.warn(`📊 [QUOTA] ${customer.name}: ${quotaStatus.used}/${quotaStatus.limit} calls - ${quotaStatus.level}`);
+    await notifyQuotaThreshold(customer, quotaStatus, isTestMode);
+  }
 
-  if (isWarning) {
-    console.warn(`⚠️ [SECURITY WARNING] Risk ${securityAnalysis.riskLevel}/10: "${prompt.substring(0, 50)}..." - ${securityAnalysis.reason}`);
+  if (isAtLeast(quotaStatus, 'cheaper_model')) {
+    models.chat = getCheaperModelConfig(quotaStatus, models.chat);
   }
 
+  const isOverQuota = quotaStatus.level === 'busy';
+
+  console.log(`🧩 Models: chat=${models.chat.provider}/${models.chat.model || 'default'}, judge=${models.judge.provider}/${models.judge.model || 'default'}, analysis=${models.analysis.provider}/${models.analysis.model || 'default'}`);
+
   // ============================================
-  // STEP 4: Get or create session
+  // STEP 2.7: Lockout - accumulated risk (session, visitor or IP) over the limit
+  // Canned reply before anything else happens: no session, no LLM calls.
+  // chat.js tightens the rate limit for the IP while it lasts.
+  // ============================================
+  const lockoutSettings = getLockoutSettings(customer);
+
+  if (lockoutSettings.enabled) {
+    const activeLockout = await findActiveLockout(customer.id, riskSubjects({ sessionId, visitorId, clientIP }));
+
+    if (activeLockout) {
+      console.warn(`🔒 [LOCKOUT] ${activeLockout.subject_type} locked until ${activeLockout.locked_until}`);
+      const lockoutLocale = resolveLocale({ customer, aiConfig, companion: companionData, vertical, prompt });
+
+      const lockoutResponse = lockoutResult({
+        sessionId: sessionId || null,
+        customer,
+        aiName: effectiveAiConfig.ai_name,
+        locale: lockoutLocale,
+        lockedUntil: activeLockout.locked_until
+      });
+
+      // A resident who is locked out and writes that they fell is still heard
+      const lockedSession = sessionId ? await getSession(sessionId) : null;
+      const wellbeingSettings = getWellbeingSettings(customer);
+
+      if (lockedSession?.customer_id === customer.id && tracksWellbeing(wellbeingSettings, vertical, companionData)) {
+        const urgent = await alertOnUrgentPhrases({
+          customer,
+          session: lockedSession,
+          vertical,
+          settings: wellbeingSettings,
+          prompt,
+          isTestMode
+        });
+
+        if (urgent) {
+          await saveMessage(lockedSession.id, 'user', prompt, 'user');
+          await saveMessage(lockedSession.id, 'assistant', lockoutResponse.response, 'ai');
+        }
+      }
+
+      return lockoutResponse;
+    }
+  }
+
+  // ============================================
+  // STEP 3: Get or create session
   // ============================================
   let currentSessionId = sessionId;
   let existingSession = null;
 
   if (currentSessionId) {
     existingSession = await getSession(currentSessionId);
+
+    // Session ids come from the client - another tenant's session is never
+    // continued (its history would end up in this tenant's prompt)
+    if (existingSession && existingSession.customer_id !== customer.id) {
+      console.warn(`⚠️ Session ${currentSessionId} belongs to another customer - starting a new session`);
+      currentSessionId = null;
+      existingSession = null;
+    }
+  }
+
+  // ============================================
+  // STEP 3.1: Load conversation history
+  // Existing sessions: chat_messages is the only source of truth.
+  // New sessions: client history is accepted (stripped of staff messages)
+  // unless the tenant runs in strict mode.
+  // Turns already folded into the rolling summary are not reloaded; every
+  // later turn is, so none drops out before the summary has covered it.
+  // ============================================
+  let conversationHistory = [];
+  let conversationSummary = existingSession?.metadata?.conversation_summary || null;
+  const contextSettings = getContextSettings(customer);
+
+  if (existingSession) {
+    conversationHistory = await getSessionMessages(existingSession.id, {
+      since: conversationSummary?.covered_until,
+      limit: null
+    });
+    console.log(`📜 Loaded ${conversationHistory.length} messages from chat_messages`);
+  } else if (!isStrictHistory(customer)) {
+    conversationHistory = sanitizeClientHistory(history);
+  }
+
+  // ============================================
+  // STEP 3.2: Guest language (detected per message, remembered on the session)
+  // ============================================
+  const locale = resolveLocale({
+    customer,
+    aiConfig,
+    companion: companionData,
+    vertical,
+    session: existingSession,
+    prompt
+  });
+
+  console.log(`🌐 Language: ${locale.language}${locale.detected ? ' (detected)' : ''}`);
+
+  if (existingSession && locale.detected && locale.detected !== existingSession.metadata?.language) {
+    await updateSessionMetadata(existingSession.id, { language: locale.detected });
   }
 
   if (!currentSessionId) {
     const sessionMetadata = {
       source: 'eryai-engine',
-      is_test: isTestMode
+      is_test: isTestMode,
+      language: locale.language
     };
 
     // Store companion in session metadata if used
@@ -135,7 +248,7 @@ export async function handleChat({ prompt, history, sessionId, customerId, slug,
       sessionMetadata.companion_name = companionData.ai_name;
     }
 
-    const newSession = await createSession(customer.id, sessionMetadata);
+    const newSession = await createSession(customer.id, sessionMetadata, { visitorId });
 
     if (newSession) {
       currentSessionId = newSession.id;
@@ -145,63 +258,185 @@ export async function handleChat({ prompt, history, sessionId, customerId, slug,
   }
 
   // ============================================
-  // STEP 5: Handle suspicious sessions (risk >= 7)
+  // STEP 3.3: Wellbeing - urgent phrases (companion sessions)
+  // Before the security check and every early return after it, see
+  // alertOnUrgentPhrases
   // ============================================
-  if (isSuspicious && currentSessionId) {
-    console.warn(`🚨 [SECURITY] Suspicious activity detected!`);
-    console.warn(`Session: ${currentSessionId}`);
-    console.warn(`Risk Level: ${securityAnalysis.riskLevel}/10`);
-    console.warn(`Reason: ${securityAnalysis.reason}`);
-    console.warn(`Prompt: "${prompt.substring(0, 100)}..."`);
+  const wellbeingSettings = getWellbeingSettings(customer);
+  const watchWellbeing = !!existingSession && tracksWellbeing(wellbeingSettings, vertical, companionData);
+  let wellbeingState = existingSession?.metadata?.wellbeing;
 
-    // Flag session and route to superadmin
-    await updateSession(currentSessionId, {
-      suspicious: true,
-      suspicious_reason: securityAnalysis.reason,
-      risk_level: securityAnalysis.riskLevel,
-      routed_to_superadmin: true
+  if (watchWellbeing) {
+    wellbeingState = await alertOnUrgentPhrases({
+      customer,
+      session: existingSession,
+      vertical,
+      settings: wellbeingSettings,
+      prompt,
+      isTestMode
+    }) || wellbeingState;
+  }
+
+  // ============================================
+  // STEP 4: AI-POWERED SECURITY CHECK
+  // Judged with the recent turns as context. A local prefilter clears
+  // obviously benign messages and repeated prompts reuse cached verdicts,
+  // so the judge model is only called when it matters.
+  // ============================================
+  let securityAnalysis = { suspicious: false, reason: null, riskLevel: 0 };
+
+  // No LLM is called at all when over quota
+  if (isOverQuota) {
+    securityAnalysis = { suspicious: false, reason: 'Skipped - quota exhausted', riskLevel: 0, path: 'skipped' };
+  } else {
+    securityAnalysis = await judgePrompt({
+      prompt,
+      history: conversationHistory,
+      previousVerdicts: existingSession?.metadata?.security_verdicts || [],
+      vertical,
+      modelConfig: models.judge,
+      usageContext: {
+        customerId: customer.id,
+        sessionId: currentSessionId || null,
+        isTestMode
+      }
     });
+  }
+  console.log(`🔍 Security result (${securityAnalysis.path}): Risk ${securityAnalysis.riskLevel}/10 - ${securityAnalysis.reason}`);
 
-    // Save the suspicious message
-    await saveMessage(currentSessionId, 'user', prompt, 'user');
+  await recordSecurityVerdict(currentSessionId, securityAnalysis, prompt);
 
-    // Send security alert email to superadmin
-    try {
-      await sendSuperadminAlert({
-        to: SUPERADMIN_EMAIL,
-        subject: `🚨 [SECURITY] Risk ${securityAnalysis.riskLevel}/10 - ${customer.name}`,
+  // Tenant policy decides what a verdict means (thresholds, fail-open/closed, action)
+  const securityPolicy = getSecurityPolicy(customer);
+  const securityDecision = decideSecurityAction(securityAnalysis, securityPolicy, existingSession);
+
+  // Warnings add up per session, visitor and IP (security/riskScore.js)
+  const subjects = riskSubjects({ sessionId: currentSessionId, visitorId, clientIP });
+  const riskPoints = lockoutSettings.enabled ? pointsForVerdict(securityAnalysis, securityPolicy) : 0;
+  const riskUpdate = await addRiskPoints(customer.id, subjects, riskPoints, securityAnalysis.reason, lockoutSettings);
+
+  if (riskUpdate) {
+    console.log(`📈 Risk scores: ${Object.entries(riskUpdate.scores).map(([type, score]) => `${type}=${score}`).join(', ')}`);
+  }
+
+  if (riskUpdate?.lockout) {
+    console.warn(`🔒 [LOCKOUT] ${riskUpdate.lockout.reason} - locked until ${riskUpdate.lockout.lockedUntil}`);
+
+    const lockoutResponse = lockoutResult({
+      sessionId: currentSessionId,
+      customer,
+      aiName: effectiveAiConfig.ai_name,
+      locale,
+      lockedUntil: riskUpdate.lockout.lockedUntil,
+      riskLevel: securityAnalysis.riskLevel
+    });
+
+    if (currentSessionId) {
+      await updateSession(currentSessionId, {
+        suspicious: true,
+        suspicious_reason: riskUpdate.lockout.reason,
+        risk_level: securityAnalysis.riskLevel,
+        routed_to_superadmin: true
+      });
+      await saveMessage(currentSessionId, 'user', prompt, 'user');
+      await saveMessage(currentSessionId, 'assistant', lockoutResponse.response, 'ai');
+    }
+
+    await sendSecurityAlert(securityPolicy, {
+      subject: `🔒 [SECURITY] Visitor locked out - ${customer.name}`,
+      customerName: customer.name,
+      sessionId: currentSessionId,
+      reason: riskUpdate.lockout.reason,
+      prompt,
+      isTestMode
+    });
+
+    return lockoutResponse;
+  }
+
+  if (securityDecision.level === 'warn') {
+    console.warn(`⚠️ [SECURITY WARNING] Risk ${securityAnalysis.riskLevel}/10: "${prompt.substring(0, 50)}..." - ${securityAnalysis.reason}`);
+
+    if (securityPolicy.alert_on_warn && currentSessionId) {
+      await sendSecurityAlert(securityPolicy, {
+        subject: `⚠️ [SECURITY] Warning, risk ${securityAnalysis.riskLevel}/10 - ${customer.name}`,
         customerName: customer.name,
         sessionId: currentSessionId,
         reason: securityAnalysis.reason,
-        riskLevel: securityAnalysis.riskLevel,
-        prompt: prompt,
+        prompt,
         isTestMode
       });
-      console.log('✅ Security alert email sent to superadmin');
-    } catch (emailError) {
-      console.error('❌ Failed to send security alert:', emailError.message);
     }
+  }
 
-    // Return a safe, non-technical response
-    // The AI stays in character and doesn't acknowledge the security system
-    const safeResponse = customerType === 'eldercare'
-      ? 'Beklager, jeg forstår ikke helt hva du mener. Skal vi snakke om noe hyggelig i stedet?'
-      : 'Jeg forstår dessverre ikke spørsmålet. Kan jeg hjelpe deg med noe annet?';
+  // ============================================
+  // STEP 5: Handle suspicious messages (risk >= the tenant's block threshold)
+  // block     - safe reply, session flagged, alert
+  // challenge - ask the guest to rephrase (max_challenges times, then block)
+  // log       - session flagged and alert, but the assistant answers normally
+  // ============================================
+  if (securityDecision.level === 'block' && currentSessionId) {
+    console.warn(`🚨 [SECURITY] Suspicious activity detected! Action: ${securityDecision.action}`);
+    console.warn(`Session: ${currentSessionId}`);
+    console.warn(`Risk Level: ${securityAnalysis.riskLevel}/10`);
+    console.warn(`Reason: ${securityDecision.reason}`);
+    console.warn(`Prompt: "${prompt.substring(0, 100)}..."`);
 
-    // Save the safe response
-    await saveMessage(currentSessionId, 'assistant', safeResponse, 'ai');
+    // A judge outage is not the guest's fault - blocked, but not flagged
+    const shouldFlag = !securityDecision.failedClosed && securityDecision.action !== 'challenge';
 
-    return {
-      response: safeResponse,
-      sessionId: currentSessionId,
-      customerId: customer.id,
-      customerName: customer.name,
-      aiName: effectiveAiConfig.ai_name,
-      triggeredActions: [],
-      needsHandoff: false,
-      suspicious: true,
-      riskLevel: securityAnalysis.riskLevel
-    };
+    if (shouldFlag) {
+      // Flag session and route to superadmin
+      await updateSession(currentSessionId, {
+        suspicious: true,
+        suspicious_reason: securityDecision.reason,
+        risk_level: securityAnalysis.riskLevel,
+        routed_to_superadmin: true
+      });
+
+      await sendSecurityAlert(securityPolicy, {
+        subject: `🚨 [SECURITY] Risk ${securityAnalysis.riskLevel}/10 - ${customer.name}`,
+        customerName: customer.name,
+        sessionId: currentSessionId,
+        reason: securityDecision.reason,
+        prompt,
+        isTestMode
+      });
+    }
+
+    if (securityDecision.action !== 'log') {
+      // Save the suspicious message
+      await saveMessage(currentSessionId, 'user', prompt, 'user');
+
+      // Return a safe, non-technical response
+      // The AI stays in character and doesn't acknowledge the security system
+      let safeResponse;
+      if (securityDecision.action === 'challenge') {
+        safeResponse = localize(locale.strings, 'security_challenge');
+        await updateSessionMetadata(currentSessionId, {
+          security_challenges: (existingSession?.metadata?.security_challenges || 0) + 1
+        });
+      } else {
+        safeResponse = localize(locale.strings, vertical.safe_reply);
+      }
+
+      // Save the safe response
+      await saveMessage(currentSessionId, 'assistant', safeResponse, 'ai');
+
+      return {
+        response: safeResponse,
+        sessionId: currentSessionId,
+        customerId: customer.id,
+        customerName: customer.name,
+        aiName: effectiveAiConfig.ai_name,
+        triggeredActions: [],
+        needsHandoff: false,
+        suspicious: securityDecision.action === 'block',
+        ...(securityDecision.action === 'challenge' && { challenged: true }),
+        riskLevel: securityAnalysis.riskLevel,
+        language: locale.language
+      };
+    }
   }
 
   // ============================================
@@ -209,11 +444,13 @@ export async function handleChat({ prompt, history, sessionId, customerId, slug,
   // ============================================
   let humanTookOver = false;
 
-  // Check from history
-  if (history && Array.isArray(history)) {
-    const recentHistory = history.slice(-3);
-    humanTookOver = recentHistory.some(msg => msg.sender_type === 'human');
-  }
+  // Check from stored history (client history never carries staff messages).
+  // Staff replies from before the session was released back to the AI don't count
+  const releasedAt = existingSession?.metadata?.released_at;
+  const recentHistory = conversationHistory.slice(-3);
+  humanTookOver = recentHistory.some(msg =>
+    msg.sender_type === 'human' && (!releasedAt || new Date(msg.timestamp) > new Date(releasedAt))
+  );
 
   // Check session flag
   if (existingSession?.needs_human) {
@@ -239,10 +476,13 @@ export async function handleChat({ prompt, history, sessionId, customerId, slug,
   // STEP 8: If human took over, send push and return
   // ============================================
   if (humanTookOver && currentSessionId) {
-    const guestName = existingSession?.metadata?.guest_name || 'Gäst';
+    const guestName = existingSession?.metadata?.guest_name;
 
-    // Send push notification for new guest message
-    await pushNewGuestMessage(customer.id, currentSessionId, guestName, prompt);
+    // Send push notification for new guest message (to the assigned user or team)
+    const audience = await sessionAudience(customer.id, existingSession);
+    if (audience) {
+      await pushNewGuestMessage(customer.id, currentSessionId, guestName, prompt, vertical.notifications, audience);
+    }
 
     return {
       response: '',
@@ -251,6 +491,32 @@ export async function handleChat({ prompt, history, sessionId, customerId, slug,
     };
   }
 
+  // ============================================
+  // STEP 8.5: Quota exhausted - polite busy reply instead of an LLM call
+  // ============================================
+  if (isOverQuota) {
+    const busyResponse = quotaStatus.config.busy_message || localize(locale.strings, 'busy_message');
+
+    if (currentSessionId) {
+      await saveMessage(currentSessionId, 'assistant', busyResponse, 'ai');
+    }
+
+    return {
+      response: busyResponse,
+      sessionId: currentSessionId,
+      customerId: customer.id,
+      customerName: customer.name,
+      aiName: effectiveAiConfig.ai_name,
+      companion: companion || null,
+      triggeredActions: [],
+      needsHandoff: false,
+      suspicious: false,
+      riskLevel: securityAnalysis.riskLevel,
+      language: locale.language,
+      busy: true
+    };
+  }
+
   // ============================================
   // STEP 9: Check keyword triggers
   // ============================================
@@ -259,40 +525,191 @@ export async function handleChat({ prompt, history, sessionId, customerId, slug,
   // ============================================
   // STEP 10: Build system prompt and call AI
   // ============================================
-  const systemPrompt = buildSystemPrompt(effectiveAiConfig, triggeredActions);
-  const contents = buildChatContents(systemPrompt, effectiveAiConfig.greeting, history, prompt);
+  // Only link usage to sessions that actually exist in chat_sessions
+  const usageContext = {
+    customerId: customer.id,
+    sessionId: existingSession?.id || null,
+    isTestMode
+  };
+
+  // Large knowledge bases: only the chunks relevant to this prompt and recent guest turns
+  const knowledgeQuery = [
+    ...conversationHistory.filter(msg => msg.role === 'user').slice(-2).map(msg => msg.content),
+    prompt
+  ].join('\n');
+
+  const knowledgeChunks = await getRelevantKnowledge({
+    customer,
+    companion: companionData?.knowledge_base ? companionData : null,
+    knowledgeBase: effectiveAiConfig.knowledge_base,
+    query: knowledgeQuery,
+    usageContext
+  });
+
+  // Long-term memory about the resident (companion sessions with a visitorId)
+  const memorySettings = getMemorySettings(customer);
+  const memoryKey = existingSession ? memoryOwner(memorySettings, existingSession, companionData, visitorId) : null;
+  const memories = memoryKey
+    ? await loadRelevantMemories({ customer, owner: memoryKey, settings: memorySettings, query: knowledgeQuery, usageContext })
+    : null;
+
+  const systemPrompt = buildSystemPrompt(effectiveAiConfig, triggeredActions, knowledgeChunks, conversationSummary, memories);
+  const promptHistory = selectRecentHistory(conversationHistory, contextSettings);
+  const contents = buildChatContents(systemPrompt, effectiveAiConfig.greeting, promptHistory, prompt, locale.strings);
 
   let aiResponse = '';
+  let completion = null;
+
+  const generationOptions = {
+    temperature: effectiveAiConfig.temperature || 0.7,
+    maxOutputTokens: effectiveAiConfig.max_tokens || 500
+  };
+
+  // Tenant tools (customer_actions with trigger_type 'tool') the model may call
+  const tools = loadTenantTools(actions);
+
+  // Output guardrail context - what a reply must not repeat, and whose contact details it may contain
+  const guardSettings = getOutputGuardSettings(customer);
+  const outputGuard = guardSettings.enabled
+    ? createGuardContext({
+      systemPrompt: effectiveAiConfig.system_prompt,
+      knowledgeBase: effectiveAiConfig.knowledge_base,
+      conversation: [
+        ...conversationHistory.filter(msg => msg.role === 'user' || msg.sender_type === 'human').map(msg => msg.content),
+        ...(memories || []).map(memory => memory.content),
+        prompt
+      ],
+      customer,
+      settings: guardSettings,
+      vertical
+    })
+    : null;
+
+  // Streamed text only reaches the guest once the guardrail has checked it
+  const guardedStream = outputGuard ? guardStream(onDelta, outputGuard) : undefined;
 
   try {
-    aiResponse = await callGemini(contents, {
-      temperature: effectiveAiConfig.temperature || 0.7,
-      maxOutputTokens: effectiveAiConfig.max_tokens || 500
+    completion = await generateWithTools({
+      contents,
+      generationOptions,
+      modelConfig: models.chat,
+      usageContext,
+      tools,
+      toolContext: {
+        customer,
+        sessionId: existingSession?.id || null,
+        session: existingSession,
+        aiConfig: effectiveAiConfig,
+        analysisConfig,
+        vertical,
+        isTestMode
+      },
+      onDelta: guardedStream ? guardedStream.onDelta : onDelta,
+      maxSteps: customer.settings?.tools?.max_steps
     });
+    aiResponse = completion.text;
   } catch (err) {
-    console.error('Gemini error:', err);
+    console.error('LLM error:', err);
     return { error: 'AI service error', status: 500 };
   }
 
+  console.log(`📈 Usage: ${completion.usage.promptTokens}+${completion.usage.completionTokens} tokens, ${completion.latencyMs}ms, $${completion.costUsd ?? 'n/a'}`);
+
+  // ============================================
+  // STEP 10.5: Output guardrail - leaks, secrets, foreign PII, unsafe advice
+  // ============================================
+  let guardOutcome = null;
+
+  if (outputGuard && aiResponse) {
+    guardOutcome = await guardResponse({
+      text: aiResponse,
+      prompt,
+      guard: outputGuard,
+      fallbackText: localize(locale.strings, vertical.safe_reply),
+      referralText: localize(locale.strings, 'medical_referral'),
+      modelConfig: models.judge,
+      usageContext
+    });
+
+    guardedStream?.finish(guardOutcome);
+
+    if (guardOutcome.action !== 'pass') {
+      console.warn(`🛡️ [OUTPUT GUARD] ${guardOutcome.action}: ${guardOutcome.findings.map(f => f.type).join(', ')}`);
+      aiResponse = guardOutcome.text;
+      await recordOutputGuardEvent(currentSessionId, guardOutcome);
+    }
+
+    if (guardOutcome.flag && currentSessionId) {
+      await flagOutputLeak(customer, currentSessionId, prompt, guardOutcome, securityPolicy, isTestMode);
+
+      // Counts towards a lockout from the next message on
+      if (lockoutSettings.enabled) {
+        await addRiskPoints(customer.id, subjects, lockoutSettings.output_leak_points, 'Output guard flagged a reply', lockoutSettings);
+      }
+    }
+  }
+
   // ============================================
   // STEP 11: Save AI response
   // ============================================
   if (currentSessionId && aiResponse) {
-    await saveMessage(currentSessionId, 'assistant', aiResponse, 'ai');
+    await saveMessage(currentSessionId, 'assistant', aiResponse, 'ai', {
+      tokensUsed: completion.usage.promptTokens + completion.usage.completionTokens,
+      responseTimeMs: completion.latencyMs
+    });
     await updateSession(currentSessionId, {});
   }
 
+  const result = {
+    response: aiResponse,
+    sessionId: currentSessionId,
+    customerId: customer.id,
+    customerName: customer.name,
+    aiName: effectiveAiConfig.ai_name,
+    companion: companion || null,
+    triggeredActions: triggeredActions.map(a => a.action_type),
+    toolCalls: completion.toolCalls.map(call => call.name),
+    needsHandoff: false,
+    suspicious: !!guardOutcome?.flag,
+    riskLevel: securityAnalysis.riskLevel,
+    language: locale.language,
+    ...(guardOutcome && guardOutcome.action !== 'pass' && { outputGuard: guardOutcome.action })
+  };
+
+  // Streaming clients get the final payload now; analysis continues below
+  if (onDone) {
+    onDone(result);
+  }
+
+  // ============================================
+  // STEP 11.5: Refresh rolling summary when history outgrows the budget
+  // ============================================
+  const historyWithTurn = [
+    ...conversationHistory,
+    { role: 'user', content: prompt },
+    { role: 'assistant', content: aiResponse }
+  ];
+
+  if (existingSession && needsSummaryRefresh(historyWithTurn, contextSettings)) {
+    conversationSummary = await refreshConversationSummary({
+      sessionId: existingSession.id,
+      summary: conversationSummary,
+      history: historyWithTurn,
+      settings: contextSettings,
+      modelConfig: models.summary,
+      usageContext
+    });
+  }
+
   // ============================================
   // STEP 12: Run analysis (AWAIT to ensure completion)
   // ============================================
-  if (currentSessionId && analysisConfig) {
+  if (currentSessionId && analysisConfig && isAtLeast(quotaStatus, 'skip_analysis')) {
+    console.log('📊 [QUOTA] Near limit - skipping analysis');
+  } else if (currentSessionId && analysisConfig) {
     console.log('🔄 Starting analysis step...');
     
-    const fullConversation = [
-      ...(history || []),
-      { role: 'user', content: prompt },
-      { role: 'assistant', content: aiResponse }
-    ];
+    const fullConversation = historyWithTurn;
 
     // AWAIT the analysis so it completes before function ends
     await runAnalysis(
@@ -303,36 +720,211 @@ export async function handleChat({ prompt, history, sessionId, customerId, slug,
       actions,
       fullConversation,
       aiResponse,
-      isTestMode
+      models.analysis,
+      usageContext,
+      isTestMode,
+      locale.strings,
+      vertical
     );
   }
 
+  // ============================================
+  // STEP 12.5: Wellbeing assessment (companion sessions)
+  // ============================================
+  if (watchWellbeing && wellbeingSettings.llm_assessment && !isAtLeast(quotaStatus, 'skip_analysis')) {
+    await runWellbeingAssessment({
+      customer,
+      session: existingSession,
+      vertical,
+      settings: wellbeingSettings,
+      state: wellbeingState,
+      conversation: historyWithTurn,
+      aiName: effectiveAiConfig.ai_name,
+      modelConfig: models.analysis,
+      usageContext,
+      isTestMode
+    });
+  }
+
+  // ============================================
+  // STEP 12.6: Companion memory - extract every few resident turns
+  // (the rest is picked up by cron/companion-memory once the session is idle)
+  // ============================================
+  if (memoryKey) {
+    const memoryState = existingSession.metadata?.memory || {};
+    const pendingTurns = (memoryState.pending_turns || 0) + 1;
+
+    if (pendingTurns >= memorySettings.extract_every_turns && !isAtLeast(quotaStatus, 'skip_analysis')) {
+      await extractSessionMemories({
+        customer,
+        session: existingSession,
+        owner: memoryKey,
+        settings: memorySettings,
+        aiName: effectiveAiConfig.ai_name,
+        modelConfig: models.analysis,
+        usageContext
+      });
+    } else {
+      await updateSessionMetadata(existingSession.id, { memory: { ...memoryState, pending_turns: pendingTurns } });
+    }
+  }
+
   // ============================================
   // STEP 13: Return response
   // ============================================
+  return result;
+}
+
+// ============================================
+// WELLBEING ASSESSMENT
+// Scores distress over the recent turns; alerts above the concern threshold
+// ============================================
+async function runWellbeingAssessment({ customer, session, vertical, settings, state, conversation, aiName, modelConfig, usageContext, isTestMode }) {
+  const assessment = await assessWellbeing(conversation, aiName, modelConfig, usageContext);
+  if (!assessment) return;
+
+  const severity = severityFor(assessment, settings);
+  console.log(`🫂 [WELLBEING] Distress ${assessment.distressScore}/10${severity ? ` - ${severity}` : ''}`);
+
+  let alertId = null;
+
+  if (severity) {
+    const { alert } = await raiseWellbeingAlert({
+      customer,
+      session,
+      vertical,
+      settings,
+      severity,
+      distressScore: assessment.distressScore,
+      categories: assessment.categories,
+      summary: assessment.summary,
+      evidence: assessment.evidence,
+      source: 'assessment',
+      isTestMode
+    });
+    alertId = alert?.id || null;
+  }
+
+  await updateSessionMetadata(session.id, {
+    wellbeing: nextWellbeingState(state, {
+      source: 'assessment',
+      distressScore: assessment.distressScore,
+      severity,
+      categories: assessment.categories,
+      alert_id: alertId
+    })
+  });
+}
+
+// ============================================
+// WELLBEING - urgent phrases
+// No LLM involved, so it runs before every early return: a fall or a cry
+// for help reaches caregivers even when the guest is locked out or blocked,
+// staff are on the chat or there is no quota left.
+// Resolves with the session's new wellbeing state, or null when nothing matched.
+// ============================================
+async function alertOnUrgentPhrases({ customer, session, vertical, settings, prompt, isTestMode }) {
+  const urgentMatch = matchUrgentPhrases(prompt, settings.urgent_phrases);
+  if (!urgentMatch) return null;
+
+  const { alert } = await raiseWellbeingAlert({
+    customer,
+    session,
+    vertical,
+    settings,
+    severity: 'urgent',
+    categories: urgentMatch.categories,
+    evidence: prompt.substring(0, 500),
+    phrases: urgentMatch.phrases,
+    source: 'phrase',
+    isTestMode
+  });
+
+  const wellbeingState = nextWellbeingState(session.metadata?.wellbeing, {
+    source: 'phrase',
+    severity: 'urgent',
+    categories: urgentMatch.categories,
+    alert_id: alert?.id || null
+  });
+  await updateSessionMetadata(session.id, { wellbeing: wellbeingState });
+
+  return wellbeingState;
+}
+
+// ============================================
+// LOCKOUT REPLY (no LLM involved)
+// ============================================
+function lockoutResult({ sessionId, customer, aiName, locale, lockedUntil, riskLevel = 0 }) {
   return {
-    response: aiResponse,
-    sessionId: currentSessionId,
+    response: localize(locale.strings, 'lockout_message'),
+    sessionId,
     customerId: customer.id,
     customerName: customer.name,
-    aiName: effectiveAiConfig.ai_name,
-    companion: companion || null,
-    triggeredActions: triggeredActions.map(a => a.action_type),
+    aiName,
+    triggeredActions: [],
     needsHandoff: false,
-    suspicious: false,
-    riskLevel: securityAnalysis.riskLevel
+    suspicious: true,
+    lockedOut: true,
+    lockedUntil,
+    riskLevel,
+    language: locale.language
   };
 }
 
+// ============================================
+// OUTPUT LEAK - flagged like a suspicious prompt
+// ============================================
+async function flagOutputLeak(customer, sessionId, prompt, outcome, policy, isTestMode) {
+  const reason = `Output guard: ${outcome.findings.map(f => f.detail ? `${f.type} (${f.detail})` : f.type).join('; ')}`;
+
+  await updateSession(sessionId, {
+    suspicious: true,
+    suspicious_reason: reason,
+    routed_to_superadmin: true
+  });
+
+  await sendSecurityAlert(policy, {
+    subject: `🛡️ [OUTPUT GUARD] Reply blocked - ${customer.name}`,
+    customerName: customer.name,
+    sessionId,
+    reason,
+    prompt,
+    isTestMode
+  });
+}
+
+// ============================================
+// CLIENT HISTORY
+// ============================================
+function isStrictHistory(customer) {
+  return process.env.ENGINE_STRICT_HISTORY === 'true' || customer.settings?.strict_history === true;
+}
+
+// Only plain user/assistant turns survive - sender_type and anything else
+// the widget sends is dropped so staff messages cannot be forged
+function sanitizeClientHistory(history) {
+  if (!Array.isArray(history)) {
+    return [];
+  }
+
+  return history
+    .filter(msg => msg && typeof msg.content === 'string' && msg.content.trim())
+    .slice(-MAX_CLIENT_HISTORY_MESSAGES)
+    .map(msg => ({
+      role: msg.role === 'user' ? 'user' : 'assistant',
+      content: msg.content.substring(0, MAX_CLIENT_MESSAGE_LENGTH)
+    }));
+}
+
 // ============================================
 // ANALYSIS (runs after AI response)
 // ============================================
-async function runAnalysis(sessionId, customer, aiConfig, analysisConfig, actions, conversation, aiResponse, isTestMode) {
+async function runAnalysis(sessionId, customer, aiConfig, analysisConfig, actions, conversation, aiResponse, analysisModel, usageContext, isTestMode, strings, vertical) {
   console.log('🔄 runAnalysis called');
   
   try {
     // Check if we should run analysis
-    const { shouldRun, triggers } = shouldRunAnalysis(conversation, aiResponse, analysisConfig);
+    const { shouldRun, triggers } = shouldRunAnalysis(conversation, aiResponse, analysisConfig, vertical.default_triggers);
 
     console.log('🔍 Analysis triggers:', triggers);
     console.log('🔍 Should run:', shouldRun);
@@ -342,9 +934,10 @@ async function runAnalysis(sessionId, customer, aiConfig, analysisConfig, action
       return;
     }
 
-    // Run Gemini analysis
-    console.log('🧠 Calling Gemini for analysis...');
-    const analysis = await analyzeConversation(conversation, aiConfig.ai_name);
+    // Run LLM analysis (fields and triggers: vertical defaults + customers.settings.analysis)
+    const analysisSchema = resolveAnalysisSchema(customer, vertical);
+    console.log(`🧠 Calling ${analysisModel.provider} for analysis...`);
+    const analysis = await analyzeConversation(conversation, aiConfig.ai_name, analysisModel, usageContext, strings.guest_label, analysisSchema);
 
     if (!analysis) {
       console.log('⚠️ Analysis returned null');
@@ -365,7 +958,7 @@ async function runAnalysis(sessionId, customer, aiConfig, analysisConfig, action
     }
 
     // Get fired triggers and execute actions
-    const firedTriggers = getFiredTriggers(analysis);
+    const firedTriggers = getFiredTriggers(analysis, analysisSchema);
     console.log('🎯 Fired triggers:', firedTriggers);
 
     if (firedTriggers.length === 0) {
@@ -379,6 +972,8 @@ async function runAnalysis(sessionId, customer, aiConfig, analysisConfig, action
       aiConfig,
       analysisConfig,
       analysis,
+      analysisSchema,
+      vertical,
       isTestMode
     };
 
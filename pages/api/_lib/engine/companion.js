@@ -0,0 +1,20 @@
+// ============================================
+// COMPANION PERSONA
+// A customer_companions row layered over the tenant's customer_ai_config
+// ============================================
+export function companionAiConfig(aiConfig, companionData) {
+  if (!companionData) {
+    return aiConfig;
+  }
+
+  return {
+    ...aiConfig,
+    ai_name: companionData.ai_name,
+    ai_role: companionData.ai_role || aiConfig.ai_role,
+    greeting: companionData.greeting || aiConfig.greeting,
+    system_prompt: companionData.system_prompt,
+    knowledge_base: companionData.knowledge_base || aiConfig.knowledge_base,
+    temperature: companionData.temperature || aiConfig.temperature,
+    max_tokens: companionData.max_tokens || aiConfig.max_tokens
+  };
+}
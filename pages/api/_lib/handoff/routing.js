@@ -0,0 +1,282 @@
+import {
+  getSession,
+  updateSession,
+  updateSessionMetadata,
+  getSessionMessages,
+  getActiveRoutingRules,
+  getTeam,
+  getTeamMembers,
+  getUserMemberships
+} from '../db/supabase.js';
+import { sendHandoffEmail } from '../notifications/email.js';
+import { compileExpression } from '../ai/expressions.js';
+import { localNow, toMinutes, weekdayOf } from '../reservations/rules.js';
+import { recordSessionEvent } from './takeover.js';
+
+// ============================================
+// HANDOFF ROUTING
+// When a session needs a human, the tenant's active routing_rules are
+// evaluated in priority order (lowest number first). The first match routes
+// the session to its team (assigned_team_id) or user (metadata.routed_user_id),
+// and only they are notified. Routing is not a claim: assigned_user_id stays
+// free until someone actually takes the session (takeover.js). No match, or
+// no rules, notifies the whole customer as before.
+//
+// trigger_type / trigger_config:
+//   always    {}
+//   handoff   { "sources": ["tool"], "types": ["complaint"] }
+//   keyword   { "keywords": ["allergi", "gluten"] }   (recent guest messages and the reason)
+//   language  { "languages": ["en", "de"] }
+//   companion { "companions": ["greta"] }
+//   schedule  { "days": ["saturday", "sunday"], "from": "17:00", "to": "02:00" }
+//   analysis  { "expression": "party_size >= 8" }       (see ai/expressions.js)
+//
+// customers.settings.routing: { "enabled": true, "timezone": "Europe/Stockholm" }
+// ============================================
+export const ROUTING_TRIGGER_TYPES = ['always', 'handoff', 'keyword', 'language', 'companion', 'schedule', 'analysis'];
+
+const FALLBACK_TIMEZONE = 'Europe/Stockholm';
+const KEYWORD_MESSAGES = 3;
+
+export function getRoutingSettings(customer) {
+  const settings = { enabled: true, timezone: null, ...(customer.settings?.routing || {}) };
+  settings.timezone = settings.timezone || customer.settings?.reservations?.timezone || FALLBACK_TIMEZONE;
+  return settings;
+}
+
+/**
+ * Route a session that just started needing a human and email the chosen
+ * recipients. A session that is already routed or claimed keeps its route.
+ * @param {object} params
+ * @param {string} params.source - notification, trigger or tool
+ * @param {string} [params.type] - notification type, trigger or tool name
+ * @param {string} [params.reason] - Why the guest needs a human
+ * @returns {Promise<{route: object|null, audience: object|null}>} audience is
+ *          what to pass to the push helpers: {} = every staff device,
+ *          { userIds } = only those, null = no push
+ */
+export async function routeHandoff({ customer, sessionId, session, source, type, reason, analysis = null, isTestMode = false }) {
+  const current = session?.id === sessionId ? session : await getSession(sessionId);
+  if (!current) return { route: null, audience: {} };
+
+  let route = currentRoute(current);
+
+  if (!route && getRoutingSettings(customer).enabled) {
+    const rule = await matchRoutingRule(customer, current, { source, type, reason, analysis });
+
+    if (rule) {
+      route = {
+        ruleId: rule.id,
+        teamId: rule.route_to_team_id || null,
+        userId: rule.route_to_user_id || null,
+        notificationConfig: rule.notification_config || {}
+      };
+
+      await updateSession(current.id, {
+        assigned_team_id: route.teamId,
+        routed_by_rule_id: rule.id
+      });
+      await updateSessionMetadata(current.id, {
+        routed_user_id: route.userId,
+        routed_at: new Date().toISOString()
+      });
+
+      await recordSessionEvent(current.id, customer.id, 'routed', {
+        details: { rule_id: rule.id, rule_name: rule.name || null, team_id: route.teamId, user_id: route.userId, source, type }
+      });
+
+      console.log(`🧭 Session ${current.id} routed by rule '${rule.name || rule.id}' to ${route.userId ? `user ${route.userId}` : `team ${route.teamId}`}`);
+    }
+  }
+
+  if (!route) {
+    return { route: null, audience: {} };
+  }
+
+  const recipients = await resolveRecipients(customer.id, route);
+
+  if (recipients.emails.length) {
+    await sendHandoffEmail({
+      to: recipients.emails,
+      customerName: customer.name,
+      teamName: recipients.teamName,
+      guestName: current.metadata?.guest_name,
+      summary: reason,
+      sessionId: current.id,
+      isTestMode
+    });
+  }
+
+  return { route, audience: recipients.audience };
+}
+
+/**
+ * Who to notify about further activity in a session (new guest messages):
+ * the staff member who claimed it, else its routed user or team, else every
+ * staff device.
+ */
+export async function sessionAudience(customerId, session) {
+  const route = currentRoute(session);
+  if (!route) return {};
+
+  return (await resolveRecipients(customerId, route)).audience;
+}
+
+/**
+ * Recipients for a route, honouring the team's notification_settings, each
+ * member's settings and the rule's notification_config. Team members are the
+ * user_memberships with that team_id.
+ *   teams.notification_settings:            { "push": true, "emails": ["kitchen@..."] }
+ *   user_memberships.permissions.notifications: { "push": true, "email": "anna@..." }
+ *   routing_rules.notification_config:      { "push": true, "email": true }
+ * @returns {Promise<{audience: object|null, emails: string[], teamName: string|null}>}
+ */
+export async function resolveRecipients(customerId, { teamId, userId, notificationConfig = {} }) {
+  const pushEnabled = notificationConfig.push !== false;
+  const emailEnabled = notificationConfig.email !== false;
+
+  let userIds = [];
+  let emails = [];
+  let teamName = null;
+
+  if (userId) {
+    const memberships = await getUserMemberships(customerId, userId);
+    const settings = Object.assign({}, ...memberships.map(memberNotificationSettings));
+
+    if (settings.push !== false) userIds.push(userId);
+    if (settings.email) emails.push(settings.email);
+  } else if (teamId) {
+    const [team, members] = await Promise.all([getTeam(teamId), getTeamMembers(teamId)]);
+    const teamSettings = team?.notification_settings || {};
+    teamName = team?.name || null;
+
+    if (teamSettings.push !== false) {
+      userIds = members
+        .filter(member => memberNotificationSettings(member).push !== false)
+        .map(member => member.user_id);
+    }
+    emails = [
+      ...(teamSettings.emails || []),
+      ...members.map(member => memberNotificationSettings(member).email).filter(Boolean)
+    ];
+  }
+
+  let audience = pushEnabled && userIds.length ? { userIds: [...new Set(userIds)] } : null;
+
+  // A route nobody can be reached through must not swallow the handoff
+  if (!audience && !(emailEnabled && emails.length)) {
+    console.warn(`⚠️ [ROUTING] No reachable recipients for ${userId ? `user ${userId}` : `team ${teamId}`} - notifying all staff`);
+    audience = {};
+  }
+
+  return {
+    audience,
+    emails: emailEnabled ? [...new Set(emails)] : [],
+    teamName
+  };
+}
+
+// A claim outranks the route: whoever took the session hears about it
+function currentRoute(session) {
+  const userId = session?.assigned_user_id || session?.metadata?.routed_user_id || null;
+  const teamId = userId ? null : session?.assigned_team_id || null;
+  if (!userId && !teamId) return null;
+
+  return {
+    ruleId: session.routed_by_rule_id || null,
+    teamId,
+    userId
+  };
+}
+
+function memberNotificationSettings(membership) {
+  return membership.permissions?.notifications || {};
+}
+
+// ============================================
+// RULE MATCHING
+// ============================================
+async function matchRoutingRule(customer, session, handoff) {
+  const rules = await getActiveRoutingRules(customer.id);
+  const candidates = rules.filter(rule => rule.route_to_team_id || rule.route_to_user_id);
+  if (!candidates.length) return null;
+
+  const recentGuestText = candidates.some(rule => rule.trigger_type === 'keyword')
+    ? (await getSessionMessages(session.id, { limit: KEYWORD_MESSAGES * 2 }))
+      .filter(msg => msg.role === 'user')
+      .slice(-KEYWORD_MESSAGES)
+      .map(msg => msg.content)
+      .join('\n')
+    : '';
+
+  const context = {
+    ...handoff,
+    text: [handoff.reason, recentGuestText].filter(Boolean).join('\n').toLowerCase(),
+    language: session.metadata?.language || null,
+    companion: session.metadata?.companion || null,
+    now: localNow(getRoutingSettings(customer).timezone)
+  };
+
+  return candidates.find(rule => ruleMatches(rule, context)) || null;
+}
+
+function ruleMatches(rule, context) {
+  const config = rule.trigger_config || {};
+
+  switch (rule.trigger_type) {
+    case 'always':
+      return true;
+
+    case 'handoff':
+      return (!config.sources?.length || config.sources.includes(context.source))
+        && (!config.types?.length || config.types.includes(context.type));
+
+    case 'keyword':
+      return (config.keywords || []).some(keyword => context.text.includes(String(keyword).toLowerCase()));
+
+    case 'language':
+      return !!context.language && (config.languages || []).includes(context.language);
+
+    case 'companion':
+      return !!context.companion && (config.companions || []).includes(context.companion);
+
+    case 'schedule':
+      return withinSchedule(config, context.now);
+
+    case 'analysis':
+      if (!context.analysis || !config.expression) return false;
+      try {
+        return compileExpression(config.expression)(context.analysis);
+      } catch (err) {
+        console.error(`❌ [ROUTING] Rule ${rule.id} has an invalid expression:`, err.message);
+        return false;
+      }
+
+    default:
+      console.warn(`⚠️ [ROUTING] Unknown trigger_type '${rule.trigger_type}' on rule ${rule.id}`);
+      return false;
+  }
+}
+
+// "from"/"to" in local time; to < from spans midnight (the days refer to the start)
+function withinSchedule({ days, from = '00:00', to = '24:00' }, now) {
+  const start = toMinutes(from);
+  const end = toMinutes(to);
+  if (start === null || end === null) return false;
+
+  const today = weekdayOf(now.date);
+  const yesterday = weekdayOf(previousDate(now.date));
+  const onDay = day => !days?.length || days.includes(day);
+
+  if (start <= end) {
+    return onDay(today) && now.minutes >= start && now.minutes < end;
+  }
+
+  return (onDay(today) && now.minutes >= start) || (onDay(yesterday) && now.minutes < end);
+}
+
+function previousDate(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().substring(0, 10);
+}
@@ -0,0 +1,242 @@
+import {
+  getCustomerById,
+  getSession,
+  updateSession,
+  updateSessionMetadata,
+  saveMessage,
+  getBreachedSessions,
+  claimSlaBreach,
+  createSessionEscalation,
+  listSessionEscalations,
+  getTeams
+} from '../db/supabase.js';
+import { pushSlaBreach } from '../notifications/push.js';
+import { sendHandoffEmail } from '../notifications/email.js';
+import { resolveVertical } from '../verticals/index.js';
+import { resolveLocale, getStaffStrings, localize } from '../i18n/locale.js';
+import { resolveRecipients } from './routing.js';
+import { recordSessionEvent } from './takeover.js';
+
+// ============================================
+// HANDOFF SLA
+// A session that starts needing a human gets metadata.needs_human_since and
+// metadata.sla_due_at. Until staff post a first reply
+// (metadata.first_response_at), cron/handoff-sla escalates it when due:
+// escalation_level goes up, a session_escalations row is written and the
+// next tier is notified. On the first breach the AI can tell the guest
+// they have not been forgotten. What each escalation measured is kept in
+// metadata.sla_escalations for the metrics. customers.settings.sla:
+// {
+//   "enabled": true,
+//   "first_response_minutes": 15,
+//   "escalation_minutes": 15,          // between later tiers
+//   "max_escalation_level": 2,
+//   "tiers": [{ "team_id": "..." }, { "user_id": "..." }],   // level 1, 2, ...; missing = all staff
+//   "holding_message": false           // text: i18n key holding_message
+// }
+// ============================================
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  first_response_minutes: 15,
+  escalation_minutes: 15,
+  max_escalation_level: 2,
+  tiers: [],
+  holding_message: false
+};
+
+const MAX_RECORDED_ESCALATIONS = 20;
+
+export function getSlaSettings(customer) {
+  return { ...DEFAULT_SETTINGS, ...(customer.settings?.sla || {}) };
+}
+
+/**
+ * Start the first-response clock for a session that just started needing
+ * a human. A clock that is already running is left alone.
+ */
+export async function startSlaClock(customer, sessionId, now = new Date()) {
+  const session = sessionId ? await getSession(sessionId) : null;
+  if (!session || session.metadata?.needs_human_since) return;
+
+  const settings = getSlaSettings(customer);
+
+  await updateSessionMetadata(session.id, {
+    needs_human_since: now.toISOString(),
+    first_response_at: null,
+    sla_due_at: settings.enabled ? addMinutes(now, settings.first_response_minutes) : null
+  });
+  await updateSession(session.id, { escalation_level: 0 });
+}
+
+/**
+ * Escalate every session past its SLA. Each breach is claimed (sla_due_at
+ * moved on) before notifying, so overlapping cron runs never escalate twice.
+ * @returns {Promise<{due: number, escalated: number}>}
+ */
+export async function escalateBreachedSessions(now = new Date()) {
+  const due = await getBreachedSessions(now.toISOString());
+  const result = { due: due.length, escalated: 0 };
+  const customers = new Map();
+
+  for (const session of due) {
+    if (!customers.has(session.customer_id)) {
+      customers.set(session.customer_id, await getCustomerById(session.customer_id));
+    }
+    const customer = customers.get(session.customer_id);
+    const settings = customer ? getSlaSettings(customer) : null;
+
+    const level = (session.escalation_level || 0) + 1;
+    const finalLevel = !settings?.enabled || level >= settings.max_escalation_level;
+
+    const claimed = await claimSlaBreach(session, {
+      escalation_level: settings?.enabled ? level : session.escalation_level || 0
+    }, {
+      sla_due_at: finalLevel ? null : addMinutes(now, settings.escalation_minutes)
+    });
+
+    if (!claimed || !settings?.enabled) continue;
+
+    try {
+      await escalateSession({ customer, session, settings, level, now });
+      result.escalated++;
+    } catch (err) {
+      console.error(`❌ [SLA] Escalation of session ${session.id} failed:`, err.message);
+    }
+  }
+
+  return result;
+}
+
+async function escalateSession({ customer, session, settings, level, now }) {
+  const tier = settings.tiers[level - 1] || {};
+  const waitedMinutes = Math.round((now - new Date(session.metadata?.needs_human_since || session.metadata?.sla_due_at)) / 60000);
+  const vertical = resolveVertical(customer, { companion: session.metadata?.companion });
+
+  // The guest hears once that they have not been forgotten
+  let holdingMessageSent = false;
+  if (level === 1 && settings.holding_message) {
+    const { strings } = resolveLocale({ customer, vertical, session });
+    holdingMessageSent = await saveMessage(session.id, 'assistant', localize(strings, 'holding_message'), 'ai');
+  }
+
+  // from_* = who held the session when it breached, to_* = the tier notified (null = all staff)
+  const escalation = await createSessionEscalation({
+    session_id: session.id,
+    from_team_id: session.assigned_team_id || null,
+    from_user_id: session.assigned_user_id || session.metadata?.routed_user_id || null,
+    to_team_id: tier.team_id || null,
+    to_user_id: tier.user_id || null,
+    reason: 'sla_breach',
+    note: escalationNote({ level, waitedMinutes, holdingMessageSent })
+  });
+
+  // The note is for people; metrics read this
+  const current = await getSession(session.id);
+  await updateSessionMetadata(session.id, {
+    sla_escalations: [
+      ...(current?.metadata?.sla_escalations || []),
+      {
+        escalation_id: escalation?.id || null,
+        level,
+        waited_minutes: waitedMinutes,
+        holding_message_sent: !!holdingMessageSent,
+        at: now.toISOString()
+      }
+    ].slice(-MAX_RECORDED_ESCALATIONS)
+  });
+
+  await recordSessionEvent(session.id, customer.id, 'escalated', {
+    details: {
+      level,
+      escalation_id: escalation?.id || null,
+      team_id: tier.team_id || null,
+      user_id: tier.user_id || null,
+      waited_minutes: waitedMinutes
+    }
+  });
+
+  const recipients = tier.team_id || tier.user_id
+    ? await resolveRecipients(customer.id, { teamId: tier.team_id, userId: tier.user_id })
+    : { audience: {}, emails: [], teamName: null };
+  const guestName = session.metadata?.guest_name;
+
+  if (recipients.audience) {
+    await pushSlaBreach(customer.id, session.id, { guestName, minutes: waitedMinutes, level }, vertical.notifications, recipients.audience);
+  }
+
+  if (recipients.emails.length) {
+    await sendHandoffEmail({
+      to: recipients.emails,
+      customerName: customer.name,
+      teamName: recipients.teamName,
+      guestName,
+      summary: localize(getStaffStrings(customer, { vertical }), 'staff_sla_breach', { minutes: waitedMinutes }),
+      sessionId: session.id,
+      escalated: true,
+      isTestMode: !!session.metadata?.is_test
+    });
+  }
+
+  console.log(`⏰ [SLA] Session ${session.id} escalated to level ${level} after ${waitedMinutes} min`);
+}
+
+// session_escalations.note, e.g. "SLA level 1 after 17 min, holding message sent"
+function escalationNote({ level, waitedMinutes, holdingMessageSent }) {
+  return `SLA level ${level} after ${waitedMinutes} min${holdingMessageSent ? ', holding message sent' : ''}`;
+}
+
+// ============================================
+// BREACH METRICS (per team that held the session at the breach)
+// ============================================
+export async function getSlaMetrics({ customerId, teamId, from, to }) {
+  const [escalations, teams] = await Promise.all([
+    listSessionEscalations({ customerId, teamId, from, to }),
+    getTeams(customerId)
+  ]);
+  if (!escalations) return null;
+
+  const teamNames = new Map(teams.map(team => [team.id, team.name]));
+  const byTeam = new Map();
+
+  const breaches = escalations.filter(row => row.reason === 'sla_breach' && !row.chat_sessions?.metadata?.is_test);
+
+  for (const escalation of breaches) {
+    const key = escalation.from_team_id || null;
+    if (!byTeam.has(key)) {
+      byTeam.set(key, { team_id: key, team_name: key ? teamNames.get(key) || null : null, sessions: new Set(), escalations: 0, max_level: 0, first_breach_waits: [], holding_messages: 0 });
+    }
+
+    const recorded = (escalation.chat_sessions?.metadata?.sla_escalations || [])
+      .find(entry => entry.escalation_id === escalation.id) || {};
+    const level = recorded.level || 0;
+    const waitedMinutes = recorded.waited_minutes ?? null;
+    const team = byTeam.get(key);
+    team.sessions.add(escalation.session_id);
+    team.escalations++;
+    team.max_level = Math.max(team.max_level, level);
+    if (level === 1 && waitedMinutes !== null) team.first_breach_waits.push(waitedMinutes);
+    if (recorded.holding_message_sent) team.holding_messages++;
+  }
+
+  const summarize = ({ sessions, first_breach_waits, ...team }) => ({
+    ...team,
+    breached_sessions: sessions.size,
+    avg_wait_minutes: first_breach_waits.length
+      ? Math.round(first_breach_waits.reduce((sum, minutes) => sum + minutes, 0) / first_breach_waits.length)
+      : null
+  });
+
+  const perTeam = [...byTeam.values()].map(summarize);
+
+  return {
+    total: {
+      breached_sessions: perTeam.reduce((sum, team) => sum + team.breached_sessions, 0),
+      escalations: perTeam.reduce((sum, team) => sum + team.escalations, 0)
+    },
+    teams: perTeam.sort((a, b) => b.breached_sessions - a.breached_sessions)
+  };
+}
+
+function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * 60 * 1000).toISOString();
+}
@@ -0,0 +1,144 @@
+import {
+  getSession,
+  updateSession,
+  updateSessionMetadata,
+  assignSession,
+  saveMessage,
+  createSessionEvent
+} from '../db/supabase.js';
+
+// ============================================
+// STAFF TAKEOVER
+// A session needing a human (needs_human) keeps the AI silent. Staff claim
+// it (assigned_user_id), reply as sender_type 'human' and release it back to
+// the AI. Every step is written to session_events.
+// ============================================
+export const SESSION_EVENT_TYPES = ['handoff_requested', 'routed', 'escalated', 'claimed', 'staff_message', 'released'];
+
+const MAX_MESSAGE_LENGTH = 4000;
+
+/**
+ * Record a step in a session's audit trail. Never throws - a failed audit
+ * write must not undo the action it describes.
+ */
+export async function recordSessionEvent(sessionId, customerId, type, { userId = null, details = {} } = {}) {
+  if (!sessionId) return null;
+
+  return createSessionEvent({
+    session_id: sessionId,
+    customer_id: customerId,
+    event_type: type,
+    user_id: userId,
+    details
+  });
+}
+
+/**
+ * @returns {Promise<{session?: object, error?: string}>} error is 'claimed_by_other'
+ *          when another staff member holds the session and force is not set
+ */
+export async function claimSession(session, userId, { force = false } = {}) {
+  const previousUserId = session.assigned_user_id || null;
+
+  if (previousUserId === userId && session.needs_human) {
+    return { session };
+  }
+
+  const claimed = await assignSession(session.id, userId, { force });
+  if (!claimed) {
+    return { error: 'claimed_by_other' };
+  }
+
+  await recordSessionEvent(session.id, session.customer_id, 'claimed', {
+    userId,
+    details: {
+      ...(previousUserId && previousUserId !== userId && { taken_from: previousUserId }),
+      ...(!session.needs_human && { unprompted: true })
+    }
+  });
+
+  console.log(`🙋 Session ${session.id} claimed by ${userId}${previousUserId && previousUserId !== userId ? ` (from ${previousUserId})` : ''}`);
+  return { session: claimed };
+}
+
+/**
+ * Post a staff reply. An unassigned session is claimed first, so the AI
+ * stops answering as soon as staff write.
+ * @returns {Promise<{session?: object, error?: string}>}
+ */
+export async function postStaffMessage(session, userId, content) {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { error: 'content_required' };
+  }
+  if (content.length > MAX_MESSAGE_LENGTH) {
+    return { error: 'content_too_long' };
+  }
+
+  if (session.assigned_user_id && session.assigned_user_id !== userId) {
+    return { error: 'claimed_by_other' };
+  }
+
+  let current = session;
+  if (session.assigned_user_id !== userId || !session.needs_human) {
+    const claim = await claimSession(session, userId);
+    if (claim.error) return claim;
+    current = claim.session;
+  }
+
+  if (!await saveMessage(session.id, 'assistant', content.trim(), 'human')) {
+    return { error: 'save_failed' };
+  }
+
+  // Stops the SLA clock (handoff/sla.js); either way updated_at is bumped so the session sorts as active
+  if (current.metadata?.needs_human_since && !current.metadata?.first_response_at) {
+    await updateSessionMetadata(session.id, { first_response_at: new Date().toISOString(), sla_due_at: null });
+  } else {
+    await updateSession(session.id, {});
+  }
+  await recordSessionEvent(session.id, session.customer_id, 'staff_message', { userId, details: { length: content.trim().length } });
+
+  return { session: current };
+}
+
+/**
+ * Hand the session back to the AI. Staff messages before metadata.released_at
+ * no longer count as a takeover in the engine.
+ */
+export async function releaseSession(session, userId, { note, force = false } = {}) {
+  if (!force && session.assigned_user_id && session.assigned_user_id !== userId) {
+    return { error: 'claimed_by_other' };
+  }
+
+  const releasedAt = new Date().toISOString();
+
+  await updateSession(session.id, {
+    needs_human: false,
+    assigned_user_id: null,
+    assigned_at: null,
+    // The next handoff is routed afresh
+    assigned_team_id: null,
+    routed_by_rule_id: null
+  });
+
+  // ...and timed afresh. Separate writes, so the hand-back never depends on them
+  await updateSessionMetadata(session.id, {
+    released_at: releasedAt,
+    routed_user_id: null,
+    routed_at: null,
+    needs_human_since: null,
+    first_response_at: null,
+    sla_due_at: null
+  });
+  await updateSession(session.id, { escalation_level: 0 });
+
+  await recordSessionEvent(session.id, session.customer_id, 'released', {
+    userId,
+    details: {
+      ...(session.assigned_user_id && { assigned_user_id: session.assigned_user_id }),
+      ...(note && { note: String(note).substring(0, 500) })
+    }
+  });
+
+  console.log(`🤖 Session ${session.id} released to the AI by ${userId}`);
+  return { session: await getSession(session.id) };
+}
@@ -0,0 +1,62 @@
+// ============================================
+// LANGUAGE DETECTION (per message)
+// Cheap and local: distinctive function words plus the letters only one of
+// the Scandinavian languages uses. Short or ambiguous messages ("ok", "18:00")
+// return null so the session's previous language is kept.
+// ============================================
+const MARKERS = {
+  sv: {
+    words: ['jag', 'och', 'inte', 'är', 'vad', 'hur', 'vill', 'också', 'mig', 'dig', 'någon', 'något', 'gärna', 'tack', 'hej', 'kväll', 'imorgon', 'idag', 'finns', 'bara', 'sitta', 'boka', 'varför', 'när', 'skulle', 'kanske', 'mycket', 'ett', 'ska', 'ni', 'detta', 'vem', 'mår'],
+    letters: /[äö]/g
+  },
+  no: {
+    words: ['jeg', 'og', 'ikke', 'hva', 'hvordan', 'også', 'meg', 'deg', 'noen', 'noe', 'gjerne', 'takk', 'hei', 'kveld', 'bestille', 'hvorfor', 'når', 'kanskje', 'mye', 'bare', 'finnes', 'sitte', 'skal', 'vil', 'et', 'dere', 'dette', 'hvor', 'hvem'],
+    letters: /[æø]/g
+  },
+  en: {
+    words: ['and', 'not', 'is', 'the', 'what', 'how', 'want', 'also', 'me', 'you', 'some', 'please', 'thanks', 'thank', 'hello', 'hi', 'evening', 'tomorrow', 'today', 'book', 'table', 'why', 'when', 'would', 'could', 'maybe', 'much', 'or', 'there', 'have', 'can', 'your', 'my', 'are', 'do', 'this', 'that', 'with', 'of', 'it', 'all'],
+    letters: null
+  }
+};
+
+const LANGUAGE_ALIASES = {
+  se: 'sv', swedish: 'sv', svenska: 'sv',
+  nb: 'no', nn: 'no', norwegian: 'no', norsk: 'no', bokmål: 'no',
+  english: 'en', engelska: 'en', engelsk: 'en'
+};
+
+/**
+ * Guess the language of one message.
+ * @param {string} text
+ * @param {string[]} [candidates] - Languages to choose between (default: all known)
+ * @param {object} [options]
+ * @param {number} [options.minWordHits] - Require this many marker words (letters alone
+ *   do not prove a language - German has ä and ö too)
+ * @returns {string|null} Language code, or null when unsure
+ */
+export function detectLanguage(text, candidates = Object.keys(MARKERS), { minWordHits = 0 } = {}) {
+  const lower = String(text || '').toLowerCase();
+  const words = lower.match(/[\p{L}]+/gu) || [];
+
+  const scores = candidates
+    .filter(lang => MARKERS[lang])
+    .map(lang => {
+      const { words: markerWords, letters } = MARKERS[lang];
+      const wordHits = words.filter(word => markerWords.includes(word)).length;
+      const letterHits = letters ? (lower.match(letters) || []).length : 0;
+      return { lang, wordHits, score: wordHits + Math.min(letterHits, 3) * 2 };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  if (!scores.length || scores[0].score < 1 || scores[0].wordHits < minWordHits) return null;
+  if (scores[1] && scores[1].score === scores[0].score) return null;
+
+  return scores[0].lang;
+}
+
+// 'sv-SE' -> 'sv', 'nb' -> 'no', 'Norsk' -> 'no'
+export function normalizeLanguage(language) {
+  if (!language) return null;
+  const code = String(language).trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGE_ALIASES[code] || code || null;
+}
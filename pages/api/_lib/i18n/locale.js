@@ -0,0 +1,66 @@
+import { BUILTIN_STRINGS, FALLBACK_LANGUAGE, formatString } from './strings.js';
+import { detectLanguage, normalizeLanguage } from './language.js';
+
+// ============================================
+// LOCALE RESOLUTION
+// Per tenant in customers.settings.i18n:
+// {
+//   "default_language": "sv",
+//   "languages": ["sv", "no", "en"],          // what detection may pick
+//   "strings": { "sv": { "safe_response": "..." }, "en": { ... } },
+//   "companions": { "<companion_key>": { "strings": { "no": { ... } } } }
+// }
+// Language: detected from this message -> the session's last language ->
+// customer_companions.language -> default_language -> customer_ai_config.language.
+// Strings: built-in -> vertical profile -> tenant -> companion, per key.
+// ============================================
+export function resolveLocale({ customer, aiConfig, companion, vertical, session, prompt }) {
+  const settings = customer.settings?.i18n || {};
+  const baseLanguage = normalizeLanguage(companion?.language)
+    || normalizeLanguage(settings.default_language)
+    || normalizeLanguage(aiConfig?.language)
+    || FALLBACK_LANGUAGE;
+
+  const candidates = (settings.languages || Object.keys(BUILTIN_STRINGS)).map(normalizeLanguage);
+  const detected = prompt ? detectLanguage(prompt, candidates) : null;
+
+  const language = detected
+    || normalizeLanguage(session?.metadata?.language)
+    || baseLanguage;
+
+  return {
+    language,
+    detected,
+    strings: getStrings(language, { customer, companion, vertical, baseLanguage })
+  };
+}
+
+// Built-in strings for a language fall back key by key to the tenant's base
+// language, so a partial translation never leaves a key empty
+export function getStrings(language, { customer, companion, vertical, baseLanguage = FALLBACK_LANGUAGE } = {}) {
+  const settings = customer?.settings?.i18n || {};
+  const companionStrings = companion ? settings.companions?.[companion.companion_key]?.strings : null;
+
+  const layer = lang => ({
+    ...BUILTIN_STRINGS[lang],
+    ...(vertical?.strings?.[lang] || {}),
+    ...(settings.strings?.[lang] || {}),
+    ...(companionStrings?.[lang] || {})
+  });
+
+  return {
+    ...BUILTIN_STRINGS[FALLBACK_LANGUAGE],
+    ...layer(baseLanguage),
+    ...layer(language)
+  };
+}
+
+// Text for staff (notification summaries, emails) is in the tenant's
+// default language, whatever the guest writes in
+export function getStaffStrings(customer, { aiConfig, vertical } = {}) {
+  return resolveLocale({ customer, aiConfig, vertical }).strings;
+}
+
+export function localize(strings, key, vars) {
+  return formatString(strings[key] ?? BUILTIN_STRINGS[FALLBACK_LANGUAGE][key] ?? key, vars);
+}
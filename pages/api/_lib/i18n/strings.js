@@ -0,0 +1,95 @@
+// ============================================
+// BUILT-IN SYSTEM STRINGS
+// Guest-facing text the engine produces itself (the assistant's own replies
+// come from the model), and the summaries staff get in notifications and
+// emails (the staff_* keys, in the tenant's default language - see
+// getStaffStrings). Tenants override any key per language in
+// customers.settings.i18n - see resolveLocale in ./locale.js.
+// Placeholders: {ai_name}, {task} (proactive_cue), {minutes} (staff_sla_breach),
+// {kind} and {minutes} (staff_no_reply, {kind} is one of the staff_kind_* texts),
+// {summary} (staff_reservation_updated), {date}, {time}, {party_size} and
+// {previous_*} (staff_reservation_modified, staff_reservation_cancelled)
+// ============================================
+export const BUILTIN_STRINGS = {
+  sv: {
+    greeting: 'Hej! Hur kan jag hjälpa dig?',
+    greeting_named: 'Hej! Jag heter {ai_name}. Hur kan jag hjälpa dig?',
+    safe_response: 'Jag förstår tyvärr inte frågan. Kan jag hjälpa dig med något annat?',
+    safe_response_eldercare: 'Förlåt, jag förstår inte riktigt vad du menar. Ska vi prata om något trevligt i stället?',
+    security_challenge: 'Jag är inte säker på att jag förstod. Kan du formulera frågan på ett annat sätt?',
+    busy_message: 'Vi har väldigt mycket att göra just nu. Försök gärna igen om en liten stund!',
+    lockout_message: 'Chatten är tillfälligt otillgänglig. Kontakta oss gärna på annat sätt.',
+    medical_referral: 'Det är bäst att du frågar din läkare eller sjuksköterska om det. Ska vi prata om något annat så länge?',
+    guest_label: 'Gäst',
+    staff_reply_label: 'PERSONALENS SVAR',
+    staff_reply_ack: 'Jag noterar att personalen har svarat.',
+    proactive_cue: '[Personen har inte skrivit något. Inled samtalet själv med ett kort, varmt meddelande: {task}]',
+    holding_message: 'Tack för ditt tålamod! Personalen har fått ditt meddelande och svarar så snart de kan.',
+    staff_sla_breach: 'Ingen i personalen har svarat på {minutes} minuter.',
+    staff_no_reply: 'Brukaren har inte svarat på {kind} inom {minutes} minuter',
+    staff_kind_check_in: 'incheckningen',
+    staff_kind_reminder: 'påminnelsen',
+    staff_kind_follow_up: 'uppföljningen',
+    staff_kind_message: 'meddelandet',
+    staff_reservation_updated: 'Ändrad: {summary}',
+    staff_reservation_modified: 'Ändrad bokning: {date} kl {time}, {party_size} pers (tidigare {previous_date} kl {previous_time}, {previous_party_size} pers)',
+    staff_reservation_cancelled: 'Avbokad: {date} kl {time}, {party_size} pers'
+  },
+
+  no: {
+    greeting: 'Hei! Hvordan kan jeg hjelpe deg?',
+    greeting_named: 'Hei! Jeg heter {ai_name}. Hvordan kan jeg hjelpe deg?',
+    safe_response: 'Jeg forstår dessverre ikke spørsmålet. Kan jeg hjelpe deg med noe annet?',
+    safe_response_eldercare: 'Beklager, jeg forstår ikke helt hva du mener. Skal vi snakke om noe hyggelig i stedet?',
+    security_challenge: 'Jeg er ikke sikker på at jeg forsto. Kan du formulere spørsmålet på en annen måte?',
+    busy_message: 'Vi har veldig mye å gjøre akkurat nå. Prøv gjerne igjen om litt!',
+    lockout_message: 'Chatten er midlertidig utilgjengelig. Kontakt oss gjerne på en annen måte.',
+    medical_referral: 'Det er best at du spør legen eller sykepleieren din om det. Skal vi snakke om noe annet så lenge?',
+    guest_label: 'Gjest',
+    staff_reply_label: 'PERSONALETS SVAR',
+    staff_reply_ack: 'Jeg noterer at personalet har svart.',
+    proactive_cue: '[Personen har ikke skrevet noe. Start samtalen selv med en kort, varm melding: {task}]',
+    holding_message: 'Takk for tålmodigheten! Personalet har fått meldingen din og svarer så snart de kan.',
+    staff_sla_breach: 'Ingen i personalet har svart på {minutes} minutter.',
+    staff_no_reply: 'Brukeren har ikke svart på {kind} innen {minutes} minutter',
+    staff_kind_check_in: 'innsjekkingen',
+    staff_kind_reminder: 'påminnelsen',
+    staff_kind_follow_up: 'oppfølgingen',
+    staff_kind_message: 'meldingen',
+    staff_reservation_updated: 'Endret: {summary}',
+    staff_reservation_modified: 'Endret bestilling: {date} kl. {time}, {party_size} pers. (tidligere {previous_date} kl. {previous_time}, {previous_party_size} pers.)',
+    staff_reservation_cancelled: 'Avbestilt: {date} kl. {time}, {party_size} pers.'
+  },
+
+  en: {
+    greeting: 'Hi! How can I help you?',
+    greeting_named: 'Hi! My name is {ai_name}. How can I help you?',
+    safe_response: "I'm afraid I don't understand the question. Is there anything else I can help you with?",
+    safe_response_eldercare: "Sorry, I don't quite understand what you mean. Shall we talk about something nice instead?",
+    security_challenge: "I'm not sure I understood. Could you put the question another way?",
+    busy_message: "We're very busy right now. Please try again in a little while!",
+    lockout_message: 'The chat is temporarily unavailable. Please contact us another way.',
+    medical_referral: "That's best to ask your doctor or nurse about. Shall we talk about something else in the meantime?",
+    guest_label: 'Guest',
+    staff_reply_label: 'STAFF REPLY',
+    staff_reply_ack: 'I note that the staff has replied.',
+    proactive_cue: '[The person has not written anything. Start the conversation yourself with a short, warm message: {task}]',
+    holding_message: 'Thank you for your patience! Our staff have your message and will reply as soon as they can.',
+    staff_sla_breach: 'No one on staff has replied for {minutes} minutes.',
+    staff_no_reply: 'The resident has not replied to the {kind} within {minutes} minutes',
+    staff_kind_check_in: 'check-in',
+    staff_kind_reminder: 'reminder',
+    staff_kind_follow_up: 'follow-up',
+    staff_kind_message: 'message',
+    staff_reservation_updated: 'Changed: {summary}',
+    staff_reservation_modified: 'Booking changed: {date} at {time}, {party_size} guests (was {previous_date} at {previous_time}, {previous_party_size} guests)',
+    staff_reservation_cancelled: 'Cancelled: {date} at {time}, {party_size} guests'
+  }
+};
+
+export const FALLBACK_LANGUAGE = 'sv';
+
+// Fill {placeholders}; unknown ones are left as-is
+export function formatString(template, vars = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (match, key) => (vars[key] != null ? vars[key] : match));
+}
@@ -0,0 +1,86 @@
+// ============================================
+// SPLIT A KNOWLEDGE BASE INTO CHUNKS
+// Sections follow markdown headings; every chunk carries its heading
+// so "Glutenfritt" under "## Meny" still reads as a menu fact on its own.
+// ============================================
+const DEFAULT_CHUNK_SIZE = 800;
+
+export function chunkKnowledge(text, { chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+  if (!text || !text.trim()) {
+    return [];
+  }
+
+  const chunks = [];
+
+  for (const section of splitSections(text)) {
+    const prefix = section.heading ? `${section.heading}\n` : '';
+    const budget = Math.max(200, chunkSize - prefix.length);
+    let current = '';
+
+    const flush = () => {
+      if (current.trim()) {
+        chunks.push(prefix + current.trim());
+      }
+      current = '';
+    };
+
+    for (const piece of splitToFit(section.body, budget)) {
+      if (current && current.length + piece.length + 2 > budget) {
+        flush();
+      }
+      current += (current ? '\n\n' : '') + piece;
+    }
+
+    flush();
+  }
+
+  return chunks;
+}
+
+function splitSections(text) {
+  const sections = [];
+  let current = { heading: null, body: '' };
+
+  for (const line of text.split(/\r?\n/)) {
+    if (/^#{1,6}\s+\S/.test(line)) {
+      if (current.body.trim()) sections.push(current);
+      current = { heading: line.trim(), body: '' };
+    } else {
+      current.body += line + '\n';
+    }
+  }
+
+  if (current.body.trim()) sections.push(current);
+  return sections;
+}
+
+// Paragraphs, and for oversized paragraphs lines and then sentences
+function splitToFit(body, budget) {
+  const pieces = [];
+
+  for (const paragraph of body.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
+    if (paragraph.length <= budget) {
+      pieces.push(paragraph);
+      continue;
+    }
+
+    let current = '';
+    for (const part of paragraph.split(/(?<=[.!?])\s+|\n/)) {
+      if (current && current.length + part.length + 1 > budget) {
+        pieces.push(current);
+        current = '';
+      }
+      // A single part longer than the budget is hard-cut
+      if (part.length > budget) {
+        for (let i = 0; i < part.length; i += budget) {
+          pieces.push(part.substring(i, i + budget));
+        }
+        continue;
+      }
+      current += (current ? ' ' : '') + part;
+    }
+    if (current) pieces.push(current);
+  }
+
+  return pieces;
+}
@@ -0,0 +1,124 @@
+import { createHash } from 'crypto';
+import { chunkKnowledge } from './chunker.js';
+import { resolveEmbeddingConfig, embeddingModelId, embedTexts, cosineSimilarity } from '../ai/embeddings.js';
+import { getKnowledgeChunks, saveKnowledgeChunks, deleteStaleKnowledgeChunks } from '../db/supabase.js';
+
+// ============================================
+// RETRIEVAL-AUGMENTED KNOWLEDGE
+// Tenant settings (customers.settings.knowledge):
+//   { retrieval: true, top_k: 5, chunk_size: 800, min_chars: 4000 }
+// Knowledge bases shorter than min_chars are still pasted whole.
+// ============================================
+const DEFAULTS = {
+  retrieval: true,
+  top_k: 5,
+  chunk_size: 800,
+  min_chars: 4000
+};
+
+// Indexed chunks per knowledge base version, per instance. Least recently
+// used first out (Map keeps insertion order), so a warm instance serving
+// many tenants keeps only the busy ones' vectors in memory.
+const indexCache = new Map();
+const MAX_CACHED_INDEXES = 50;
+
+/**
+ * Pick the knowledge chunks most relevant to the current prompt.
+ * @param {object} params
+ * @param {object} params.customer - Row from customers
+ * @param {object|null} params.companion - Row from customer_companions whose knowledge base is used, if any
+ * @param {string} params.knowledgeBase - Full knowledge base text
+ * @param {string} params.query - Current prompt plus recent guest messages
+ * @param {object} [params.usageContext] - For embedding usage accounting (ai/embeddings.js)
+ * @returns {Promise<string[]|null>} Chunks in knowledge-base order, or null to use the whole text
+ */
+export async function getRelevantKnowledge({ customer, companion, knowledgeBase, query, usageContext = null }) {
+  const settings = { ...DEFAULTS, ...(customer.settings?.knowledge || {}) };
+
+  if (!settings.retrieval || !knowledgeBase || knowledgeBase.length < settings.min_chars) {
+    return null;
+  }
+
+  try {
+    const embeddingConfig = resolveEmbeddingConfig(customer);
+    const index = await ensureKnowledgeIndex({
+      customerId: customer.id,
+      ownerKey: companion ? `companion:${companion.id}` : 'customer',
+      knowledgeBase,
+      chunkSize: settings.chunk_size,
+      embeddingConfig,
+      usageContext
+    });
+
+    if (index.length <= settings.top_k) {
+      return index.map(chunk => chunk.content);
+    }
+
+    const [queryVector] = await embedTexts([query], embeddingConfig, usageContext);
+
+    const selected = index
+      .map(chunk => ({ ...chunk, score: cosineSimilarity(queryVector, chunk.embedding) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, settings.top_k)
+      .sort((a, b) => a.chunk_index - b.chunk_index);
+
+    console.log(`📚 Knowledge: ${selected.length}/${index.length} chunks (best score ${Math.max(...selected.map(c => c.score)).toFixed(2)})`);
+
+    return selected.map(chunk => chunk.content);
+
+  } catch (err) {
+    // Retrieval is an optimisation - fall back to the full knowledge base
+    console.error('❌ Knowledge retrieval error:', err.message);
+    return null;
+  }
+}
+
+// ============================================
+// INDEXING
+// A knowledge base version is identified by a hash of its text, chunk size and
+// embedding model, so any config change triggers a re-index on the next request.
+// ============================================
+async function ensureKnowledgeIndex({ customerId, ownerKey, knowledgeBase, chunkSize, embeddingConfig, usageContext }) {
+  const modelId = embeddingModelId(embeddingConfig);
+  const sourceHash = createHash('sha256')
+    .update(`${modelId}\n${chunkSize}\n${knowledgeBase}`)
+    .digest('hex');
+
+  const cacheKey = `${customerId}:${ownerKey}:${sourceHash}`;
+  if (indexCache.has(cacheKey)) {
+    const cached = indexCache.get(cacheKey);
+    indexCache.delete(cacheKey);
+    indexCache.set(cacheKey, cached);
+    return cached;
+  }
+
+  let chunks = await getKnowledgeChunks(customerId, ownerKey, sourceHash);
+
+  if (!chunks.length) {
+    console.log(`📚 Re-indexing knowledge base (${ownerKey}) for customer ${customerId}`);
+
+    const texts = chunkKnowledge(knowledgeBase, { chunkSize });
+    const embeddings = await embedTexts(texts, embeddingConfig, usageContext);
+
+    chunks = texts.map((content, i) => ({
+      customer_id: customerId,
+      owner_key: ownerKey,
+      source_hash: sourceHash,
+      chunk_index: i,
+      content,
+      embedding: embeddings[i],
+      embedding_model: modelId
+    }));
+
+    await saveKnowledgeChunks(chunks);
+    await deleteStaleKnowledgeChunks(customerId, ownerKey, sourceHash);
+
+    console.log(`✅ Indexed ${chunks.length} knowledge chunks`);
+  }
+
+  indexCache.set(cacheKey, chunks);
+  if (indexCache.size > MAX_CACHED_INDEXES) {
+    indexCache.delete(indexCache.keys().next().value);
+  }
+  return chunks;
+}
@@ -0,0 +1,349 @@
+import { callLLM, resolveModelConfig } from '../ai/llm.js';
+import { resolveEmbeddingConfig, embeddingModelId, embedTexts, cosineSimilarity } from '../ai/embeddings.js';
+import { getQuotaStatus, isAtLeast } from '../billing/quota.js';
+import {
+  getCustomerById,
+  getAiConfig,
+  getCompanionMemories,
+  createCompanionMemories,
+  updateCompanionMemory,
+  getSessionMessages,
+  getSessionsPendingMemory,
+  updateSessionMetadata
+} from '../db/supabase.js';
+
+// ============================================
+// COMPANION MEMORY
+// Stable facts about a resident (family, preferences, life story, recurring
+// worries), kept per visitor and companion across sessions. Facts are
+// extracted from the conversation every few turns and when a session goes
+// idle (cron/companion-memory); staff can edit, pin and delete them.
+// customers.settings.memory:
+// {
+//   "enabled": true,
+//   "max_injected": 15,          // memories put in the system prompt
+//   "extract_every_turns": 6,    // resident turns between extractions
+//   "max_memories": 200          // per resident and companion
+// }
+// ============================================
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  max_injected: 15,
+  extract_every_turns: 6,
+  max_memories: 200
+};
+
+export const MEMORY_CATEGORIES = ['family', 'preferences', 'life_story', 'worries', 'routines', 'other'];
+
+const MAX_MEMORY_LENGTH = 300;
+const MAX_TRANSCRIPT_MESSAGES = 60;
+
+// Idle sweep: sessions quiet for IDLE_MINUTES, at most SWEEP_HOURS old
+const IDLE_MINUTES = 30;
+const SWEEP_HOURS = 24;
+
+export function getMemorySettings(customer) {
+  return { ...DEFAULT_SETTINGS, ...(customer.settings?.memory || {}) };
+}
+
+// Memory needs a resident (visitorId) and a companion to key it by
+export function memoryOwner(settings, session, companionData, visitorId) {
+  const resident = session?.visitor_id || visitorId;
+  if (!settings.enabled || !companionData || !resident) return null;
+  return { visitorId: resident, companionKey: companionData.companion_key };
+}
+
+/**
+ * Memories for the system prompt. All of them when they fit in max_injected,
+ * otherwise the pinned ones plus those closest to the current prompt.
+ * @param {object} params
+ * @param {object} params.customer
+ * @param {{visitorId: string, companionKey: string}} params.owner - From memoryOwner
+ * @param {object} params.settings - From getMemorySettings
+ * @param {string} params.query - Current prompt plus recent resident messages
+ * @param {object} [params.usageContext] - For embedding usage accounting (ai/embeddings.js)
+ * @returns {Promise<Array<{category: string, content: string}>>} In category order
+ */
+export async function loadRelevantMemories({ customer, owner, settings, query, usageContext = null }) {
+  const memories = await getCompanionMemories(customer.id, owner.visitorId, owner.companionKey);
+  if (!memories?.length) return [];
+
+  if (memories.length <= settings.max_injected) {
+    return sortForPrompt(memories);
+  }
+
+  const pinned = memories.filter(memory => memory.pinned);
+  const rest = memories.filter(memory => !memory.pinned);
+  const slots = Math.max(0, settings.max_injected - pinned.length);
+
+  try {
+    const embeddingConfig = resolveEmbeddingConfig(customer);
+    const vectors = await ensureEmbeddings(rest, embeddingConfig, usageContext);
+    const [queryVector] = await embedTexts([query], embeddingConfig, usageContext);
+
+    const selected = rest
+      .map((memory, i) => ({ memory, score: cosineSimilarity(queryVector, vectors[i]) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, slots)
+      .map(entry => entry.memory);
+
+    console.log(`🧠 Memory: ${pinned.length + selected.length}/${memories.length} memories`);
+    return sortForPrompt([...pinned, ...selected]);
+
+  } catch (err) {
+    // Without embeddings the newest memories are the best guess
+    console.error('❌ Memory retrieval error:', err.message);
+    return sortForPrompt([...pinned, ...rest.slice(-slots)]);
+  }
+}
+
+// Embeds memories saved without a vector (or with another model) and stores them
+async function ensureEmbeddings(memories, embeddingConfig, usageContext) {
+  const modelId = embeddingModelId(embeddingConfig);
+  const missing = memories.filter(memory => !memory.embedding || memory.embedding_model !== modelId);
+
+  if (missing.length) {
+    const vectors = await embedTexts(missing.map(memory => memory.content), embeddingConfig, usageContext);
+    await Promise.all(missing.map((memory, i) => {
+      memory.embedding = vectors[i];
+      memory.embedding_model = modelId;
+      return updateCompanionMemory(memory.id, { embedding: vectors[i], embedding_model: modelId });
+    }));
+  }
+
+  return memories.map(memory => memory.embedding);
+}
+
+function sortForPrompt(memories) {
+  return [...memories]
+    .sort((a, b) => MEMORY_CATEGORIES.indexOf(a.category) - MEMORY_CATEGORIES.indexOf(b.category))
+    .map(memory => ({ category: memory.category, content: memory.content }));
+}
+
+// ============================================
+// EXTRACTION
+// ============================================
+const EXTRACTION_PROMPT = `You keep the long-term memory of a companion app for an elderly person (some have dementia).
+From the conversation, pick out STABLE facts about the person that are worth remembering at their next visit:
+- family: names and relations of children, grandchildren, partner, friends, pets
+- preferences: favourite food, music, activities, things they dislike
+- life_story: where they grew up, work, important events
+- worries: concerns they keep coming back to
+- routines: daily habits, visits, recurring events
+Skip passing moods, anything about today only, and questions the person asked.
+Never store passwords, bank or card details, ID numbers or detailed medical information.
+Write each fact as one short sentence about the person, in the language of the conversation.
+If a fact updates one of the KNOWN MEMORIES, give its number in "replaces". Do not repeat known memories unchanged.
+
+Respond ONLY with JSON (no markdown):
+{"memories": [{"category": "${MEMORY_CATEGORIES.join('|')}", "content": "...", "replaces": number or null}]}`;
+
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    memories: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          category: { type: 'string', enum: MEMORY_CATEGORIES },
+          content: { type: 'string' },
+          replaces: { type: 'integer', nullable: true }
+        },
+        required: ['category', 'content', 'replaces']
+      }
+    }
+  },
+  required: ['memories']
+};
+
+/**
+ * Extract memories from the session's messages since the last extraction.
+ * Staff-written memories are never replaced by extracted ones.
+ * @param {object} params
+ * @param {object} params.customer
+ * @param {object} params.session - chat_sessions row
+ * @param {{visitorId: string, companionKey: string}} params.owner
+ * @param {object} params.settings - From getMemorySettings
+ * @param {string} params.aiName - Companion name for the transcript
+ * @param {object} params.modelConfig - Analysis model
+ * @param {object} [params.usageContext]
+ * @returns {Promise<{added: number, updated: number}>}
+ */
+export async function extractSessionMemories({ customer, session, owner, settings, aiName, modelConfig, usageContext }) {
+  const state = session.metadata?.memory || {};
+  const messages = await getSessionMessages(session.id, {
+    since: state.extracted_until,
+    limit: MAX_TRANSCRIPT_MESSAGES
+  });
+
+  const result = { added: 0, updated: 0 };
+
+  if (!messages.some(msg => msg.role === 'user')) {
+    await markExtracted(session.id, messages);
+    return result;
+  }
+
+  const existing = await getCompanionMemories(customer.id, owner.visitorId, owner.companionKey);
+  if (!existing) return result;
+
+  const transcript = messages
+    .map(msg => `${msg.sender_type === 'human' ? 'STAFF' : msg.role === 'user' ? 'PERSON' : aiName}: ${msg.content}`)
+    .join('\n');
+
+  const knownList = existing.length
+    ? existing.map((memory, i) => `[${i + 1}] (${memory.category}) ${memory.content}`).join('\n')
+    : '(none)';
+
+  try {
+    const { text } = await callLLM(
+      [{ role: 'user', parts: [{ text: `${EXTRACTION_PROMPT}\n\nKNOWN MEMORIES:\n${knownList}\n\nCONVERSATION:\n${transcript}` }] }],
+      { temperature: 0.1, maxOutputTokens: 800, responseSchema: RESPONSE_SCHEMA },
+      modelConfig,
+      usageContext
+    );
+
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      console.warn('⚠️ No JSON in memory extraction');
+      return result;
+    }
+
+    const extracted = (JSON.parse(jsonMatch[0]).memories || [])
+      .map(item => ({
+        category: MEMORY_CATEGORIES.includes(item.category) ? item.category : 'other',
+        content: String(item.content || '').trim().substring(0, MAX_MEMORY_LENGTH),
+        replaces: Number.isInteger(item.replaces) ? existing[item.replaces - 1] || null : null
+      }))
+      .filter(item => item.content);
+
+    const seen = new Set(existing.map(memory => normalize(memory.content)));
+    const additions = [];
+
+    for (const item of extracted) {
+      if (seen.has(normalize(item.content))) continue;
+      seen.add(normalize(item.content));
+
+      // Staff corrections win over what the model heard
+      if (item.replaces?.source === 'staff') continue;
+
+      if (item.replaces) {
+        await updateCompanionMemory(item.replaces.id, {
+          category: item.category,
+          content: item.content,
+          session_id: session.id,
+          embedding: null,
+          embedding_model: null
+        });
+        result.updated++;
+      } else {
+        additions.push(item);
+      }
+    }
+
+    const room = Math.max(0, settings.max_memories - existing.length);
+    if (additions.length > room) {
+      console.warn(`⚠️ Memory full for visitor ${owner.visitorId} - ${additions.length - room} new memories dropped`);
+    }
+
+    if (room && additions.length) {
+      const saved = await createCompanionMemories(additions.slice(0, room).map(item => ({
+        customer_id: customer.id,
+        visitor_id: owner.visitorId,
+        companion_key: owner.companionKey,
+        category: item.category,
+        content: item.content,
+        source: 'conversation',
+        session_id: session.id,
+        pinned: false
+      })));
+      result.added = saved?.length || 0;
+    }
+
+    await markExtracted(session.id, messages);
+
+    if (result.added || result.updated) {
+      console.log(`🧠 Memory: ${result.added} added, ${result.updated} updated for ${owner.companionKey}/${owner.visitorId}`);
+    }
+
+    return result;
+
+  } catch (err) {
+    // Left pending - the next turn or the idle sweep tries again
+    console.error('❌ Memory extraction error:', err.message);
+    return result;
+  }
+}
+
+// ============================================
+// IDLE SWEEP (cron/companion-memory)
+// Extracts the turns left over when a conversation ends between extractions
+// ============================================
+export async function extractIdleSessionMemories(now = new Date()) {
+  const sessions = await getSessionsPendingMemory(
+    new Date(now.getTime() - SWEEP_HOURS * 60 * 60 * 1000).toISOString(),
+    new Date(now.getTime() - IDLE_MINUTES * 60 * 1000).toISOString()
+  );
+
+  const result = { sessions: sessions.length, added: 0, updated: 0, skipped: 0 };
+  const tenants = new Map();
+
+  for (const session of sessions) {
+    if (!tenants.has(session.customer_id)) {
+      tenants.set(session.customer_id, await loadTenant(session.customer_id));
+    }
+
+    const tenant = tenants.get(session.customer_id);
+    if (!tenant) {
+      result.skipped++;
+      continue;
+    }
+
+    const { added, updated } = await extractSessionMemories({
+      customer: tenant.customer,
+      session,
+      owner: { visitorId: session.visitor_id, companionKey: session.metadata.companion },
+      settings: tenant.settings,
+      aiName: session.metadata.companion_name || session.metadata.companion,
+      modelConfig: tenant.modelConfig,
+      usageContext: { customerId: session.customer_id, sessionId: session.id, isTestMode: !!session.metadata.is_test }
+    });
+
+    result.added += added;
+    result.updated += updated;
+  }
+
+  return result;
+}
+
+// Tenants with memory off or near their quota are left pending
+async function loadTenant(customerId) {
+  const customer = await getCustomerById(customerId);
+  if (!customer) return null;
+
+  const settings = getMemorySettings(customer);
+  if (!settings.enabled) return null;
+
+  if (isAtLeast(await getQuotaStatus(customer), 'skip_analysis')) {
+    console.log(`📊 [QUOTA] ${customer.name}: memory extraction postponed`);
+    return null;
+  }
+
+  const aiConfig = await getAiConfig(customer.id);
+  return { customer, settings, modelConfig: resolveModelConfig(customer, aiConfig, 'analysis') };
+}
+
+async function markExtracted(sessionId, messages) {
+  const last = messages[messages.length - 1];
+  await updateSessionMetadata(sessionId, {
+    memory: {
+      extracted_until: last?.timestamp || new Date().toISOString(),
+      extracted_at: new Date().toISOString(),
+      pending_turns: 0
+    }
+  });
+}
+
+function normalize(text) {
+  return String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
@@ -1,4 +1,5 @@
 import { getEmailTemplate } from '../db/supabase.js';
+import { schemaTemplateVars } from '../ai/extraction.js';
 
 const RESEND_API_URL = 'https://api.resend.com/emails';
 const SUPERADMIN_EMAIL = 'eric@eryai.tech';
@@ -70,7 +71,7 @@ function processTemplate(template, vars) {
 // ============================================
 // SEND STAFF EMAIL
 // ============================================
-export async function sendStaffEmail({ customer, aiConfig, analysisConfig, analysis, sessionId, templateName, isTestMode }) {
+export async function sendStaffEmail({ customer, aiConfig, analysisConfig, analysis, schema, sessionId, templateName, isTestMode }) {
   const template = await getEmailTemplate(customer.id, templateName);
   
   if (!template) {
@@ -80,7 +81,9 @@ export async function sendStaffEmail({ customer, aiConfig, analysisConfig, analy
 
   const guestContact = analysis.guest_email || analysis.guest_phone || 'Ej angiven';
   
+  // Every field of the tenant's analysis schema is a {{variable}}
   const vars = {
+    ...schemaTemplateVars(analysis, schema),
     ai_name: aiConfig.ai_name,
     customer_name: customer.name,
     guest_name: analysis.guest_name || 'Okänd gäst',
@@ -110,7 +113,7 @@ export async function sendStaffEmail({ customer, aiConfig, analysisConfig, analy
 // ============================================
 // SEND GUEST EMAIL
 // ============================================
-export async function sendGuestEmail({ customer, aiConfig, analysisConfig, analysis, templateName, isTestMode }) {
+export async function sendGuestEmail({ customer, aiConfig, analysisConfig, analysis, schema, templateName, isTestMode }) {
   if (!analysis.guest_email) {
     console.log('No guest email, skipping guest notification');
     return { success: false, error: 'No guest email' };
@@ -124,6 +127,7 @@ export async function sendGuestEmail({ customer, aiConfig, analysisConfig, analy
   }
 
   const vars = {
+    ...schemaTemplateVars(analysis, schema),
     ai_name: aiConfig.ai_name,
     customer_name: customer.name,
     customer_tagline: customer.metadata?.tagline || '',
@@ -133,7 +137,12 @@ export async function sendGuestEmail({ customer, aiConfig, analysisConfig, analy
     reservation_date: analysis.reservation_date || '',
     reservation_time: analysis.reservation_time || '',
     party_size: analysis.party_size || '',
-    special_requests: analysis.special_requests || ''
+    special_requests: analysis.special_requests || '',
+    // Set for booking changes, e.g. {{#is_cancelled}}...{{/is_cancelled}}
+    is_cancelled: analysis.reservation_status === 'cancelled' ? 'true' : '',
+    previous_reservation_date: analysis.previous_reservation_date || '',
+    previous_reservation_time: analysis.previous_reservation_time || '',
+    previous_party_size: analysis.previous_party_size || ''
   };
 
   const { subject, html } = processTemplate(template, vars);
@@ -150,6 +159,41 @@ export async function sendGuestEmail({ customer, aiConfig, analysisConfig, analy
   });
 }
 
+// ============================================
+// SEND SUPERADMIN QUOTA ALERT
+// ============================================
+const QUOTA_LEVEL_DESCRIPTIONS = {
+  cheaper_model: 'Switched to a cheaper model',
+  skip_analysis: 'Conversation analysis is skipped',
+  busy: 'Quota exhausted - guests get the "busy" reply'
+};
+
+export async function sendQuotaAlert({ to, customerName, plan, level, used, limit, period, isTestMode }) {
+  const recipients = isTestMode || !to?.length ? SUPERADMIN_EMAIL : to;
+  const percent = Math.round((used / limit) * 100);
+  const subject = `📊 [QUOTA] ${customerName} at ${percent}% of ${period}ly quota`;
+
+  return sendEmail({
+    from: 'EryAI Billing <billing@eryai.tech>',
+    to: recipients,
+    subject: isTestMode ? `[TEST] ${subject}` : subject,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #fef3c7; border: 2px solid #d97706; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+          <h2 style="color: #b45309; margin: 0 0 10px 0;">📊 Quota threshold crossed</h2>
+          <p style="color: #92400e; margin: 0;">${QUOTA_LEVEL_DESCRIPTIONS[level] || level}</p>
+        </div>
+
+        <div style="background: #f9fafb; padding: 20px; border-radius: 8px;">
+          <p><strong>Customer:</strong> ${customerName}</p>
+          <p><strong>Plan:</strong> ${plan}</p>
+          <p><strong>Usage:</strong> ${used} / ${limit} LLM calls this ${period}</p>
+        </div>
+      </div>
+    `
+  });
+}
+
 // ============================================
 // SEND SUPERADMIN SECURITY ALERT
 // ============================================
@@ -194,3 +238,95 @@ export async function sendSuperadminAlert({ to, subject, customerName, sessionId
     `
   });
 }
+
+// ============================================
+// SEND WELLBEING ALERT (caregivers / family contacts)
+// ============================================
+export async function sendWellbeingAlert({ to, subject, customerName, residentName, companionName, severity, summary, evidence, sessionId, escalated, isTestMode }) {
+  const DASHBOARD_URL = 'https://dashboard.eryai.tech';
+  const sessionUrl = `${DASHBOARD_URL}/dashboard/session/${sessionId}`;
+
+  const urgent = severity === 'urgent';
+  const colors = urgent
+    ? { background: '#fee2e2', border: '#dc2626', text: '#991b1b' }
+    : { background: '#fef3c7', border: '#d97706', text: '#92400e' };
+
+  const emailSubject = isTestMode ? `[TEST] ${subject}` : subject;
+  const recipients = isTestMode ? SUPERADMIN_EMAIL : to;
+  const timestamp = new Date().toLocaleString('sv-SE', { timeZone: 'Europe/Stockholm' });
+
+  return sendEmail({
+    from: `${customerName} <notifications@eryai.tech>`,
+    to: recipients,
+    subject: emailSubject,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: ${colors.background}; border: 2px solid ${colors.border}; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+          <h2 style="color: ${colors.border}; margin: 0 0 10px 0;">${urgent ? '🚨 Akut - kontrollera hur det är' : '💛 Oro för välbefinnandet'}</h2>
+          <p style="color: ${colors.text}; margin: 0;">${escalated ? 'Larmet har inte kvitterats ännu. ' : ''}${escapeHtml(summary)}</p>
+        </div>
+
+        <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+          <p><strong>Tid:</strong> ${timestamp}</p>
+          <p><strong>Boende:</strong> ${escapeHtml(residentName)}</p>
+          ${companionName ? `<p><strong>Sällskap:</strong> ${companionName}</p>` : ''}
+          ${evidence ? `<p><strong>Skrev:</strong> <em>"${escapeHtml(evidence)}"</em></p>` : ''}
+        </div>
+
+        <div style="text-align: center;">
+          <a href="${sessionUrl}" style="background: ${colors.border}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+            Öppna konversationen och kvittera
+          </a>
+        </div>
+      </div>
+    `
+  });
+}
+
+// ============================================
+// SEND HANDOFF EMAIL (routed team or staff member)
+// ============================================
+export async function sendHandoffEmail({ to, customerName, teamName, guestName, summary, sessionId, escalated, isTestMode }) {
+  const DASHBOARD_URL = 'https://dashboard.eryai.tech';
+  const sessionUrl = `${DASHBOARD_URL}/dashboard/session/${sessionId}`;
+
+  const subject = `${escalated ? 'Eskalerad: ' : ''}${guestName || 'En gäst'} behöver hjälp${teamName ? ` (${teamName})` : ''}`;
+  const emailSubject = isTestMode ? `[TEST] ${subject}` : subject;
+  const recipients = isTestMode ? SUPERADMIN_EMAIL : to;
+  const timestamp = new Date().toLocaleString('sv-SE', { timeZone: 'Europe/Stockholm' });
+
+  return sendEmail({
+    from: `${customerName} <notifications@eryai.tech>`,
+    to: recipients,
+    subject: emailSubject,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #eff6ff; border: 2px solid #2563eb; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+          <h2 style="color: #2563eb; margin: 0 0 10px 0;">${escalated ? '⏰ Ingen har svarat ännu' : '🙋 Ett samtal behöver personal'}</h2>
+          <p style="color: #1e3a8a; margin: 0;">${escapeHtml(summary || 'Gästen väntar på svar från personalen.')}</p>
+        </div>
+
+        <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+          <p><strong>Tid:</strong> ${timestamp}</p>
+          <p><strong>Gäst:</strong> ${escapeHtml(guestName || 'Okänd')}</p>
+          ${teamName ? `<p><strong>Team:</strong> ${escapeHtml(teamName)}</p>` : ''}
+        </div>
+
+        <div style="text-align: center;">
+          <a href="${sessionUrl}" style="background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+            Öppna konversationen
+          </a>
+        </div>
+      </div>
+    `
+  });
+}
+
+// Resident and model text is untrusted in alert HTML
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -1,9 +1,20 @@
+import { formatString } from '../i18n/strings.js';
+import restaurant from '../verticals/restaurant.js';
+import eldercare from '../verticals/eldercare.js';
+
 const PUSH_API_URL = 'https://dashboard.eryai.tech/api/push/send';
 
+// Titles and bodies come from the tenant's vertical profile (notifications)
+const DEFAULT_WORDING = restaurant.notifications;
+const DEFAULT_WELLBEING_WORDING = eldercare.notifications.wellbeing;
+
 // ============================================
 // SEND PUSH NOTIFICATION
+// Staff devices of the customer, or with visitorId the resident's own
+// devices (companion apps subscribe with their visitorId). userIds limits
+// it to those staff members (a routed team or user, see handoff/routing.js)
 // ============================================
-export async function sendPush(customerId, { title, body, data = {} }) {
+export async function sendPush(customerId, { title, body, data = {}, visitorId, userIds }) {
   try {
     const response = await fetch(PUSH_API_URL, {
       method: 'POST',
@@ -13,6 +24,8 @@ export async function sendPush(customerId, { title, body, data = {} }) {
       },
       body: JSON.stringify({
         customerId,
+        ...(visitorId && { visitorId }),
+        ...(userIds && { userIds }),
         title,
         body,
         data
@@ -37,35 +50,64 @@ export async function sendPush(customerId, { title, body, data = {} }) {
 // ============================================
 // PUSH FOR NEW GUEST MESSAGE (human took over)
 // ============================================
-export async function pushNewGuestMessage(customerId, sessionId, guestName, message) {
+export async function pushNewGuestMessage(customerId, sessionId, guestName, message, wording = DEFAULT_WORDING, audience = {}) {
   const truncatedMessage = message.length > 50 
     ? message.substring(0, 50) + '...' 
     : message;
 
   return sendPush(customerId, {
-    title: '💬 Nytt meddelande',
-    body: `${guestName}: ${truncatedMessage}`,
+    title: wording.new_message.title,
+    body: formatString(wording.new_message.body, { guest: guestName || wording.guest, message: truncatedMessage }),
     data: {
       sessionId,
       type: 'new_message',
       guestName
-    }
+    },
+    ...audience
   });
 }
 
 // ============================================
 // PUSH FOR RESERVATION
 // ============================================
-export async function pushReservation(customerId, sessionId, analysis) {
+export async function pushReservation(customerId, sessionId, analysis, wording = DEFAULT_WORDING, audience = {}) {
   const { guest_name, reservation_date, reservation_time, party_size } = analysis;
 
   return sendPush(customerId, {
-    title: '📅 Ny bokning!',
-    body: `${guest_name || 'Gäst'} vill boka ${reservation_date || ''} kl ${reservation_time || ''} för ${party_size || '?'} pers`,
+    title: wording.reservation.title,
+    body: formatString(wording.reservation.body, {
+      guest: guest_name || wording.guest,
+      date: reservation_date || '',
+      time: reservation_time || '',
+      party_size: party_size || '?'
+    }),
     data: {
       sessionId,
       type: 'reservation',
       guestName: guest_name
+    },
+    ...audience
+  });
+}
+
+// ============================================
+// PUSH FOR RESERVATION CHANGE (modified / cancelled by the guest)
+// ============================================
+export async function pushReservationChange(customerId, sessionId, reservation, change) {
+  const { guest_name, reservation_date, reservation_time, party_size } = reservation;
+
+  const body = change === 'cancelled'
+    ? `${guest_name || 'Gäst'} har avbokat ${reservation_date} kl ${reservation_time}`
+    : `${guest_name || 'Gäst'} har ändrat till ${reservation_date} kl ${reservation_time} för ${party_size} pers`;
+
+  return sendPush(customerId, {
+    title: change === 'cancelled' ? '❌ Avbokning' : '✏️ Ändrad bokning',
+    body,
+    data: {
+      sessionId,
+      type: 'reservation_change',
+      reservationId: reservation.id,
+      guestName: guest_name
     }
   });
 }
@@ -73,29 +115,91 @@ export async function pushReservation(customerId, sessionId, analysis) {
 // ============================================
 // PUSH FOR COMPLAINT
 // ============================================
-export async function pushComplaint(customerId, sessionId, guestName) {
+export async function pushComplaint(customerId, sessionId, guestName, wording = DEFAULT_WORDING, audience = {}) {
   return sendPush(customerId, {
-    title: '⚠️ Klagomål',
-    body: `${guestName || 'En gäst'} har uttryckt missnöje`,
+    title: wording.complaint.title,
+    body: formatString(wording.complaint.body, { guest: guestName || wording.guest }),
     data: {
       sessionId,
       type: 'complaint',
       guestName
-    }
+    },
+    ...audience
   });
 }
 
 // ============================================
 // PUSH FOR NEEDS HUMAN RESPONSE
 // ============================================
-export async function pushNeedsHuman(customerId, sessionId, guestName) {
+export async function pushNeedsHuman(customerId, sessionId, guestName, wording = DEFAULT_WORDING, audience = {}) {
   return sendPush(customerId, {
-    title: '💬 Behöver svar',
-    body: `${guestName || 'En gäst'} har en fråga som behöver ditt svar`,
+    title: wording.needs_human.title,
+    body: formatString(wording.needs_human.body, { guest: guestName || wording.guest }),
     data: {
       sessionId,
       type: 'needs_human',
       guestName
+    },
+    ...audience
+  });
+}
+
+// ============================================
+// PUSH FOR UNANSWERED HANDOFF (SLA breached, see handoff/sla.js)
+// ============================================
+export async function pushSlaBreach(customerId, sessionId, { guestName, minutes, level }, wording = DEFAULT_WORDING, audience = {}) {
+  const template = wording.sla_breach || DEFAULT_WORDING.sla_breach;
+
+  return sendPush(customerId, {
+    title: template.title,
+    body: formatString(template.body, { guest: guestName || wording.guest, minutes }),
+    data: {
+      sessionId,
+      type: 'sla_breach',
+      escalationLevel: level,
+      guestName
+    },
+    ...audience
+  });
+}
+
+// ============================================
+// PUSH FOR WELLBEING ALERT (distress in a companion session)
+// ============================================
+export async function pushWellbeingAlert(customerId, sessionId, { severity, guestName, summary, alertId, escalated }, wording = DEFAULT_WORDING) {
+  const wellbeing = wording.wellbeing || DEFAULT_WELLBEING_WORDING;
+  const template = wellbeing[severity] || wellbeing.concern;
+  const title = escalated ? formatString(wellbeing.escalated, { title: template.title }) : template.title;
+
+  return sendPush(customerId, {
+    title,
+    body: formatString(template.body, { guest: guestName || wording.guest, summary }),
+    data: {
+      sessionId,
+      type: 'wellbeing',
+      severity,
+      alertId,
+      guestName
+    }
+  });
+}
+
+// ============================================
+// PUSH FOR PROACTIVE COMPANION MESSAGE (to the resident's device)
+// ============================================
+export async function pushProactiveMessage(customerId, visitorId, sessionId, { aiName, message, companion }) {
+  const truncatedMessage = message.length > 100
+    ? message.substring(0, 100) + '...'
+    : message;
+
+  return sendPush(customerId, {
+    visitorId,
+    title: aiName,
+    body: truncatedMessage,
+    data: {
+      sessionId,
+      type: 'proactive_message',
+      companion
     }
   });
 }
@@ -0,0 +1,311 @@
+import {
+  getCustomerById,
+  getAiConfig,
+  getCompanion,
+  createSession,
+  saveMessage,
+  getSessionMessages,
+  getFirstUserMessageSince,
+  getLatestCompanionSession,
+  getDueCompanionSchedules,
+  getCompanionSchedule,
+  claimCompanionSchedule,
+  createProactiveMessage,
+  getProactiveMessagesAwaitingReply,
+  updateProactiveMessage
+} from '../db/supabase.js';
+import { callLLM, resolveModelConfig } from '../ai/llm.js';
+import { buildChatContents, buildSystemPrompt } from '../ai/gemini.js';
+import { companionAiConfig } from '../engine/companion.js';
+import { resolveVertical } from '../verticals/index.js';
+import { resolveLocale, getStaffStrings, localize } from '../i18n/locale.js';
+import { getQuotaStatus } from '../billing/quota.js';
+import { getOutputGuardSettings, createGuardContext, guardResponse } from '../security/outputGuard.js';
+import { getMemorySettings, memoryOwner, loadRelevantMemories } from '../memory/companionMemory.js';
+import { getWellbeingSettings, raiseWellbeingAlert } from '../wellbeing/alerts.js';
+import { pushProactiveMessage } from '../notifications/push.js';
+import { nextRunAt } from './timing.js';
+
+// ============================================
+// PROACTIVE COMPANION MESSAGES
+// companion_schedules holds per-resident check-ins, reminders and follow-ups.
+// cron/proactive-messages sends the due ones: the companion writes the
+// message in its own persona, it is saved to chat_messages and pushed to the
+// resident's device. With reply_window_minutes set, no reply in time raises
+// a wellbeing alert to the caregivers (wellbeing/alerts.js).
+// customers.settings.proactive:
+// {
+//   "enabled": true,
+//   "timezone": "Europe/Stockholm",   // defaults to the reservations timezone
+//   "session_reuse_hours": 12         // continue the resident's recent session
+// }
+// ============================================
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  timezone: null,
+  session_reuse_hours: 12
+};
+
+const FALLBACK_TIMEZONE = 'Europe/Stockholm';
+const HISTORY_MESSAGES = 10;
+const MAX_MESSAGE_TOKENS = 200;
+
+export function getProactiveSettings(customer) {
+  const settings = { ...DEFAULT_SETTINGS, ...(customer.settings?.proactive || {}) };
+  settings.timezone = settings.timezone || customer.settings?.reservations?.timezone || FALLBACK_TIMEZONE;
+  return settings;
+}
+
+/**
+ * Send every due schedule. Each schedule is claimed (moved to its next run)
+ * before sending, so overlapping cron runs never send twice; runs missed
+ * while the tenant was disabled or out of quota are skipped, not sent late.
+ * @returns {Promise<{due: number, sent: number, skipped: number, failed: number}>}
+ */
+export async function runDueSchedules(now = new Date()) {
+  const due = await getDueCompanionSchedules(now.toISOString());
+  const result = { due: due.length, sent: 0, skipped: 0, failed: 0 };
+  const tenants = new Map();
+
+  for (const schedule of due) {
+    if (!tenants.has(schedule.customer_id)) {
+      tenants.set(schedule.customer_id, await loadTenant(schedule.customer_id));
+    }
+    const tenant = tenants.get(schedule.customer_id);
+    const timezone = tenant?.settings.timezone || FALLBACK_TIMEZONE;
+    const next = nextRunAt(schedule, timezone, now);
+
+    const claimed = await claimCompanionSchedule(schedule.id, schedule.next_run_at, {
+      next_run_at: next,
+      last_run_at: now.toISOString(),
+      // One-off schedules are done after their run
+      is_active: !!next
+    });
+
+    if (!claimed) continue;
+
+    if (!tenant || !tenant.settings.enabled || tenant.quotaStatus.level === 'busy') {
+      console.log(`⏭️ [PROACTIVE] Schedule ${schedule.id} skipped (${!tenant ? 'no customer' : !tenant.settings.enabled ? 'disabled' : 'quota'})`);
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      const outcome = await sendProactiveMessage({ tenant, schedule, now });
+      result[outcome]++;
+    } catch (err) {
+      console.error(`❌ [PROACTIVE] Schedule ${schedule.id} failed:`, err.message);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
+
+async function loadTenant(customerId) {
+  const customer = await getCustomerById(customerId);
+  if (!customer) return null;
+
+  const [aiConfig, quotaStatus] = await Promise.all([
+    getAiConfig(customer.id),
+    getQuotaStatus(customer)
+  ]);
+
+  return { customer, aiConfig: aiConfig || {}, quotaStatus, settings: getProactiveSettings(customer) };
+}
+
+// ============================================
+// SEND ONE MESSAGE
+// Not into a conversation staff have taken over - the companion would talk
+// over them. The run is skipped, like one missed while out of quota.
+// ============================================
+
+/**
+ * @returns {Promise<'sent'|'skipped'|'failed'>}
+ */
+async function sendProactiveMessage({ tenant, schedule, now }) {
+  const { customer, aiConfig, settings } = tenant;
+
+  const companionData = await getCompanion(customer.id, schedule.companion_key);
+  if (!companionData) {
+    console.warn(`⚠️ [PROACTIVE] Companion '${schedule.companion_key}' not found - schedule ${schedule.id} not sent`);
+    return 'failed';
+  }
+
+  const vertical = resolveVertical(customer, { companion: schedule.companion_key });
+  const effectiveAiConfig = companionAiConfig(aiConfig, companionData);
+
+  // Continue the resident's recent conversation, or start a new one
+  const reuseSince = new Date(now.getTime() - settings.session_reuse_hours * 60 * 60 * 1000).toISOString();
+  let session = await getLatestCompanionSession(customer.id, schedule.visitor_id, schedule.companion_key, reuseSince);
+
+  if (session && (session.needs_human || session.assigned_user_id)) {
+    console.log(`⏭️ [PROACTIVE] Schedule ${schedule.id} skipped - staff have session ${session.id}`);
+    return 'skipped';
+  }
+
+  const locale = resolveLocale({ customer, aiConfig, companion: companionData, vertical, session, prompt: null });
+
+  if (!session) {
+    session = await createSession(customer.id, {
+      source: 'proactive',
+      is_test: false,
+      language: locale.language,
+      companion: schedule.companion_key,
+      companion_name: companionData.ai_name
+    }, { visitorId: schedule.visitor_id });
+
+    if (!session) return 'failed';
+  }
+
+  const history = await getSessionMessages(session.id, { limit: HISTORY_MESSAGES });
+
+  const memorySettings = getMemorySettings(customer);
+  const memoryKey = memoryOwner(memorySettings, session, companionData, schedule.visitor_id);
+  const usageContext = { customerId: customer.id, sessionId: session.id, isTestMode: false };
+
+  const memories = memoryKey
+    ? await loadRelevantMemories({ customer, owner: memoryKey, settings: memorySettings, query: schedule.instruction, usageContext })
+    : null;
+
+  const cue = localize(locale.strings, 'proactive_cue', { task: schedule.instruction });
+  const systemPrompt = buildSystemPrompt(effectiveAiConfig, [], null, session.metadata?.conversation_summary || null, memories);
+
+  const { text } = await callLLM(
+    buildChatContents(systemPrompt, effectiveAiConfig.greeting, history, cue, locale.strings),
+    { temperature: effectiveAiConfig.temperature || 0.7, maxOutputTokens: MAX_MESSAGE_TOKENS },
+    resolveModelConfig(customer, aiConfig, 'chat'),
+    usageContext
+  );
+
+  let message = (text || '').trim();
+
+  // Same guardrail as replies; the instruction counts as known text (e.g. a dose staff wrote)
+  const guardSettings = getOutputGuardSettings(customer);
+  if (message && guardSettings.enabled) {
+    const outcome = await guardResponse({
+      text: message,
+      prompt: cue,
+      guard: createGuardContext({
+        systemPrompt: effectiveAiConfig.system_prompt,
+        knowledgeBase: [effectiveAiConfig.knowledge_base, schedule.instruction].filter(Boolean).join('\n'),
+        conversation: [...history.map(msg => msg.content), ...(memories || []).map(memory => memory.content)],
+        customer,
+        settings: guardSettings,
+        vertical
+      }),
+      fallbackText: '',
+      referralText: '',
+      modelConfig: resolveModelConfig(customer, aiConfig, 'judge'),
+      usageContext
+    });
+
+    // A replaced opener would be a non sequitur - better not to send one
+    message = outcome.action === 'replaced' ? '' : outcome.text;
+    if (outcome.action !== 'pass') {
+      console.warn(`🛡️ [PROACTIVE] Output guard ${outcome.action}: ${outcome.findings.map(f => f.type).join(', ')}`);
+    }
+  }
+
+  if (!message) {
+    console.warn(`⚠️ [PROACTIVE] No message generated for schedule ${schedule.id}`);
+    return 'failed';
+  }
+
+  await saveMessage(session.id, 'assistant', message, 'ai');
+
+  const sentAt = new Date();
+  const expectsReply = !!schedule.reply_window_minutes;
+
+  await createProactiveMessage({
+    schedule_id: schedule.id,
+    customer_id: customer.id,
+    session_id: session.id,
+    visitor_id: schedule.visitor_id,
+    companion_key: schedule.companion_key,
+    kind: schedule.kind,
+    content: message,
+    sent_at: sentAt.toISOString(),
+    reply_due_at: expectsReply ? new Date(sentAt.getTime() + schedule.reply_window_minutes * 60 * 1000).toISOString() : null,
+    status: expectsReply ? 'awaiting_reply' : 'sent'
+  });
+
+  await pushProactiveMessage(customer.id, schedule.visitor_id, session.id, {
+    aiName: companionData.ai_name,
+    message,
+    companion: schedule.companion_key
+  });
+
+  console.log(`💌 [PROACTIVE] ${schedule.kind} sent to ${schedule.visitor_id} by ${companionData.ai_name}`);
+  return 'sent';
+}
+
+// ============================================
+// MISSED REPLIES
+// Any resident message after the proactive one counts as a reply. When the
+// check itself fails the message is left awaiting and checked on the next run.
+// ============================================
+export async function checkMissedReplies(now = new Date()) {
+  const awaiting = await getProactiveMessagesAwaitingReply(now.toISOString());
+  const result = { checked: awaiting.length, replied: 0, missed: 0, retry: 0 };
+  const customers = new Map();
+
+  for (const proactive of awaiting) {
+    const reply = await getFirstUserMessageSince(proactive.session_id, proactive.sent_at);
+
+    if (reply === undefined) {
+      result.retry++;
+      continue;
+    }
+
+    if (reply) {
+      await updateProactiveMessage(proactive.id, { status: 'replied', replied_at: reply.timestamp });
+      result.replied++;
+      continue;
+    }
+
+    await updateProactiveMessage(proactive.id, { status: 'no_reply' });
+    result.missed++;
+
+    if (!customers.has(proactive.customer_id)) {
+      customers.set(proactive.customer_id, await getCustomerById(proactive.customer_id));
+    }
+    const customer = customers.get(proactive.customer_id);
+    const schedule = proactive.schedule_id ? await getCompanionSchedule(proactive.schedule_id) : null;
+
+    if (!customer || schedule?.alert_on_no_reply === false) continue;
+
+    const vertical = resolveVertical(customer, { companion: proactive.companion_key });
+    const strings = getStaffStrings(customer, { vertical });
+    const kind = KINDS.includes(proactive.kind) ? proactive.kind : 'message';
+
+    const { alert } = await raiseWellbeingAlert({
+      customer,
+      session: { id: proactive.session_id, visitor_id: proactive.visitor_id, metadata: { companion: proactive.companion_key } },
+      vertical,
+      settings: getWellbeingSettings(customer),
+      severity: schedule?.no_reply_severity === 'urgent' ? 'urgent' : 'concern',
+      categories: ['no_reply'],
+      summary: localize(strings, 'staff_no_reply', {
+        kind: localize(strings, `staff_kind_${kind}`),
+        minutes: minutesBetween(proactive.sent_at, proactive.reply_due_at)
+      }),
+      evidence: proactive.content,
+      source: 'no_reply',
+      isTestMode: false
+    });
+
+    if (alert) {
+      await updateProactiveMessage(proactive.id, { alert_id: alert.id });
+    }
+  }
+
+  return result;
+}
+
+// Each has a staff_kind_<kind> string
+const KINDS = ['check_in', 'reminder', 'follow_up'];
+
+function minutesBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / 60000);
+}
@@ -0,0 +1,76 @@
+import { localNow, toMinutes, weekdayOf, WEEKDAYS } from '../reservations/rules.js';
+
+// ============================================
+// SCHEDULE TIMING
+// Recurring schedules: local "times" (HH:MM) on "days" (weekday names,
+// empty = every day) in the tenant's timezone. One-off schedules: "run_at".
+// ============================================
+const LOOKAHEAD_DAYS = 8;
+
+export function isValidSchedule({ times, days, run_at }) {
+  if (run_at) {
+    return !isNaN(new Date(run_at).getTime());
+  }
+
+  return Array.isArray(times) && times.length > 0 && times.every(time => toMinutes(time) !== null && toMinutes(time) < 24 * 60)
+    && (!days || (Array.isArray(days) && days.every(day => WEEKDAYS.includes(day))));
+}
+
+/**
+ * The next time a schedule should run, strictly after `after`.
+ * @param {object} schedule - companion_schedules row (times, days, run_at)
+ * @param {string} timezone - IANA zone, e.g. Europe/Stockholm
+ * @param {Date} [after]
+ * @returns {string|null} ISO timestamp, or null when it never runs again
+ */
+export function nextRunAt(schedule, timezone, after = new Date()) {
+  if (schedule.run_at) {
+    const runAt = new Date(schedule.run_at);
+    return runAt > after ? runAt.toISOString() : null;
+  }
+
+  const times = (schedule.times || [])
+    .map(toMinutes)
+    .filter(minutes => minutes !== null)
+    .sort((a, b) => a - b);
+
+  if (!times.length) return null;
+
+  const today = localNow(timezone, after).date;
+
+  for (let offset = 0; offset < LOOKAHEAD_DAYS; offset++) {
+    const date = addDays(today, offset);
+    if (schedule.days?.length && !schedule.days.includes(weekdayOf(date))) continue;
+
+    for (const minutes of times) {
+      const at = zonedTime(date, minutes, timezone);
+      if (at > after) return at.toISOString();
+    }
+  }
+
+  return null;
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().substring(0, 10);
+}
+
+// Local date + minutes in a zone -> the UTC instant. The offset is looked up
+// twice so times right after a DST change land on the right side.
+function zonedTime(date, minutes, timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+
+  let instant = wallClock - zoneOffset(wallClock, timezone);
+  instant = wallClock - zoneOffset(instant, timezone);
+  return new Date(instant);
+}
+
+function zoneOffset(instant, timezone) {
+  const local = localNow(timezone, new Date(instant));
+  const [year, month, day] = local.date.split('-').map(Number);
+  const localAsUtc = Date.UTC(year, month - 1, day) + local.minutes * 60 * 1000;
+  return localAsUtc - Math.floor(instant / 60000) * 60000;
+}
@@ -4,36 +4,67 @@ const rateLimitMap = new Map();
 const WINDOW_MS = 30 * 1000; // 30 seconds
 const MAX_REQUESTS = 5; // 5 requests per window
 
+// Locked-out clients (see security/riskScore.js) get a much tighter limit.
+// Capped so a lifted lockout does not linger; re-applied while it is active.
+const penaltyMap = new Map();
+
+const PENALTY_WINDOW_MS = 60 * 1000; // 1 minute
+const PENALTY_MAX_REQUESTS = 1;
+const PENALTY_MAX_MS = 15 * 60 * 1000; // 15 minutes
+
 export function rateLimit(identifier) {
   const now = Date.now();
-  const key = identifier;
-  
+  const penalized = isPenalized(identifier, now);
+
+  const key = penalized ? `${identifier}:penalty` : identifier;
+  const windowMs = penalized ? PENALTY_WINDOW_MS : WINDOW_MS;
+  const maxRequests = penalized ? PENALTY_MAX_REQUESTS : MAX_REQUESTS;
+
   let data = rateLimitMap.get(key);
-  
-  if (!data || now - data.windowStart > WINDOW_MS) {
+
+  if (!data || now - data.windowStart > windowMs) {
     data = { windowStart: now, count: 1 };
     rateLimitMap.set(key, data);
-    return { success: true, remaining: MAX_REQUESTS - 1, resetIn: WINDOW_MS };
+    return { success: true, limit: maxRequests, remaining: maxRequests - 1, resetIn: windowMs };
   }
-  
+
   data.count++;
-  
-  if (data.count > MAX_REQUESTS) {
-    const resetIn = WINDOW_MS - (now - data.windowStart);
-    return { 
-      success: false, 
+
+  if (data.count > maxRequests) {
+    const resetIn = windowMs - (now - data.windowStart);
+    return {
+      success: false,
+      limit: maxRequests,
       remaining: 0,
       retryAfter: Math.ceil(resetIn / 1000)
     };
   }
-  
-  return { 
-    success: true, 
-    remaining: MAX_REQUESTS - data.count,
-    resetIn: WINDOW_MS - (now - data.windowStart)
+
+  return {
+    success: true,
+    limit: maxRequests,
+    remaining: maxRequests - data.count,
+    resetIn: windowMs - (now - data.windowStart)
   };
 }
 
+// Tighten the limit for an identifier until `until` (at most PENALTY_MAX_MS ahead)
+export function escalateRateLimit(identifier, until) {
+  const expiresAt = Math.min(new Date(until).getTime(), Date.now() + PENALTY_MAX_MS);
+  penaltyMap.set(identifier, expiresAt);
+}
+
+function isPenalized(identifier, now) {
+  const expiresAt = penaltyMap.get(identifier);
+  if (!expiresAt) return false;
+
+  if (expiresAt <= now) {
+    penaltyMap.delete(identifier);
+    return false;
+  }
+  return true;
+}
+
 export function getClientIP(req) {
   return (
     req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
@@ -0,0 +1,373 @@
+import { createHash } from 'crypto';
+import { getSession, getMessagesSince, listSessionEvents } from '../db/supabase.js';
+import { getTypingState } from './typing.js';
+
+// ============================================
+// SESSION EVENT STREAM
+// One watcher per subscriber (/api/events), one feed per session. The feed
+// polls the session, its new messages and session_events (handoff, claim,
+// release...) and typing_presence once per POLL_INTERVAL_MS, however many
+// subscribers of this instance are watching, and keeps the recent rows in a
+// buffer. Each watcher reads from that buffer from its own cursor and diffs
+// the session status and typing flags against what its subscriber last got.
+//
+// The cursor is where the subscriber is in chat_messages and session_events,
+// plus a hash of the status and typing state it last got, so a reconnect
+// only repeats them when they changed. It is opaque to clients: they send
+// back the id of the last event they got.
+//
+// Timestamps are not unique and a row can commit after a later one, so rows
+// from OVERLAP_MS before the cursor are read again and skipped by id. Per
+// stream the cursor holds the newest timestamp delivered (after), the ids
+// delivered in the window before it (seen) and a (timestamp, id) floor at or
+// below which everything counts as delivered - set when seen would outgrow
+// MAX_SEEN, and for a stream that starts from now.
+// ============================================
+export const POLL_INTERVAL_MS = 1500;
+
+const BATCH_LIMIT = 100;
+const MAX_BUFFERED = 200;
+const OVERLAP_MS = 5000;
+const MAX_SEEN = 50;
+
+// A long-poll client is back within a second or two - keep its feed warm
+const FEED_IDLE_MS = 30000;
+
+// Guests only learn that staff joined or left; everything else is internal
+const GUEST_EVENT_TYPES = ['claimed', 'released'];
+
+const MESSAGES = { key: 'timestamp', load: (sessionId, since, limit) => getMessagesSince(sessionId, since, limit) };
+const EVENTS = { key: 'created_at', load: (sessionId, since, limit) => listSessionEvents(sessionId, { since, limit }) };
+
+export function encodeCursor({ messages, events, status = null, typing = null }) {
+  return Buffer.from(JSON.stringify({
+    m: [messages.after, messages.seen, messages.floor],
+    e: [events.after, events.seen, events.floor],
+    s: status,
+    t: typing
+  })).toString('base64url');
+}
+
+// null for anything that is not a cursor we issued
+export function decodeCursor(value) {
+  if (!value) return null;
+
+  try {
+    const { m, e, s = null, t = null } = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const messages = decodeStream(m);
+    const events = decodeStream(e);
+    if (!messages || !events) return null;
+    if (!isStateHash(s) || !isStateHash(t)) return null;
+    return { messages, events, status: s, typing: t };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cursor for a client that has every message listed (/api/messages) and no
+ * session events before `fetchedAt`.
+ */
+export function historyCursor(messages, fetchedAt) {
+  const after = messages.length ? messages[messages.length - 1].timestamp : fetchedAt;
+  return encodeCursor({
+    messages: trimSeen(messages, MESSAGES.key, after, null),
+    events: startPosition(fetchedAt)
+  });
+}
+
+/**
+ * @param {object} params
+ * @param {object} params.session - chat_sessions row
+ * @param {object|null} params.cursor - Decoded cursor; null starts from now
+ * @param {boolean} params.staff - Staff see assignment, routing and SLA details
+ * @returns {{ poll: () => Promise<Array<{id: string, type: string, data: object}>>, cursor: () => string, close: () => void }}
+ */
+export function createSessionWatcher({ session, cursor, staff }) {
+  const feed = acquireFeed(session);
+  const now = new Date().toISOString();
+  // Status and typing are sent on connect, then only when they change
+  const position = cursor ? { ...cursor } : {
+    messages: startPosition(now),
+    events: startPosition(now),
+    status: null,
+    typing: null
+  };
+  let closed = false;
+
+  const currentCursor = () => encodeCursor(position);
+
+  async function poll() {
+    await refreshFeed(feed);
+
+    const [messages, events] = await Promise.all([
+      feedRows(feed, feed.messages, position.messages.after, MESSAGES),
+      feedRows(feed, feed.events, position.events.after, EVENTS)
+    ]);
+
+    const newMessages = messages.filter(row => !isDelivered(row, position.messages, MESSAGES.key)).slice(0, BATCH_LIMIT);
+    const newEvents = events.filter(row => !isDelivered(row, position.events, EVENTS.key)).slice(0, BATCH_LIMIT);
+    const out = [];
+
+    for (const message of newMessages) {
+      position.messages = advance(position.messages, message, messages, MESSAGES.key);
+      out.push({ id: currentCursor(), type: 'message', data: message });
+    }
+
+    for (const event of newEvents) {
+      position.events = advance(position.events, event, events, EVENTS.key);
+      if (!staff && !GUEST_EVENT_TYPES.includes(event.event_type)) continue;
+
+      out.push({
+        id: currentCursor(),
+        type: 'handoff',
+        data: staff ? event : { event_type: event.event_type, created_at: event.created_at }
+      });
+    }
+
+    const status = sessionStatus(feed.session, staff);
+    const statusHash = stateHash(status);
+    if (statusHash !== position.status) {
+      position.status = statusHash;
+      out.push({ id: currentCursor(), type: 'session', data: status });
+    }
+
+    if (feed.presence) {
+      const typing = typingState(feed.presence, staff);
+      const typingHash = stateHash(typing);
+      if (typingHash !== position.typing) {
+        position.typing = typingHash;
+        out.push({ id: currentCursor(), type: 'typing', data: typing });
+      }
+    }
+
+    return out;
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    releaseFeed(feed);
+  }
+
+  return { poll, cursor: currentCursor, close };
+}
+
+// ============================================
+// CURSOR POSITION (per stream: { after, seen, floor })
+// ============================================
+
+// Everything up to `at` counts as delivered
+function startPosition(at) {
+  return { after: at, seen: [], floor: [at, ''] };
+}
+
+function isDelivered(row, position, timestampKey) {
+  if (position.seen.includes(row.id)) return true;
+  return !!position.floor && compareRows(row, { [timestampKey]: position.floor[0], id: position.floor[1] }, timestampKey) <= 0;
+}
+
+// The position once `row` is delivered too. windowRows are the rows read
+// for the poll, which cover the whole overlap window.
+function advance(position, row, windowRows, timestampKey) {
+  const after = isAfter(row[timestampKey], position.after) ? row[timestampKey] : position.after;
+  const delivered = windowRows.filter(r => r.id === row.id || isDelivered(r, position, timestampKey));
+  return trimSeen(delivered, timestampKey, after, position.floor);
+}
+
+// Delivered rows (sorted) in the window before `after` become the seen ids;
+// beyond MAX_SEEN the oldest are folded into the floor
+function trimSeen(delivered, timestampKey, after, floor) {
+  const windowStart = overlapStart(after);
+  const inWindow = delivered.filter(row => !isAfter(windowStart, row[timestampKey]) && !isAfter(row[timestampKey], after));
+  const kept = inWindow.slice(-MAX_SEEN);
+  const folded = inWindow.length > kept.length ? inWindow[inWindow.length - kept.length - 1] : null;
+
+  let newFloor = floor;
+  if (folded && (!floor || compareRows(folded, { [timestampKey]: floor[0], id: floor[1] }, timestampKey) > 0)) {
+    newFloor = [folded[timestampKey], folded.id];
+  }
+  // A floor before the window no longer matters
+  if (newFloor && isAfter(windowStart, newFloor[0])) newFloor = null;
+
+  return { after, seen: kept.map(r => r.id), floor: newFloor };
+}
+
+function decodeStream(value) {
+  if (!Array.isArray(value) || value.length !== 3) return null;
+
+  const [after, seen, floor] = value;
+  if (!isTimestamp(after)) return null;
+  if (!Array.isArray(seen) || seen.length > MAX_SEEN || !seen.every(isId)) return null;
+  if (floor !== null && !(Array.isArray(floor) && floor.length === 2 && isTimestamp(floor[0]) && (floor[1] === '' || isId(floor[1])))) return null;
+
+  return { after, seen, floor };
+}
+
+// ============================================
+// SHARED FEEDS (per session, per warm instance)
+// Each buffer holds every row from its `since` on.
+// ============================================
+const feeds = new Map();
+
+function acquireFeed(session) {
+  sweepIdleFeeds();
+
+  let feed = feeds.get(session.id);
+  if (!feed) {
+    const since = overlapStart(new Date().toISOString());
+    feed = {
+      sessionId: session.id,
+      session,
+      presence: null,
+      messages: { rows: [], since },
+      events: { rows: [], since },
+      refreshedAt: 0,
+      pending: null,
+      subscribers: 0,
+      idleSince: null
+    };
+    feeds.set(session.id, feed);
+  }
+
+  feed.subscribers++;
+  feed.idleSince = null;
+  return feed;
+}
+
+function releaseFeed(feed) {
+  feed.subscribers = Math.max(0, feed.subscribers - 1);
+  if (!feed.subscribers) feed.idleSince = Date.now();
+}
+
+function sweepIdleFeeds() {
+  for (const [sessionId, feed] of feeds) {
+    if (!feed.subscribers && feed.idleSince && Date.now() - feed.idleSince > FEED_IDLE_MS) {
+      feeds.delete(sessionId);
+    }
+  }
+}
+
+// One round of queries per interval; concurrent callers share it
+function refreshFeed(feed) {
+  if (feed.pending) return feed.pending;
+  if (Date.now() - feed.refreshedAt < POLL_INTERVAL_MS) return Promise.resolve();
+
+  feed.pending = (async () => {
+    const [fresh, presence] = await Promise.all([
+      getSession(feed.sessionId),
+      getTypingState(feed.sessionId),
+      refreshBuffer(feed.sessionId, feed.messages, MESSAGES),
+      refreshBuffer(feed.sessionId, feed.events, EVENTS)
+    ]);
+
+    if (fresh) feed.session = fresh;
+    feed.presence = presence;
+    feed.refreshedAt = Date.now();
+  })().finally(() => {
+    feed.pending = null;
+  });
+
+  return feed.pending;
+}
+
+// Re-reads the overlap window before the newest buffered row and merges by id
+async function refreshBuffer(sessionId, buffer, stream) {
+  const newest = buffer.rows.at(-1)?.[stream.key];
+  const windowStart = newest ? overlapStart(newest) : buffer.since;
+  const since = isAfter(windowStart, buffer.since) ? windowStart : buffer.since;
+  const known = buffer.rows.filter(row => !isAfter(since, row[stream.key]));
+
+  const rows = await stream.load(sessionId, since, BATCH_LIMIT + known.length);
+  if (!rows) return;
+
+  const ids = new Set(known.map(row => row.id));
+  const added = rows.filter(row => !ids.has(row.id));
+  if (!added.length) return;
+
+  buffer.rows = [...buffer.rows, ...added].sort((a, b) => compareRows(a, b, stream.key));
+
+  // Rows sharing a timestamp stay together, so `since` stays exact
+  if (buffer.rows.length > MAX_BUFFERED) {
+    const cut = buffer.rows[buffer.rows.length - MAX_BUFFERED][stream.key];
+    buffer.rows = buffer.rows.filter(row => !isAfter(cut, row[stream.key]));
+    buffer.since = cut;
+  }
+}
+
+// The rows a watcher's overlap window covers - from the buffer, or from the
+// database while the watcher is still behind the buffer (a resumed cursor)
+async function feedRows(feed, buffer, after, stream) {
+  const windowStart = overlapStart(after);
+
+  if (isAfter(buffer.since, windowStart)) {
+    return await stream.load(feed.sessionId, windowStart, BATCH_LIMIT + MAX_SEEN) || [];
+  }
+  return buffer.rows.filter(row => !isAfter(windowStart, row[stream.key]));
+}
+
+// ============================================
+// STATE
+// ============================================
+function sessionStatus(session, staff) {
+  const status = {
+    status: session.status || null,
+    needs_human: !!session.needs_human,
+    staff_assigned: !!session.assigned_user_id
+  };
+
+  if (!staff) return status;
+
+  return {
+    ...status,
+    assigned_user_id: session.assigned_user_id || null,
+    assigned_team_id: session.assigned_team_id || null,
+    routed_user_id: session.metadata?.routed_user_id || null,
+    escalation_level: session.escalation_level || 0,
+    sla_due_at: session.metadata?.sla_due_at || null
+  };
+}
+
+// Without expiry times, so a heartbeat alone is not a change
+function typingState(presence, staff) {
+  const state = { visitor_typing: presence.visitor_typing, staff_typing: presence.staff_typing };
+  if (!staff) return state;
+
+  return {
+    ...state,
+    staff: presence.staff.map(({ user_id }) => ({ user_id })).sort((a, b) => String(a.user_id).localeCompare(String(b.user_id)))
+  };
+}
+
+function stateHash(state) {
+  return createHash('sha256').update(JSON.stringify(state)).digest('base64url').substring(0, 12);
+}
+
+function isStateHash(value) {
+  return value === null || (typeof value === 'string' && value.length <= 64);
+}
+
+function isId(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= 64;
+}
+
+function overlapStart(timestamp) {
+  return new Date(new Date(timestamp).getTime() - OVERLAP_MS).toISOString();
+}
+
+// Database order: time, then id
+function compareRows(a, b, timestampKey) {
+  if (isAfter(a[timestampKey], b[timestampKey])) return 1;
+  if (isAfter(b[timestampKey], a[timestampKey])) return -1;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+// Database timestamps have microseconds; a tie on the millisecond falls back to the text
+function isAfter(a, b) {
+  const diff = new Date(a).getTime() - new Date(b).getTime();
+  return diff !== 0 ? diff > 0 : a > b;
+}
+
+function isTimestamp(value) {
+  return typeof value === 'string' && !isNaN(new Date(value).getTime());
+}
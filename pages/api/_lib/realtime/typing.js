@@ -0,0 +1,73 @@
+import { upsertTypingPresence, deleteTypingPresence, getActiveTypingPresence } from '../db/supabase.js';
+
+// ============================================
+// TYPING PRESENCE
+// "Is typing" is a lease, not a flag: each participant's row in
+// typing_presence expires TYPING_TTL_SECONDS after their last heartbeat, so
+// a tab closed mid-sentence stops showing as typing by itself. Clients send
+// typing: true every HEARTBEAT_SECONDS while typing and typing: false when
+// they stop. Participants: "visitor", "staff:<userId>" per signed-in staff
+// member, and "staff" for dashboards that don't send credentials.
+// ============================================
+export const TYPING_TTL_SECONDS = 8;
+export const HEARTBEAT_SECONDS = 3;
+
+// Keystrokes between heartbeats don't need a write. Per warm instance only,
+// so the worst case is one write per heartbeat per instance.
+const lastWrites = new Map();
+const MAX_TRACKED = 5000;
+
+export function typingParticipant(sender, userId) {
+  if (sender === 'visitor') return 'visitor';
+  return userId ? `staff:${userId}` : 'staff';
+}
+
+/**
+ * @returns {Promise<boolean>} false when the store could not be updated
+ */
+export async function setTyping({ sessionId, sender, userId = null, typing }) {
+  const participant = typingParticipant(sender, userId);
+  const key = `${sessionId}:${participant}`;
+  const now = Date.now();
+
+  if (!typing) {
+    lastWrites.delete(key);
+    return deleteTypingPresence(sessionId, participant, new Date(now).toISOString());
+  }
+
+  const lastWrite = lastWrites.get(key);
+  if (lastWrite && now - lastWrite < HEARTBEAT_SECONDS * 1000) {
+    return true;
+  }
+
+  const saved = await upsertTypingPresence({
+    session_id: sessionId,
+    participant,
+    sender,
+    user_id: sender === 'staff' ? userId : null,
+    expires_at: new Date(now + TYPING_TTL_SECONDS * 1000).toISOString(),
+    updated_at: new Date(now).toISOString()
+  });
+
+  if (saved) {
+    if (lastWrites.size >= MAX_TRACKED) lastWrites.clear();
+    lastWrites.set(key, now);
+  }
+  return saved;
+}
+
+/**
+ * Who is typing right now. visitor_typing/staff_typing keep the shape of
+ * the old chat_sessions columns; staff lists each staff member typing
+ * (user_id null for dashboards without credentials).
+ */
+export async function getTypingState(sessionId) {
+  const presence = await getActiveTypingPresence(sessionId, new Date().toISOString()) || [];
+  const staff = presence.filter(row => row.sender === 'staff');
+
+  return {
+    visitor_typing: presence.some(row => row.sender === 'visitor'),
+    staff_typing: staff.length > 0,
+    staff: staff.map(row => ({ user_id: row.user_id || null, expires_at: row.expires_at }))
+  };
+}
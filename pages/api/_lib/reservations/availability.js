@@ -0,0 +1,176 @@
+import { getReservationsForDate } from '../db/supabase.js';
+import {
+  toMinutes,
+  fromMinutes,
+  isValidDate,
+  localNow,
+  daysBetween,
+  getOpeningWindows
+} from './rules.js';
+
+const MAX_ALTERNATIVES = 3;
+
+// ============================================
+// CHECK AVAILABILITY
+// Resolves with { available: true, date, time, partySize, tableIds }
+// or { available: false, reason, alternatives: ['HH:MM', ...] }
+// excludeReservationId leaves a booking out, so it can be moved onto its own table.
+// ============================================
+export async function checkAvailability(customer, rules, { date, time, partySize, excludeReservationId }) {
+  const size = Number(partySize);
+
+  const invalid = validateRequest(rules, { date, time, partySize: size });
+  if (invalid) {
+    return { available: false, reason: invalid, alternatives: [] };
+  }
+
+  const start = toMinutes(time);
+  const existing = (await getReservationsForDate(customer.id, date))
+    .filter(r => r.id !== excludeReservationId);
+  const now = localNow(rules.timezone);
+
+  const unbookable = getUnbookableReason(rules, date, start, now);
+  const allocation = unbookable ? null : allocateSeating(rules, existing, start, size);
+
+  if (allocation) {
+    return {
+      available: true,
+      date,
+      time: fromMinutes(start),
+      partySize: size,
+      tableIds: allocation.tableIds
+    };
+  }
+
+  return {
+    available: false,
+    reason: unbookable || 'fully_booked',
+    alternatives: findAlternatives(rules, existing, date, start, size, now)
+  };
+}
+
+// ============================================
+// SEATING ALLOCATION
+// Table mode: smallest free table that fits, else two free tables in the same area.
+// Capacity mode: total seats across overlapping bookings.
+// Returns { tableIds } or null when the party does not fit.
+// ============================================
+export function allocateSeating(rules, reservations, start, partySize) {
+  const overlapping = getOverlapping(rules, reservations, start, rules.duration_minutes);
+
+  if (rules.tables?.length) {
+    const used = new Set(overlapping.flatMap(r => r.table_ids || []));
+    const free = rules.tables
+      .filter(table => !used.has(table.id))
+      .sort((a, b) => a.seats - b.seats);
+
+    const single = free.find(table => table.seats >= partySize);
+    if (single) {
+      return { tableIds: [single.id] };
+    }
+
+    if (rules.allow_combining_tables) {
+      let best = null;
+      for (let i = 0; i < free.length; i++) {
+        for (let j = i + 1; j < free.length; j++) {
+          const seats = free[i].seats + free[j].seats;
+          if (free[i].area === free[j].area && seats >= partySize && (!best || seats < best.seats)) {
+            best = { seats, tableIds: [free[i].id, free[j].id] };
+          }
+        }
+      }
+      if (best) {
+        return { tableIds: best.tableIds };
+      }
+    }
+
+    return null;
+  }
+
+  if (rules.capacity) {
+    const seatsTaken = overlapping.reduce((sum, r) => sum + (r.party_size || 0), 0);
+    return rules.capacity - seatsTaken >= partySize ? { tableIds: [] } : null;
+  }
+
+  // No tables or capacity configured - nothing to run out of
+  return { tableIds: [] };
+}
+
+// Would this booking, as allocated, collide with any of the others?
+export function hasSeatingConflict(rules, others, reservation) {
+  const start = toMinutes(reservation.reservation_time);
+  const overlapping = getOverlapping(rules, others, start, reservation.duration_minutes || rules.duration_minutes);
+
+  if (rules.tables?.length) {
+    const taken = new Set(overlapping.flatMap(r => r.table_ids || []));
+    return (reservation.table_ids || []).some(id => taken.has(id));
+  }
+
+  if (rules.capacity) {
+    const seatsTaken = overlapping.reduce((sum, r) => sum + (r.party_size || 0), 0);
+    return seatsTaken + reservation.party_size > rules.capacity;
+  }
+
+  return false;
+}
+
+function getOverlapping(rules, reservations, start, duration) {
+  const end = start + duration;
+
+  return reservations.filter(r => {
+    const rStart = toMinutes(r.reservation_time);
+    const rEnd = rStart + (r.duration_minutes || rules.duration_minutes);
+    return rStart < end && rEnd > start;
+  });
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+function validateRequest(rules, { date, time, partySize }) {
+  if (!isValidDate(date)) return 'invalid_date';
+  if (toMinutes(time) === null) return 'invalid_time';
+  if (!Number.isInteger(partySize) || partySize < rules.min_party_size) return 'invalid_party_size';
+  if (partySize > rules.max_party_size) return 'party_too_large';
+
+  const now = localNow(rules.timezone);
+  const daysAhead = daysBetween(now.date, date);
+  if (daysAhead < 0) return 'in_the_past';
+  if (daysAhead > rules.max_days_ahead) return 'too_far_ahead';
+
+  return null;
+}
+
+function getUnbookableReason(rules, date, start, now) {
+  const windows = getOpeningWindows(rules, date);
+  if (!windows.length) return 'closed';
+
+  const window = windows.find(([open, close]) => start >= open && start + rules.duration_minutes <= close);
+  if (!window) return 'outside_opening_hours';
+
+  if ((start - window[0]) % rules.slot_minutes !== 0) return 'not_on_slot';
+
+  if (date === now.date && start < now.minutes + rules.min_notice_minutes) return 'too_short_notice';
+
+  return null;
+}
+
+function findAlternatives(rules, reservations, date, requestedStart, partySize, now) {
+  const candidates = [];
+
+  for (const [open, close] of getOpeningWindows(rules, date)) {
+    for (let start = open; start + rules.duration_minutes <= close; start += rules.slot_minutes) {
+      if (start === requestedStart) continue;
+      if (getUnbookableReason(rules, date, start, now)) continue;
+      if (allocateSeating(rules, reservations, start, partySize)) {
+        candidates.push(start);
+      }
+    }
+  }
+
+  return candidates
+    .sort((a, b) => Math.abs(a - requestedStart) - Math.abs(b - requestedStart))
+    .slice(0, MAX_ALTERNATIVES)
+    .sort((a, b) => a - b)
+    .map(fromMinutes);
+}
@@ -0,0 +1,142 @@
+import {
+  createReservationRow,
+  updateReservation,
+  getReservationsForDate,
+  getSessionNotification,
+  createNotification,
+  updateNotification,
+  updateSessionMetadata
+} from '../db/supabase.js';
+import { pushReservation } from '../notifications/push.js';
+import { checkAvailability, hasSeatingConflict } from './availability.js';
+
+// ============================================
+// CREATE RESERVATION
+// Availability is re-checked right before insert and once more after it:
+// two sessions can pass the first check at the same time, and the one
+// that inserted last gives way.
+// Resolves with { ok: true, reservation } or { ok: false, reason, alternatives }
+// ============================================
+export async function createReservation(customer, rules, booking) {
+  const { sessionId, guestName, guestEmail, guestPhone, date, time, partySize, specialRequests } = booking;
+
+  const availability = await checkAvailability(customer, rules, { date, time, partySize });
+  if (!availability.available) {
+    return { ok: false, reason: availability.reason, alternatives: availability.alternatives };
+  }
+
+  const reservation = await createReservationRow({
+    customer_id: customer.id,
+    session_id: sessionId || null,
+    status: 'confirmed',
+    guest_name: guestName,
+    guest_email: guestEmail || null,
+    guest_phone: guestPhone || null,
+    party_size: availability.partySize,
+    reservation_date: availability.date,
+    reservation_time: availability.time,
+    duration_minutes: rules.duration_minutes,
+    table_ids: availability.tableIds,
+    special_requests: specialRequests || null,
+    source: 'chat'
+  });
+
+  if (!reservation) {
+    return { ok: false, reason: 'error' };
+  }
+
+  if (await lostDoubleBookingRace(customer, rules, reservation)) {
+    await updateReservation(reservation.id, { status: 'rejected' });
+    console.log(`⚠️ Reservation ${reservation.id} rejected - slot taken concurrently`);
+
+    const retry = await checkAvailability(customer, rules, { date, time, partySize });
+    return { ok: false, reason: 'fully_booked', alternatives: retry.alternatives || [] };
+  }
+
+  console.log(`✅ Reservation confirmed: ${reservation.id} (${reservation.reservation_date} ${reservation.reservation_time}, ${reservation.party_size} pers)`);
+
+  if (sessionId) {
+    await linkToSession(customer, reservation);
+  }
+
+  return { ok: true, reservation };
+}
+
+// ============================================
+// DOUBLE-BOOKING CHECK
+// Replays allocation over every confirmed booking that was created before
+// this one; if ours no longer fits, a concurrent booking got there first.
+// ============================================
+async function lostDoubleBookingRace(customer, rules, reservation) {
+  const confirmed = await getReservationsForDate(customer.id, reservation.reservation_date);
+
+  const earlier = confirmed.filter(r =>
+    r.id !== reservation.id &&
+    (r.created_at < reservation.created_at || (r.created_at === reservation.created_at && r.id < reservation.id))
+  );
+
+  return hasSeatingConflict(rules, earlier, reservation);
+}
+
+// ============================================
+// SESSION + NOTIFICATION LINK
+// Reuses the session's reservation notification if the analysis already
+// created one, so staff see a single row.
+// ============================================
+async function linkToSession(customer, reservation) {
+  const sessionId = reservation.session_id;
+
+  const reservationDetails = {
+    reservation_id: reservation.id,
+    status: reservation.status,
+    date: reservation.reservation_date,
+    time: reservation.reservation_time,
+    party_size: reservation.party_size,
+    table_ids: reservation.table_ids,
+    special_requests: reservation.special_requests
+  };
+
+  let summary = `Reservation ${reservation.reservation_date} kl ${reservation.reservation_time}, ${reservation.party_size} pers`;
+  if (reservation.special_requests) summary += `, ${reservation.special_requests}`;
+
+  const existing = await getSessionNotification(sessionId, 'reservation');
+  let notification = existing;
+
+  if (existing) {
+    await updateNotification(existing.id, { summary, reservation_details: reservationDetails });
+  } else {
+    notification = await createNotification({
+      customer_id: customer.id,
+      session_id: sessionId,
+      type: 'reservation',
+      priority: 'normal',
+      status: 'unread',
+      summary,
+      guest_name: reservation.guest_name,
+      guest_email: reservation.guest_email,
+      guest_phone: reservation.guest_phone,
+      reservation_details: reservationDetails
+    });
+  }
+
+  if (notification) {
+    await updateReservation(reservation.id, { notification_id: notification.id });
+    reservation.notification_id = notification.id;
+  }
+
+  await updateSessionMetadata(sessionId, {
+    reservation_id: reservation.id,
+    guest_name: reservation.guest_name,
+    guest_email: reservation.guest_email,
+    guest_phone: reservation.guest_phone
+  });
+
+  if (!existing) {
+    await pushReservation(customer.id, sessionId, {
+      guest_name: reservation.guest_name,
+      reservation_date: reservation.reservation_date,
+      reservation_time: reservation.reservation_time,
+      party_size: reservation.party_size
+    });
+  }
+}
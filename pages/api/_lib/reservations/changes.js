@@ -0,0 +1,305 @@
+import {
+  getReservation,
+  getUpcomingReservations,
+  getReservationsForDate,
+  updateReservation,
+  getSession,
+  updateSessionMetadata,
+  createNotification,
+  updateNotification
+} from '../db/supabase.js';
+import { pushReservationChange } from '../notifications/push.js';
+import { sendGuestEmail } from '../notifications/email.js';
+import { checkAvailability, hasSeatingConflict } from './availability.js';
+import { localNow } from './rules.js';
+import { getStaffStrings, localize } from '../i18n/locale.js';
+
+// Guest email templates (email_templates.template_name), overridable in
+// customers.settings.reservations.email_templates
+const DEFAULT_EMAIL_TEMPLATES = {
+  modified: 'reservation_modified',
+  cancelled: 'reservation_cancelled'
+};
+
+// ============================================
+// GUEST LOOKUP + VERIFICATION
+// A booking is found by phone or email, and only handed out when the name
+// and date on it match too - knowing a phone number alone is not enough.
+// Verified ids are remembered on the session (metadata.verified_reservation_ids);
+// the session that made a booking may always change it. Lookups need a
+// session, and failed ones count in metadata.reservation_lookup: after
+// MAX_LOOKUP_FAILURES the session cannot look up bookings for
+// LOOKUP_LOCK_MINUTES, so the details cannot be guessed.
+// ============================================
+const MAX_LOOKUP_FAILURES = 5;
+const LOOKUP_LOCK_MINUTES = 30;
+
+export async function findGuestReservation(customer, rules, { sessionId, phone, email, guestName, date }) {
+  if (!phone && !email) {
+    return { ok: false, reason: 'missing_contact' };
+  }
+
+  const session = sessionId ? await getSession(sessionId) : null;
+  if (!session || session.customer_id !== customer.id) {
+    return { ok: false, reason: 'no_session' };
+  }
+
+  const lookup = session.metadata?.reservation_lookup || {};
+  if (lookup.locked_until && new Date(lookup.locked_until).getTime() > Date.now()) {
+    return { ok: false, reason: 'too_many_attempts' };
+  }
+
+  const upcoming = await getUpcomingReservations(customer.id, localNow(rules.timezone).date);
+
+  const reservation = upcoming.find(r =>
+    (phone ? samePhone(r.guest_phone, phone) : sameEmail(r.guest_email, email)) &&
+    r.reservation_date === date &&
+    sameName(r.guest_name, guestName)
+  );
+
+  if (!reservation) {
+    // A lock that has run out starts the count again
+    const failures = (lookup.locked_until ? 0 : lookup.failures || 0) + 1;
+    const locked = failures >= MAX_LOOKUP_FAILURES;
+
+    await updateSessionMetadata(session.id, {
+      reservation_lookup: {
+        failures: locked ? 0 : failures,
+        locked_until: locked ? new Date(Date.now() + LOOKUP_LOCK_MINUTES * 60000).toISOString() : null
+      }
+    });
+
+    if (locked) {
+      console.log(`🔒 Reservation lookup locked for session ${session.id} after ${failures} failed attempts`);
+      return { ok: false, reason: 'too_many_attempts' };
+    }
+
+    // Same answer whichever detail was wrong
+    return { ok: false, reason: 'not_found' };
+  }
+
+  const verified = session.metadata?.verified_reservation_ids || [];
+  await updateSessionMetadata(session.id, {
+    verified_reservation_ids: verified.includes(reservation.id) ? verified : [...verified, reservation.id],
+    reservation_lookup: null
+  });
+
+  console.log(`🔐 Reservation ${reservation.id} verified for session ${session.id}`);
+  return { ok: true, reservation };
+}
+
+async function loadVerifiedReservation(customer, reservationId, sessionId) {
+  if (!sessionId) {
+    return { error: 'not_verified' };
+  }
+
+  const reservation = await getReservation(reservationId);
+
+  if (!reservation || reservation.customer_id !== customer.id) {
+    return { error: 'not_found' };
+  }
+
+  // Bookings made outside the chat have no session_id and always need verifying
+  const ownBooking = !!reservation.session_id && reservation.session_id === sessionId;
+  if (!ownBooking) {
+    const session = await getSession(sessionId);
+    if (session?.customer_id !== customer.id || !session.metadata?.verified_reservation_ids?.includes(reservation.id)) {
+      return { error: 'not_verified' };
+    }
+  }
+
+  if (reservation.status !== 'confirmed') {
+    return { error: 'not_active', status: reservation.status };
+  }
+
+  return { reservation };
+}
+
+// ============================================
+// MODIFY (date, time and/or party size)
+// Re-checked after the update like a new booking; on a collision the
+// previous values are restored.
+// ============================================
+export async function modifyReservation(customer, rules, { reservationId, sessionId, date, time, partySize }, context = {}) {
+  const { reservation, error, status } = await loadVerifiedReservation(customer, reservationId, sessionId);
+  if (error) {
+    return { ok: false, reason: error, status };
+  }
+
+  const requested = {
+    date: date || reservation.reservation_date,
+    time: time || reservation.reservation_time,
+    partySize: partySize ?? reservation.party_size
+  };
+
+  const availability = await checkAvailability(customer, rules, { ...requested, excludeReservationId: reservation.id });
+  if (!availability.available) {
+    return { ok: false, reason: availability.reason, alternatives: availability.alternatives };
+  }
+
+  const previous = {
+    reservation_date: reservation.reservation_date,
+    reservation_time: reservation.reservation_time,
+    party_size: reservation.party_size,
+    table_ids: reservation.table_ids
+  };
+
+  const updated = {
+    ...reservation,
+    reservation_date: availability.date,
+    reservation_time: availability.time,
+    party_size: availability.partySize,
+    table_ids: availability.tableIds,
+    duration_minutes: rules.duration_minutes
+  };
+
+  await updateReservation(reservation.id, {
+    reservation_date: updated.reservation_date,
+    reservation_time: updated.reservation_time,
+    party_size: updated.party_size,
+    table_ids: updated.table_ids,
+    duration_minutes: updated.duration_minutes
+  });
+
+  const others = (await getReservationsForDate(customer.id, updated.reservation_date))
+    .filter(r => r.id !== reservation.id);
+
+  if (hasSeatingConflict(rules, others, updated)) {
+    await updateReservation(reservation.id, previous);
+    console.log(`⚠️ Reservation ${reservation.id} change reverted - slot taken concurrently`);
+    return { ok: false, reason: 'fully_booked', alternatives: [] };
+  }
+
+  console.log(`✏️ Reservation modified: ${reservation.id} → ${updated.reservation_date} ${updated.reservation_time}, ${updated.party_size} pers`);
+
+  await notifyChange(customer, rules, updated, 'modified', previous, { ...context, sessionId });
+  return { ok: true, reservation: updated, previous };
+}
+
+// ============================================
+// CANCEL
+// ============================================
+export async function cancelReservation(customer, rules, { reservationId, sessionId }, context = {}) {
+  const { reservation, error, status } = await loadVerifiedReservation(customer, reservationId, sessionId);
+  if (error) {
+    return { ok: false, reason: error, status };
+  }
+
+  await updateReservation(reservation.id, { status: 'cancelled' });
+  const cancelled = { ...reservation, status: 'cancelled' };
+
+  console.log(`❌ Reservation cancelled: ${reservation.id}`);
+
+  await notifyChange(customer, rules, cancelled, 'cancelled', null, { ...context, sessionId });
+  return { ok: true, reservation: cancelled };
+}
+
+// ============================================
+// STAFF + GUEST NOTIFICATION
+// The booking's notification is updated and marked unread again, so staff
+// see the change where they saw the booking.
+// ============================================
+async function notifyChange(customer, rules, reservation, change, previous, { sessionId, aiConfig, analysisConfig, isTestMode }) {
+  const summary = localize(getStaffStrings(customer, { aiConfig }), `staff_reservation_${change}`, {
+    date: reservation.reservation_date,
+    time: reservation.reservation_time,
+    party_size: reservation.party_size,
+    previous_date: previous?.reservation_date,
+    previous_time: previous?.reservation_time,
+    previous_party_size: previous?.party_size
+  });
+
+  const reservationDetails = {
+    reservation_id: reservation.id,
+    status: reservation.status,
+    change,
+    date: reservation.reservation_date,
+    time: reservation.reservation_time,
+    party_size: reservation.party_size,
+    table_ids: reservation.table_ids,
+    special_requests: reservation.special_requests,
+    previous: previous ? {
+      date: previous.reservation_date,
+      time: previous.reservation_time,
+      party_size: previous.party_size
+    } : null
+  };
+
+  if (reservation.notification_id) {
+    await updateNotification(reservation.notification_id, {
+      summary,
+      status: 'unread',
+      reservation_details: reservationDetails
+    });
+  } else {
+    const notification = await createNotification({
+      customer_id: customer.id,
+      session_id: reservation.session_id || sessionId,
+      type: 'reservation',
+      priority: 'normal',
+      status: 'unread',
+      summary,
+      guest_name: reservation.guest_name,
+      guest_email: reservation.guest_email,
+      guest_phone: reservation.guest_phone,
+      reservation_details: reservationDetails
+    });
+
+    if (notification) {
+      await updateReservation(reservation.id, { notification_id: notification.id });
+    }
+  }
+
+  await pushReservationChange(customer.id, sessionId || reservation.session_id, reservation, change);
+
+  if (!aiConfig) return;
+
+  const templates = { ...DEFAULT_EMAIL_TEMPLATES, ...(rules.email_templates || {}) };
+
+  try {
+    await sendGuestEmail({
+      customer,
+      aiConfig,
+      analysisConfig,
+      analysis: {
+        guest_name: reservation.guest_name,
+        guest_email: reservation.guest_email,
+        reservation_date: reservation.reservation_date,
+        reservation_time: reservation.reservation_time,
+        party_size: reservation.party_size,
+        special_requests: reservation.special_requests,
+        reservation_status: reservation.status,
+        previous_reservation_date: previous?.reservation_date,
+        previous_reservation_time: previous?.reservation_time,
+        previous_party_size: previous?.party_size
+      },
+      templateName: templates[change],
+      isTestMode
+    });
+  } catch (err) {
+    console.error('❌ Failed to send reservation change email:', err.message);
+  }
+}
+
+// ============================================
+// MATCHING HELPERS
+// ============================================
+
+// Compares the last 8 digits, so +46 70..., 0046 70... and 070... match
+function samePhone(stored, given) {
+  const a = String(stored || '').replace(/\D/g, '');
+  const b = String(given || '').replace(/\D/g, '');
+  if (a.length < 6 || b.length < 6) return false;
+  return a.slice(-8) === b.slice(-8);
+}
+
+function sameEmail(stored, given) {
+  return !!stored && !!given && stored.trim().toLowerCase() === given.trim().toLowerCase();
+}
+
+// First name is enough ("Anna" matches "Anna Svensson")
+function sameName(stored, given) {
+  const a = String(stored || '').trim().toLowerCase().split(/\s+/);
+  const b = String(given || '').trim().toLowerCase().split(/\s+/);
+  return !!a[0] && a[0] === b[0];
+}
@@ -0,0 +1,129 @@
+// ============================================
+// RESERVATION RULES
+// Per tenant in customers.settings.reservations:
+// {
+//   "timezone": "Europe/Stockholm",
+//   "slot_minutes": 15,              // bookable start times: 18:00, 18:15, ...
+//   "duration_minutes": 120,         // how long a table is held
+//   "min_party_size": 1, "max_party_size": 12,
+//   "min_notice_minutes": 60, "max_days_ahead": 90,
+//   "opening_hours": { "monday": [["11:00", "22:00"]], "sunday": [] },
+//   "closed_dates": ["2026-12-24"],
+//   "tables": [{ "id": "T1", "seats": 2, "area": "inside" }],   // table mode, or
+//   "capacity": 40,                  // seat-count mode when no tables are listed
+//   "allow_combining_tables": true
+// }
+// Bookings must end by closing time; overnight bookings are not supported.
+// ============================================
+const DEFAULT_RULES = {
+  timezone: 'Europe/Stockholm',
+  slot_minutes: 15,
+  duration_minutes: 120,
+  min_party_size: 1,
+  max_party_size: 12,
+  min_notice_minutes: 60,
+  max_days_ahead: 90,
+  closed_dates: [],
+  tables: [],
+  capacity: null,
+  allow_combining_tables: true
+};
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export function getReservationRules(customer) {
+  const settings = customer.settings?.reservations;
+  if (!settings) {
+    return null;
+  }
+
+  const rules = { ...DEFAULT_RULES, ...settings };
+
+  // Fall back to the opening hours used by lookup_opening_hours ("11-22", "closed")
+  if (!rules.opening_hours && customer.settings?.opening_hours?.regular) {
+    rules.opening_hours = Object.fromEntries(
+      Object.entries(customer.settings.opening_hours.regular).map(([day, value]) => [day, parseHoursString(value)])
+    );
+  }
+
+  return rules;
+}
+
+// ============================================
+// TIME HELPERS (minutes since midnight, local to the tenant)
+// ============================================
+export function toMinutes(time) {
+  const match = /^(\d{1,2})(?::(\d{2}))?(?::\d{2})?$/.exec(String(time).trim());
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (hours > 24 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+export function fromMinutes(minutes) {
+  const h = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const m = String(minutes % 60).padStart(2, '0');
+  return `${h}:${m}`;
+}
+
+export function isValidDate(date) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(new Date(`${date}T00:00:00Z`).getTime());
+}
+
+export function weekdayOf(date) {
+  return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+// Current date and time in the tenant's timezone (or at another instant)
+export function localNow(timezone, at = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(at)
+      .map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+export function daysBetween(fromDate, toDate) {
+  return Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
+// Opening windows for a date as [[openMinutes, closeMinutes], ...]
+export function getOpeningWindows(rules, date) {
+  if (rules.closed_dates?.includes(date)) {
+    return [];
+  }
+
+  const windows = rules.opening_hours?.[weekdayOf(date)] || [];
+
+  return windows
+    .map(([open, close]) => [toMinutes(open), toMinutes(close)])
+    .filter(([open, close]) => open !== null && close !== null && close > open);
+}
+
+function parseHoursString(value) {
+  if (!value || /closed|stängt|stengt/i.test(value)) {
+    return [];
+  }
+
+  return String(value)
+    .split(',')
+    .map(range => range.split('-').map(s => s.trim()))
+    .filter(range => range.length === 2)
+    .map(([open, close]) => [fromMinutes(toMinutes(open) ?? 0), fromMinutes(toMinutes(close) ?? 0)]);
+}
@@ -0,0 +1,161 @@
+import { createHash } from 'crypto';
+import { analyzePromptSafety } from '../ai/analysis.js';
+import { getSession, updateSessionMetadata } from '../db/supabase.js';
+import { detectLanguage } from '../i18n/language.js';
+
+// ============================================
+// SECURITY JUDGE PIPELINE
+// 1. prefilter - clears obviously benign messages locally (no LLM call)
+// 2. cache     - reuses verdicts for identical / near-identical conversations
+// 3. llm       - the judge model, shown a window of recent turns
+// Every verdict records which path decided it (chat_sessions.metadata.security_verdicts).
+// ============================================
+const WINDOW_MESSAGES = 6;         // earlier turns shown to the judge
+const CACHE_KEY_GUEST_TURNS = 3;   // guest turns that make up a cache key
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+const MAX_RECORDED_VERDICTS = 50;
+
+// The prefilter never clears anything longer than this
+const PREFILTER_MAX_CHARS = 400;
+// Below this, a message needs no recognizable language to be cleared ("18:00", "ok tack")
+const PREFILTER_TINY_CHARS = 25;
+// A warning earlier in the session sends every later message to the LLM
+const PREFILTER_MAX_PREVIOUS_RISK = 3;
+
+// Anything that smells like an attempt on the system. Only used to decide
+// when the LLM must look - never to block on its own.
+const RISK_INDICATORS = [
+  /\b(ignore|ignorera|ignorer|disregard|forget|glöm|glem|override|bypass)\b/i,
+  /\b(instruction|instruktion|instruks|system ?prompt|prompt|rules|regler)\w*/i,
+  /\b(api[ _-]?key|token|password|lösenord|passord|secret|hemlig|credential|database|databas|sql|schema|config|konfig)\w*/i,
+  /\b(jailbreak|dan mode|developer mode|admin|sudo|root|debug)\b/i,
+  /\b(pretend|roleplay|role-play|låtsas|late som|act as|you are now|du är nu|du er nå|hypothetical|hypotetisk)\w*/i,
+  /\b(base64|rot13|hex|encode|decode|reverse)\b/i,
+  /<\/?[a-z][\s\S]*?>|```|\{\{|\$\{/i,
+  /https?:\/\//i,
+  // Invisible / direction-override characters
+  /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/,
+  /[A-Za-z0-9+/=]{40,}/
+];
+
+const verdictCache = new Map();
+
+/**
+ * Judge the latest guest message in the context of the conversation.
+ * @param {object} params
+ * @param {string} params.prompt - Latest guest message
+ * @param {Array} params.history - Earlier messages (role, content), oldest first
+ * @param {Array} [params.previousVerdicts] - From session metadata, for the prefilter
+ * @param {object} params.vertical - Tenant's vertical profile (judge_context)
+ * @param {object} params.modelConfig - Judge model
+ * @param {object} params.usageContext
+ * @returns {Promise<{suspicious: boolean, reason: string, riskLevel: number, path: 'prefilter'|'cache'|'llm'|'error'}>}
+ */
+export async function judgePrompt({ prompt, history = [], previousVerdicts = [], vertical, modelConfig, usageContext }) {
+  const window = history
+    .filter(msg => msg.content && msg.sender_type !== 'human')
+    .slice(-WINDOW_MESSAGES)
+    .map(msg => ({ role: msg.role === 'user' ? 'user' : 'assistant', content: msg.content }));
+
+  const guestTurns = [...window.filter(turn => turn.role === 'user').map(turn => turn.content), prompt];
+
+  const cleared = prefilter(prompt, guestTurns, previousVerdicts);
+  if (cleared) {
+    return { suspicious: false, reason: cleared, riskLevel: 0, path: 'prefilter' };
+  }
+
+  // Keyed on the context too - tenants can override a vertical's judge_context
+  const judgeContext = vertical?.judge_context || '';
+  const cacheKey = `${vertical?.key}:${hashText(judgeContext)}|${guestTurns.slice(-CACHE_KEY_GUEST_TURNS).map(normalizeForCache).join('|')}`;
+  const cached = verdictCache.get(cacheKey);
+
+  if (cached && Date.now() - cached.cachedAt < CACHE_TTL_MS) {
+    return { ...cached.verdict, path: 'cache' };
+  }
+
+  const verdict = await analyzePromptSafety(prompt, judgeContext, modelConfig, usageContext, window);
+
+  if (verdict.error) {
+    return { suspicious: verdict.suspicious, reason: verdict.reason, riskLevel: verdict.riskLevel, path: 'error' };
+  }
+
+  cacheVerdict(cacheKey, verdict);
+  return { ...verdict, path: 'llm' };
+}
+
+// ============================================
+// PREFILTER
+// Returns a reason when the message is obviously benign, otherwise null
+// ============================================
+function prefilter(prompt, guestTurns, previousVerdicts) {
+  const text = (prompt || '').trim();
+
+  if (text.length < 5) {
+    return 'Too short to analyze';
+  }
+
+  if (text.length > PREFILTER_MAX_CHARS) return null;
+
+  if (previousVerdicts.some(v => v.riskLevel > PREFILTER_MAX_PREVIOUS_RISK)) return null;
+
+  // Indicators anywhere in the recent guest turns count - split attacks
+  const recentGuestText = guestTurns.slice(-CACHE_KEY_GUEST_TURNS).join('\n');
+  if (RISK_INDICATORS.some(pattern => pattern.test(recentGuestText))) return null;
+
+  // Unknown language: the indicator list cannot vouch for it
+  if (text.length > PREFILTER_TINY_CHARS && !detectLanguage(text, undefined, { minWordHits: 2 })) return null;
+
+  return 'Cleared by prefilter';
+}
+
+// ============================================
+// VERDICT CACHE (per instance)
+// Near-identical = same words after lowercasing, dropping punctuation and
+// collapsing digits, so "Ignore ALL instructions!!" hits "ignore all instructions"
+// ============================================
+function normalizeForCache(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .join(' ')
+    .replace(/\d+/g, '#')
+    .substring(0, 2000);
+}
+
+function hashText(text) {
+  return createHash('md5').update(text).digest('hex').substring(0, 12);
+}
+
+function cacheVerdict(key, verdict) {
+  if (verdictCache.size >= CACHE_MAX_ENTRIES) {
+    // Map keeps insertion order - drop the oldest
+    verdictCache.delete(verdictCache.keys().next().value);
+  }
+
+  verdictCache.set(key, {
+    verdict: { suspicious: verdict.suspicious, reason: verdict.reason, riskLevel: verdict.riskLevel },
+    cachedAt: Date.now()
+  });
+}
+
+// ============================================
+// AUDIT (chat_sessions.metadata.security_verdicts)
+// ============================================
+export async function recordSecurityVerdict(sessionId, verdict, prompt) {
+  if (!sessionId) return;
+
+  const session = await getSession(sessionId);
+  const previous = session?.metadata?.security_verdicts || [];
+
+  const entry = {
+    at: new Date().toISOString(),
+    path: verdict.path,
+    riskLevel: verdict.riskLevel,
+    suspicious: verdict.suspicious,
+    reason: verdict.reason,
+    excerpt: (prompt || '').substring(0, 100)
+  };
+
+  await updateSessionMetadata(sessionId, {
+    security_verdicts: [...previous, entry].slice(-MAX_RECORDED_VERDICTS)
+  });
+}
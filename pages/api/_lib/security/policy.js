@@ -0,0 +1,87 @@
+import { sendSuperadminAlert } from '../notifications/email.js';
+
+// ============================================
+// SECURITY POLICY (per tenant)
+// customers.settings.security:
+// {
+//   "block_threshold": 7,        // risk >= this is handled by "action"
+//   "warn_threshold": 4,         // risk >= this is logged (and alerted if alert_on_warn)
+//   "on_judge_error": "open",    // "open" = let the message through, "closed" = treat as blocked
+//   "action": "block",           // "block" | "challenge" | "log"
+//   "max_challenges": 1,         // challenge: rephrase requests before blocking
+//   "alert_recipients": ["security@tenant.se"],   // in addition to the superadmin
+//   "alert_on_warn": false
+// }
+// ============================================
+const SUPERADMIN_EMAIL = 'eric@eryai.tech';
+
+const DEFAULT_POLICY = {
+  block_threshold: 7,
+  warn_threshold: 4,
+  on_judge_error: 'open',
+  action: 'block',
+  max_challenges: 1,
+  alert_recipients: [],
+  alert_on_warn: false
+};
+
+const ACTIONS = ['block', 'challenge', 'log'];
+
+export function getSecurityPolicy(customer) {
+  const policy = { ...DEFAULT_POLICY, ...(customer.settings?.security || {}) };
+
+  if (!ACTIONS.includes(policy.action)) {
+    console.warn(`⚠️ Unknown security action '${policy.action}' - using 'block'`);
+    policy.action = 'block';
+  }
+
+  // A warn threshold above the block threshold would never warn
+  policy.warn_threshold = Math.min(policy.warn_threshold, policy.block_threshold);
+  return policy;
+}
+
+/**
+ * Apply the policy to a judge verdict.
+ * @param {object} verdict - From judgePrompt ({ riskLevel, reason, path })
+ * @param {object} policy - From getSecurityPolicy
+ * @param {object} [session] - Current chat_sessions row (for challenge counting)
+ * @returns {{level: 'ok'|'warn'|'block', action: 'allow'|'block'|'challenge'|'log', failedClosed: boolean, reason: string}}
+ */
+export function decideSecurityAction(verdict, policy, session) {
+  if (verdict.path === 'error' && policy.on_judge_error === 'closed') {
+    return { level: 'block', action: 'block', failedClosed: true, reason: 'Security judge unavailable (fail closed)' };
+  }
+
+  if (verdict.riskLevel >= policy.block_threshold) {
+    let action = policy.action;
+
+    // A guest gets max_challenges chances to rephrase, then it is a block
+    if (action === 'challenge' && (session?.metadata?.security_challenges || 0) >= policy.max_challenges) {
+      action = 'block';
+    }
+
+    return { level: 'block', action, failedClosed: false, reason: verdict.reason };
+  }
+
+  if (verdict.riskLevel >= policy.warn_threshold) {
+    return { level: 'warn', action: 'allow', failedClosed: false, reason: verdict.reason };
+  }
+
+  return { level: 'ok', action: 'allow', failedClosed: false, reason: verdict.reason };
+}
+
+// ============================================
+// ALERTS
+// The superadmin is always alerted (flagged sessions are routed_to_superadmin);
+// alert_recipients are copied in
+// ============================================
+export async function sendSecurityAlert(policy, { subject, customerName, sessionId, reason, prompt, isTestMode }) {
+  const recipients = [...new Set([SUPERADMIN_EMAIL, ...(policy.alert_recipients || [])])];
+
+  try {
+    await sendSuperadminAlert({ to: recipients, subject, customerName, sessionId, reason, prompt, isTestMode });
+    console.log(`✅ Security alert sent to ${recipients.join(', ')}`);
+  } catch (emailError) {
+    console.error('❌ Failed to send security alert:', emailError.message);
+  }
+}
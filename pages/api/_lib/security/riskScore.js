@@ -0,0 +1,93 @@
+import { getRiskScores, incrementRiskScores } from '../db/supabase.js';
+
+// ============================================
+// CUMULATIVE RISK (per session, visitor and IP)
+// Every warn-level verdict adds points to a score per subject. Scores
+// decay with a half-life, so a single borderline message fades while a
+// series of probes - even spread over new sessions - adds up.
+// Scores live in risk_scores so all instances see the same lockouts, and
+// are added to in the database (add_risk_points) so concurrent warnings
+// all count.
+// customers.settings.security.lockout:
+// {
+//   "enabled": true,
+//   "threshold": 15,            // decayed score that locks the subject out
+//   "half_life_minutes": 60,
+//   "duration_minutes": 60,     // how long a lockout lasts
+//   "output_leak_points": 5     // added when the output guard flags a reply
+// }
+// ============================================
+const DEFAULT_LOCKOUT = {
+  enabled: true,
+  threshold: 15,
+  half_life_minutes: 60,
+  duration_minutes: 60,
+  output_leak_points: 5
+};
+
+const MAX_VISITOR_ID_LENGTH = 100;
+
+export function getLockoutSettings(customer) {
+  return { ...DEFAULT_LOCKOUT, ...(customer.settings?.security?.lockout || {}) };
+}
+
+// The subjects a request is scored under (missing ones are skipped)
+export function riskSubjects({ sessionId, visitorId, clientIP }) {
+  const subjects = [];
+  if (sessionId) subjects.push({ type: 'session', key: String(sessionId) });
+  if (visitorId) subjects.push({ type: 'visitor', key: String(visitorId).substring(0, MAX_VISITOR_ID_LENGTH) });
+  if (clientIP && clientIP !== 'unknown') subjects.push({ type: 'ip', key: clientIP });
+  return subjects;
+}
+
+// Risk above the tenant's warn threshold counts: warn = 1 point, 10/10 = the most
+export function pointsForVerdict(verdict, policy) {
+  if (verdict.path === 'error' || verdict.path === 'skipped') return 0;
+  if (verdict.riskLevel < policy.warn_threshold) return 0;
+  return verdict.riskLevel - policy.warn_threshold + 1;
+}
+
+/**
+ * The longest active lockout among the subjects, if any.
+ * @returns {Promise<object|null>} The risk_scores row
+ */
+export async function findActiveLockout(customerId, subjects) {
+  if (!subjects.length) return null;
+
+  const now = Date.now();
+  const rows = await getRiskScores(customerId, subjects);
+
+  return rows
+    .filter(row => row.locked_until && new Date(row.locked_until).getTime() > now)
+    .sort((a, b) => new Date(b.locked_until) - new Date(a.locked_until))[0] || null;
+}
+
+/**
+ * Add points to every subject's decayed score. Only a subject whose own
+ * score crosses the threshold is locked out, so one abusive session does
+ * not lock everyone else behind a shared IP.
+ * @returns {Promise<{scores: object, lockout: {lockedUntil: string, subjectType: string, reason: string}|null}|null>}
+ */
+export async function addRiskPoints(customerId, subjects, points, reason, settings) {
+  if (!points || !subjects.length) return null;
+
+  const now = new Date().toISOString();
+  const rows = await incrementRiskScores(customerId, subjects, points, {
+    now,
+    halfLifeMinutes: settings.half_life_minutes,
+    threshold: settings.threshold,
+    durationMinutes: settings.duration_minutes,
+    reason: reason || 'repeated suspicious messages'
+  });
+  if (!rows) return null;
+
+  // Rows locked by this call carry its timestamp
+  const locked = rows
+    .filter(row => row.locked_at && new Date(row.locked_at).getTime() === new Date(now).getTime())
+    .sort((a, b) => b.score - a.score)[0];
+
+  return {
+    scores: Object.fromEntries(rows.map(row => [row.subject_type, row.score])),
+    lockout: locked ? { lockedUntil: locked.locked_until, subjectType: locked.subject_type, reason: locked.lock_reason } : null
+  };
+}
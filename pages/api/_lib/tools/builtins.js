@@ -0,0 +1,301 @@
+import { updateSession } from '../db/supabase.js';
+import { pushNeedsHuman } from '../notifications/push.js';
+import { recordSessionEvent } from '../handoff/takeover.js';
+import { routeHandoff } from '../handoff/routing.js';
+import { startSlaClock } from '../handoff/sla.js';
+import { getReservationRules, localNow } from '../reservations/rules.js';
+import { checkAvailability } from '../reservations/availability.js';
+import { createReservation } from '../reservations/booking.js';
+import { findGuestReservation, modifyReservation, cancelReservation } from '../reservations/changes.js';
+
+// ============================================
+// BUILT-IN TOOLS
+// Enabled per tenant with a customer_actions row:
+//   trigger_type 'tool', trigger_value '<tool name>', action_type 'builtin'
+// action_config.description / action_config.parameters override the defaults.
+// Handlers get (args, context) and return a JSON-serializable object.
+// ============================================
+export const BUILTIN_TOOLS = {
+  lookup_opening_hours: {
+    declaration: {
+      description: 'Look up the opening hours, including special hours for holidays. Use this instead of guessing.',
+      parameters: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', description: 'Specific date (YYYY-MM-DD) if the guest asks about one day' }
+        }
+      }
+    },
+    handler: lookupOpeningHours
+  },
+
+  request_staff: {
+    declaration: {
+      description: 'Hand the conversation over to a human staff member. Use when the guest asks for staff/a manager or needs something you cannot help with.',
+      parameters: {
+        type: 'object',
+        properties: {
+          reason: { type: 'string', description: 'Short reason for the handover' }
+        },
+        required: ['reason']
+      }
+    },
+    handler: requestStaff
+  },
+
+  check_availability: {
+    declaration: {
+      description: 'Check whether a table is available. Always call this before promising a booking. If unavailable, offer the returned alternatives. The result includes today\'s date, for resolving relative dates like "tomorrow".',
+      parameters: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', description: 'Date (YYYY-MM-DD)' },
+          time: { type: 'string', description: 'Start time (HH:MM, 24h)' },
+          party_size: { type: 'integer', description: 'Number of guests' }
+        },
+        required: ['date', 'time', 'party_size']
+      }
+    },
+    handler: checkReservationAvailability
+  },
+
+  create_reservation: {
+    declaration: {
+      description: 'Book a table once the guest has confirmed date, time, party size and name, and given a phone number or email. Only tell the guest the booking is confirmed if this returns ok: true.',
+      parameters: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', description: 'Date (YYYY-MM-DD)' },
+          time: { type: 'string', description: 'Start time (HH:MM, 24h)' },
+          party_size: { type: 'integer', description: 'Number of guests' },
+          guest_name: { type: 'string', description: 'Name the booking is under' },
+          guest_phone: { type: 'string', description: 'Phone number' },
+          guest_email: { type: 'string', description: 'Email address' },
+          special_requests: { type: 'string', description: 'Allergies, occasion, seating wishes' }
+        },
+        required: ['date', 'time', 'party_size', 'guest_name']
+      }
+    },
+    handler: createReservationFromChat
+  },
+
+  find_reservation: {
+    declaration: {
+      description: 'Look up an existing booking before changing or cancelling it. Needs the phone number or email it was made with, plus the name and date on the booking - ask the guest for all of them.',
+      parameters: {
+        type: 'object',
+        properties: {
+          guest_phone: { type: 'string', description: 'Phone number the booking was made with' },
+          guest_email: { type: 'string', description: 'Email the booking was made with' },
+          guest_name: { type: 'string', description: 'Name the booking is under' },
+          date: { type: 'string', description: 'Date of the booking (YYYY-MM-DD)' }
+        },
+        required: ['guest_name', 'date']
+      }
+    },
+    handler: findReservationFromChat
+  },
+
+  modify_reservation: {
+    declaration: {
+      description: 'Change the date, time or party size of a booking found with find_reservation (or made in this chat). Confirm the change with the guest first.',
+      parameters: {
+        type: 'object',
+        properties: {
+          reservation_id: { type: 'string', description: 'Id returned by find_reservation or create_reservation' },
+          date: { type: 'string', description: 'New date (YYYY-MM-DD), if it changes' },
+          time: { type: 'string', description: 'New start time (HH:MM, 24h), if it changes' },
+          party_size: { type: 'integer', description: 'New number of guests, if it changes' }
+        },
+        required: ['reservation_id']
+      }
+    },
+    handler: modifyReservationFromChat
+  },
+
+  cancel_reservation: {
+    declaration: {
+      description: 'Cancel a booking found with find_reservation (or made in this chat). Only call after the guest has confirmed they want to cancel.',
+      parameters: {
+        type: 'object',
+        properties: {
+          reservation_id: { type: 'string', description: 'Id returned by find_reservation or create_reservation' }
+        },
+        required: ['reservation_id']
+      }
+    },
+    handler: cancelReservationFromChat
+  }
+};
+
+// ============================================
+// HANDLERS
+// ============================================
+
+// Opening hours live in customers.settings.opening_hours:
+// { "regular": { "monday": "11-22", ... }, "exceptions": { "2026-12-24": "closed" } }
+async function lookupOpeningHours(args, { customer }) {
+  const openingHours = customer.settings?.opening_hours || customer.metadata?.opening_hours;
+
+  if (!openingHours) {
+    return { error: 'not_configured', message: 'Opening hours are not configured - refer to the knowledge base.' };
+  }
+
+  if (args.date && openingHours.exceptions?.[args.date]) {
+    return { date: args.date, hours: openingHours.exceptions[args.date], exception: true };
+  }
+
+  return openingHours;
+}
+
+async function requestStaff(args, { customer, sessionId, session, vertical, isTestMode }) {
+  if (!sessionId) {
+    return { ok: false, error: 'no_session' };
+  }
+
+  await updateSession(sessionId, { needs_human: true });
+  await startSlaClock(customer, sessionId);
+  await recordSessionEvent(sessionId, customer.id, 'handoff_requested', {
+    details: { source: 'tool', reason: args.reason }
+  });
+
+  const { audience } = await routeHandoff({
+    customer,
+    sessionId,
+    session,
+    source: 'tool',
+    type: 'request_staff',
+    reason: args.reason,
+    isTestMode
+  });
+  if (audience) {
+    await pushNeedsHuman(customer.id, sessionId, session?.metadata?.guest_name, vertical?.notifications, audience);
+  }
+
+  console.log(`✅ Staff requested via tool: ${args.reason}`);
+  return { ok: true, message: 'Staff has been notified and will reply in this chat.' };
+}
+
+// Seating rules live in customers.settings.reservations (see reservations/rules.js)
+async function checkReservationAvailability(args, { customer }) {
+  const rules = getReservationRules(customer);
+  if (!rules) {
+    return { error: 'not_configured', message: 'Online booking is not set up - ask the guest to contact the restaurant.' };
+  }
+
+  const result = await checkAvailability(customer, rules, {
+    date: args.date,
+    time: args.time,
+    partySize: args.party_size
+  });
+
+  // Table ids are internal - the guest only needs to know it fits
+  const { tableIds, ...publicResult } = result;
+  return { ...publicResult, today: localNow(rules.timezone).date };
+}
+
+async function createReservationFromChat(args, { customer, sessionId }) {
+  const rules = getReservationRules(customer);
+  if (!rules) {
+    return { ok: false, error: 'not_configured', message: 'Online booking is not set up - ask the guest to contact the restaurant.' };
+  }
+
+  if (!args.guest_phone && !args.guest_email) {
+    return { ok: false, error: 'missing_contact', message: 'Ask the guest for a phone number or email first.' };
+  }
+
+  const result = await createReservation(customer, rules, {
+    sessionId,
+    guestName: args.guest_name,
+    guestPhone: args.guest_phone,
+    guestEmail: args.guest_email,
+    date: args.date,
+    time: args.time,
+    partySize: args.party_size,
+    specialRequests: args.special_requests
+  });
+
+  if (!result.ok) {
+    return { ...result, today: localNow(rules.timezone).date };
+  }
+
+  return { ok: true, ...describeReservation(result.reservation) };
+}
+
+async function findReservationFromChat(args, { customer, sessionId }) {
+  const rules = getReservationRules(customer);
+  if (!rules) {
+    return { ok: false, error: 'not_configured', message: 'Online booking is not set up - ask the guest to contact the restaurant.' };
+  }
+
+  const result = await findGuestReservation(customer, rules, {
+    sessionId,
+    phone: args.guest_phone,
+    email: args.guest_email,
+    guestName: args.guest_name,
+    date: args.date
+  });
+
+  if (result.reason === 'too_many_attempts') {
+    return { ok: false, reason: result.reason, message: 'Too many failed lookups. Do not ask for more details - offer to let staff help instead.' };
+  }
+
+  if (!result.ok) {
+    return { ok: false, reason: result.reason, message: 'No booking matches those details. Check them with the guest, or offer to let staff help.' };
+  }
+
+  return { ok: true, ...describeReservation(result.reservation) };
+}
+
+async function modifyReservationFromChat(args, { customer, sessionId, aiConfig, analysisConfig, isTestMode }) {
+  const rules = getReservationRules(customer);
+  if (!rules) {
+    return { ok: false, error: 'not_configured' };
+  }
+
+  const result = await modifyReservation(
+    customer,
+    rules,
+    { reservationId: args.reservation_id, sessionId, date: args.date, time: args.time, partySize: args.party_size },
+    { aiConfig, analysisConfig, isTestMode }
+  );
+
+  if (!result.ok) {
+    return { ...result, today: localNow(rules.timezone).date };
+  }
+
+  return { ok: true, ...describeReservation(result.reservation) };
+}
+
+async function cancelReservationFromChat(args, { customer, sessionId, aiConfig, analysisConfig, isTestMode }) {
+  const rules = getReservationRules(customer);
+  if (!rules) {
+    return { ok: false, error: 'not_configured' };
+  }
+
+  const result = await cancelReservation(
+    customer,
+    rules,
+    { reservationId: args.reservation_id, sessionId },
+    { aiConfig, analysisConfig, isTestMode }
+  );
+
+  if (!result.ok) {
+    return result;
+  }
+
+  return { ok: true, ...describeReservation(result.reservation) };
+}
+
+// What the model may see of a booking (no table ids, no contact details)
+function describeReservation(reservation) {
+  return {
+    reservation_id: reservation.id,
+    status: reservation.status,
+    date: reservation.reservation_date,
+    time: reservation.reservation_time,
+    party_size: reservation.party_size,
+    guest_name: reservation.guest_name,
+    special_requests: reservation.special_requests
+  };
+}
@@ -0,0 +1,124 @@
+import { BUILTIN_TOOLS } from './builtins.js';
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const TOOL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/;
+
+// secret_env comes from tenant config; only env variables meant as webhook
+// secrets may be sent to a tenant's url
+const SECRET_ENV_PREFIX = 'WEBHOOK_SECRET_';
+
+// ============================================
+// LOAD TENANT TOOLS
+// From customer_actions rows with trigger_type 'tool':
+//   trigger_value - tool name the model sees
+//   action_type   - 'builtin' (see builtins.js) or 'webhook'
+//   action_config - { description, parameters, url, secret_env (WEBHOOK_SECRET_*) }
+// ============================================
+export function loadTenantTools(actions) {
+  const tools = new Map();
+
+  for (const action of actions) {
+    if (action.trigger_type !== 'tool') continue;
+
+    const name = action.trigger_value;
+    const config = action.action_config || {};
+
+    if (!TOOL_NAME_PATTERN.test(name)) {
+      console.error(`Invalid tool name: ${name}`);
+      continue;
+    }
+
+    if (action.action_type === 'builtin') {
+      const builtin = BUILTIN_TOOLS[config.builtin || name];
+      if (!builtin) {
+        console.error(`Unknown builtin tool: ${config.builtin || name}`);
+        continue;
+      }
+
+      tools.set(name, {
+        declaration: {
+          name,
+          description: config.description || builtin.declaration.description,
+          parameters: config.parameters || builtin.declaration.parameters
+        },
+        execute: builtin.handler
+      });
+    } else if (action.action_type === 'webhook') {
+      if (!config.url || !config.description) {
+        console.error(`Webhook tool ${name} needs url and description`);
+        continue;
+      }
+
+      if (config.secret_env && !String(config.secret_env).startsWith(SECRET_ENV_PREFIX)) {
+        console.error(`Webhook tool ${name}: secret_env must start with ${SECRET_ENV_PREFIX}`);
+        continue;
+      }
+
+      tools.set(name, {
+        declaration: {
+          name,
+          description: config.description,
+          parameters: config.parameters || { type: 'object', properties: {} }
+        },
+        execute: (args, context) => callWebhook(name, config, args, context)
+      });
+    } else {
+      console.error(`Unknown tool action type: ${action.action_type}`);
+    }
+  }
+
+  return tools;
+}
+
+// ============================================
+// EXECUTE ONE TOOL CALL
+// context: { customer, sessionId, session, aiConfig, isTestMode }
+// Never throws - errors are returned to the model as { error }
+// ============================================
+export async function executeToolCall(tools, call, context) {
+  const tool = tools.get(call.name);
+
+  if (!tool) {
+    return { ok: false, result: { error: `Unknown tool: ${call.name}` } };
+  }
+
+  try {
+    const result = await tool.execute(call.args || {}, context);
+    // Gemini requires the function response to be an object
+    const wrapped = result && typeof result === 'object' && !Array.isArray(result) ? result : { result };
+    return { ok: !wrapped.error, result: wrapped };
+  } catch (err) {
+    console.error(`❌ Tool ${call.name} failed:`, err.message);
+    return { ok: false, result: { error: 'Tool failed', message: err.message } };
+  }
+}
+
+// ============================================
+// WEBHOOK TOOLS
+// ============================================
+async function callWebhook(name, config, args, { customer, sessionId, isTestMode }) {
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (config.secret_env?.startsWith(SECRET_ENV_PREFIX) && process.env[config.secret_env]) {
+    headers['X-EryAI-Webhook-Secret'] = process.env[config.secret_env];
+  }
+
+  const response = await fetch(config.url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      tool: name,
+      args,
+      customerId: customer.id,
+      sessionId,
+      isTestMode: !!isTestMode
+    }),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook responded ${response.status}`);
+  }
+
+  return response.json();
+}
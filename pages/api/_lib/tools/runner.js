@@ -0,0 +1,130 @@
+import { callLLM, streamLLM } from '../ai/llm.js';
+import { executeToolCall } from './registry.js';
+import { updateSessionMetadata, getSession } from '../db/supabase.js';
+
+const DEFAULT_MAX_STEPS = 5;
+const MAX_AUDITED_TOOL_CALLS = 100;
+const STEP_SEPARATOR = '\n\n';
+
+// ============================================
+// GENERATE WITH TOOLS
+// Calls the model, executes any function calls server-side, feeds the
+// results back and repeats until the model answers in text or the step
+// limit is hit (the last call is then made without tools).
+// Resolves like callLLM, with usage/latency summed over all steps and
+// toolCalls listing what ran. text is everything the model wrote across
+// the steps ("Let me check..." before a tool call included) - what a
+// streaming guest has already seen, so it is also what gets saved.
+// ============================================
+
+export async function generateWithTools({
+  contents,
+  generationOptions,
+  modelConfig,
+  usageContext,
+  tools,
+  toolContext,
+  onDelta,
+  maxSteps = DEFAULT_MAX_STEPS
+}) {
+  const declarations = [...tools.values()].map(tool => tool.declaration);
+  const conversation = [...contents];
+  const toolCalls = [];
+  const texts = [];
+  const usage = { promptTokens: 0, completionTokens: 0 };
+  let latencyMs = 0;
+  let costUsd = null;
+
+  // Tools may already have booked or called a webhook when a later step
+  // fails, so what ran is recorded either way
+  try {
+    for (let step = 0; ; step++) {
+      const allowTools = declarations.length > 0 && step < maxSteps;
+      const options = allowTools ? { ...generationOptions, tools: declarations } : generationOptions;
+
+      const completion = onDelta
+        ? await streamLLM(conversation, options, separatedDeltas(onDelta, texts), modelConfig, usageContext)
+        : await callLLM(conversation, options, modelConfig, usageContext);
+
+      if (completion.text) texts.push(completion.text);
+
+      usage.promptTokens += completion.usage.promptTokens;
+      usage.completionTokens += completion.usage.completionTokens;
+      latencyMs += completion.latencyMs;
+      if (completion.costUsd !== null) costUsd = (costUsd || 0) + completion.costUsd;
+
+      const calls = allowTools ? completion.functionCalls || [] : [];
+
+      if (!calls.length) {
+        return { ...completion, text: texts.join(STEP_SEPARATOR), usage, latencyMs, costUsd, toolCalls };
+      }
+
+      // Stable ids so providers that match results by id (OpenAI) can pair them
+      calls.forEach((call, i) => {
+        call.id = call.id || `call_${step}_${i}`;
+      });
+
+      conversation.push({
+        role: 'model',
+        parts: [
+          ...(completion.text ? [{ text: completion.text }] : []),
+          ...calls.map(call => ({ functionCall: { id: call.id, name: call.name, args: call.args } }))
+        ]
+      });
+
+      const responses = [];
+
+      for (const call of calls) {
+        console.log(`🛠️ Tool call (step ${step + 1}): ${call.name}(${JSON.stringify(call.args)})`);
+        const { ok, result } = await executeToolCall(tools, call, toolContext);
+
+        toolCalls.push({
+          name: call.name,
+          args: call.args,
+          result,
+          ok,
+          step: step + 1,
+          at: new Date().toISOString()
+        });
+
+        responses.push({ functionResponse: { id: call.id, name: call.name, response: result } });
+      }
+
+      conversation.push({ role: 'user', parts: responses });
+    }
+  } finally {
+    if (toolCalls.length) {
+      await auditToolCalls(toolContext.sessionId, toolCalls);
+    }
+  }
+}
+
+// Text of a later step starts on its own paragraph, as in the joined text
+function separatedDeltas(onDelta, texts) {
+  let started = false;
+
+  return (delta) => {
+    if (!started && delta && texts.length) onDelta(STEP_SEPARATOR);
+    if (delta) started = true;
+    onDelta(delta);
+  };
+}
+
+// ============================================
+// AUDIT LOG (chat_sessions.metadata.tool_calls)
+// ============================================
+// Never throws - it must not replace the error of a failed step
+async function auditToolCalls(sessionId, toolCalls) {
+  if (!sessionId) return;
+
+  try {
+    const session = await getSession(sessionId);
+    const previous = session?.metadata?.tool_calls || [];
+
+    await updateSessionMetadata(sessionId, {
+      tool_calls: [...previous, ...toolCalls].slice(-MAX_AUDITED_TOOL_CALLS)
+    });
+  } catch (err) {
+    console.error('❌ Failed to audit tool calls:', err.message);
+  }
+}
@@ -0,0 +1,70 @@
+// ============================================
+// CUSTOMER SERVICE - generic support chat (orders, cases, questions)
+// ============================================
+export default {
+  key: 'customer_service',
+  label: 'Customer service',
+
+  judge_context: 'This is a customer service assistant. Questions about orders, accounts, deliveries and invoices, and angry complaints, are normal.',
+  output_judge_context: null,
+  medical_review: false,
+
+  safe_reply: 'safe_response',
+  strings: {},
+
+  analysis: {
+    subject: 'kundtjänstkonversation',
+    questions: [
+      'Om kunden ställt en fråga som {ai_name} INTE kunde svara på',
+      'Om kunden uttryckt missnöje, klagomål eller vill reklamera något',
+      'Om kunden explicit bett att prata med personal'
+    ],
+    fields: {
+      needs_human_response: { type: 'boolean' },
+      needs_human_reason: { type: 'string', description: 'anledning' },
+      is_complaint: { type: 'boolean' },
+      guest_name: { type: 'string', description: 'namn' },
+      guest_email: { type: 'email', description: 'email' },
+      guest_phone: { type: 'phone', description: 'telefon' },
+      case_reference: { type: 'string', description: 'ordernummer/ärendenummer' }
+    },
+    triggers: {
+      is_complaint: 'is_complaint',
+      needs_human_response: 'needs_human_response && !is_complaint'
+    }
+  },
+
+  default_triggers: {
+    complaint_keywords: 'missnöjd,klagomål,reklamation,reklamera,trasig,fel vara,besviken',
+    human_request_keywords: 'personal,handläggare,människa,prata med någon,ring mig',
+    special_request_keywords: '',
+    ai_unsure_patterns: 'vet inte,kan inte svara,är inte säker'
+  },
+
+  notifications: {
+    guest: 'En kund',
+    reservation: {
+      title: '📅 Ny bokning',
+      body: '{guest} vill boka {date} kl {time}',
+      summary: 'Bokning {date} kl {time}'
+    },
+    complaint: {
+      title: '⚠️ Klagomål',
+      body: '{guest} har uttryckt missnöje',
+      summary: 'Kund har uttryckt missnöje'
+    },
+    needs_human: {
+      title: '💬 Behöver svar',
+      body: '{guest} har en fråga som behöver ditt svar',
+      summary: 'Kund har frågor som behöver svar'
+    },
+    new_message: {
+      title: '💬 Nytt meddelande',
+      body: '{guest}: {message}'
+    },
+    sla_breach: {
+      title: '⏰ Väntar fortfarande på svar',
+      body: '{guest} har väntat {minutes} min på personalen'
+    }
+  }
+};
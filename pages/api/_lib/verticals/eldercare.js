@@ -0,0 +1,81 @@
+// ============================================
+// ELDERCARE - companions for elderly people, some with dementia
+// Lenient judge, medical advice reviewed, caregivers alerted on distress
+// (wellbeing/ - see README "Wellbeing Alerts")
+// ============================================
+export default {
+  key: 'eldercare',
+  label: 'Eldercare companion',
+
+  judge_context: 'This is an eldercare companion app for dementia patients. Be EXTRA lenient - confused questions, repetition, and strange requests are NORMAL and should NOT be flagged.',
+  output_judge_context: 'Eldercare companion for elderly people, some with dementia.',
+  medical_review: true,
+  wellbeing: true,
+
+  safe_reply: 'safe_response_eldercare',
+  strings: {},
+
+  analysis: {
+    subject: 'konversation mellan en äldre person och en sällskapsapp',
+    questions: [
+      'Om personen uttryckt smärta, rädsla, ensamhet, förvirring som oroar eller att något har hänt',
+      'Om personen bett att få prata med personal eller anhöriga',
+      'Om personen ställt en fråga som {ai_name} INTE kunde svara på och som personalen bör ta hand om'
+    ],
+    fields: {
+      is_complaint: { type: 'boolean', description: 'oro, smärta eller att något har hänt' },
+      needs_human_response: { type: 'boolean' },
+      needs_human_reason: { type: 'string', description: 'anledning' },
+      guest_name: { type: 'string', description: 'namn' }
+    },
+    triggers: {
+      is_complaint: 'is_complaint',
+      needs_human_response: 'needs_human_response && !is_complaint'
+    }
+  },
+
+  default_triggers: {
+    complaint_keywords: 'ont,har ramlat,ramlade,rädd,ledsen,ensam,yr,mår dåligt',
+    human_request_keywords: 'personal,sköterska,ring min,ring till,hjälp mig',
+    special_request_keywords: '',
+    ai_unsure_patterns: 'vet inte,kan inte svara'
+  },
+
+  notifications: {
+    guest: 'Brukaren',
+    reservation: {
+      title: '📅 Ny bokning',
+      body: '{guest} vill boka {date} kl {time}',
+      summary: 'Bokning {date} kl {time}'
+    },
+    complaint: {
+      title: '⚠️ Oro',
+      body: '{guest} verkar orolig eller mår dåligt',
+      summary: 'Brukaren har uttryckt oro eller obehag'
+    },
+    needs_human: {
+      title: '💬 Vill prata med personal',
+      body: '{guest} behöver svar från personalen',
+      summary: 'Brukaren har frågor som behöver svar'
+    },
+    new_message: {
+      title: '💬 Nytt meddelande',
+      body: '{guest}: {message}'
+    },
+    sla_breach: {
+      title: '⏰ Väntar fortfarande på svar',
+      body: '{guest} har väntat {minutes} min på personalen'
+    },
+    wellbeing: {
+      concern: {
+        title: '💛 Oro för välbefinnandet',
+        body: '{guest}: {summary}'
+      },
+      urgent: {
+        title: '🚨 Akut - kontrollera brukaren',
+        body: '{guest}: {summary}'
+      },
+      escalated: 'Ej kvitterat: {title}'
+    }
+  }
+};
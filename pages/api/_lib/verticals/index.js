@@ -0,0 +1,84 @@
+import restaurant from './restaurant.js';
+import eldercare from './eldercare.js';
+import customerService from './customerService.js';
+
+// ============================================
+// VERTICAL PROFILES
+// What kind of business a tenant is decides the judge context, the
+// analysis schema, default triggers, safe replies and notification
+// wording. Chosen per tenant in customers.settings.vertical:
+//   "eldercare"
+// or a tenant-specific profile on top of a built-in one:
+//   { "extends": "customer_service", "key": "clinic", "judge_context": "...",
+//     "notifications": { "guest": "En patient" } }
+// New verticals: add a profile file next to this one and list it below
+// (or call registerVertical from a module that is imported at startup).
+// ============================================
+const VERTICALS = new Map();
+
+const DEFAULT_VERTICAL = 'customer_service';
+
+export function registerVertical(profile) {
+  if (!profile?.key) {
+    throw new Error('Vertical profile needs a key');
+  }
+  VERTICALS.set(profile.key, profile);
+}
+
+[restaurant, eldercare, customerService].forEach(registerVertical);
+
+export function getVertical(key) {
+  return VERTICALS.get(key) || null;
+}
+
+export function listVerticals() {
+  return [...VERTICALS.keys()];
+}
+
+/**
+ * The tenant's vertical profile.
+ * @param {object} customer
+ * @param {object} [params]
+ * @param {string} [params.companion] - Requested companion key (legacy guess only)
+ * @returns {object} Profile (see ./restaurant.js for the shape)
+ */
+export function resolveVertical(customer, { companion } = {}) {
+  const setting = customer.settings?.vertical;
+
+  if (!setting) {
+    // Tenants from before verticals existed: the old slug/companion guess
+    const guessed = customer.slug?.includes('eldercare') || companion ? 'eldercare' : 'restaurant';
+    console.warn(`⚠️ No vertical set for ${customer.name} - assuming '${guessed}'`);
+    return getVertical(guessed);
+  }
+
+  if (typeof setting === 'string') {
+    const profile = getVertical(setting);
+    if (!profile) {
+      console.warn(`⚠️ Unknown vertical '${setting}' - using '${DEFAULT_VERTICAL}'`);
+      return getVertical(DEFAULT_VERTICAL);
+    }
+    return profile;
+  }
+
+  const { extends: baseKey, ...overrides } = setting;
+  const base = getVertical(baseKey) || getVertical(DEFAULT_VERTICAL);
+  return mergeProfile(base, overrides);
+}
+
+// Nested objects are merged, so a tenant can change a single notification text
+function mergeProfile(base, overrides) {
+  const merged = { ...base };
+
+  for (const [name, value] of Object.entries(overrides)) {
+    merged[name] = isPlainObject(value) && isPlainObject(base[name])
+      ? mergeProfile(base[name], value)
+      : value;
+  }
+
+  return merged;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,78 @@
+// ============================================
+// RESTAURANT - table bookings, menu questions, complaints
+// ============================================
+export default {
+  key: 'restaurant',
+  label: 'Restaurant',
+
+  judge_context: 'This is a restaurant booking assistant. Food questions, reservation requests, and complaints are normal.',
+  output_judge_context: null,
+  medical_review: false,
+
+  safe_reply: 'safe_response',
+  strings: {},
+
+  analysis: {
+    subject: 'restaurangkonversation',
+    questions: [
+      'Om det finns en KOMPLETT reservation (datum + tid + antal + namn + kontakt)',
+      'Om gästen ställt en fråga som {ai_name} INTE kunde svara på',
+      'Om gästen uttryckt missnöje eller klagomål',
+      'Om gästen explicit bett att prata med personal/chef'
+    ],
+    // See ai/extraction.js for field types and trigger expressions
+    fields: {
+      reservation_complete: { type: 'boolean' },
+      needs_human_response: { type: 'boolean' },
+      needs_human_reason: { type: 'string', description: 'anledning' },
+      is_complaint: { type: 'boolean' },
+      guest_name: { type: 'string', description: 'namn' },
+      guest_email: { type: 'email', description: 'email' },
+      guest_phone: { type: 'phone', description: 'telefon' },
+      reservation_date: { type: 'string', description: 'datum/veckodag' },
+      reservation_time: { type: 'string', description: 'tid' },
+      party_size: { type: 'integer', description: 'antal', min: 1, max: 500 },
+      special_requests: { type: 'string', description: 'allergier/önskemål' }
+    },
+    triggers: {
+      reservation_complete: 'reservation_complete && guest_name && (guest_email || guest_phone)',
+      is_complaint: 'is_complaint',
+      needs_human_response: 'needs_human_response && !reservation_complete && !is_complaint'
+    }
+  },
+
+  // Used where customer_analysis_config leaves a list empty
+  default_triggers: {
+    complaint_keywords: 'missnöjd,klagomål,besviken,dålig service,kall mat,fel beställning',
+    human_request_keywords: 'personal,chef,prata med någon,människa,ring mig',
+    special_request_keywords: 'allergi,glutenfri,laktosfri,vegan,vegetarisk,barnstol,rullstol',
+    ai_unsure_patterns: 'vet inte,kan inte svara,är inte säker'
+  },
+
+  notifications: {
+    guest: 'En gäst',
+    reservation: {
+      title: '📅 Ny bokning!',
+      body: '{guest} vill boka {date} kl {time} för {party_size} pers',
+      summary: 'Reservation {date} kl {time}, {party_size} pers'
+    },
+    complaint: {
+      title: '⚠️ Klagomål',
+      body: '{guest} har uttryckt missnöje',
+      summary: 'Gäst har uttryckt missnöje'
+    },
+    needs_human: {
+      title: '💬 Behöver svar',
+      body: '{guest} har en fråga som behöver ditt svar',
+      summary: 'Gäst har frågor som behöver svar'
+    },
+    new_message: {
+      title: '💬 Nytt meddelande',
+      body: '{guest}: {message}'
+    },
+    sla_breach: {
+      title: '⏰ Väntar fortfarande på svar',
+      body: '{guest} har väntat {minutes} min på personalen'
+    }
+  }
+};
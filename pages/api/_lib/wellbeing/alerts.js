@@ -0,0 +1,321 @@
+import {
+  getCustomerById,
+  getCareContacts,
+  getOpenWellbeingAlert,
+  createWellbeingAlert,
+  updateWellbeingAlert,
+  getDueWellbeingAlerts,
+  createNotification,
+  updateNotification,
+  getNotification
+} from '../db/supabase.js';
+import { pushWellbeingAlert } from '../notifications/push.js';
+import { sendWellbeingAlert } from '../notifications/email.js';
+import { resolveVertical } from '../verticals/index.js';
+
+// ============================================
+// WELLBEING ALERTS
+// An alert is a wellbeing_alerts row plus a high-priority notifications row.
+// Staff devices get a push; care_contacts at the alert's escalation level
+// get an email. Unacknowledged alerts escalate to the next level of
+// contacts (cron/wellbeing-escalations) until max_escalation_level.
+// customers.settings.wellbeing:
+// {
+//   "enabled": true,                // on for companion sessions and wellbeing verticals
+//   "llm_assessment": true,         // score distress after each reply
+//   "concern_threshold": 6,         // distress score that raises a concern alert
+//   "urgent_threshold": 9,          // ... an urgent alert
+//   "dedupe_minutes": 60,           // one open alert per session in this window
+//   "escalation_minutes": { "urgent": 10, "concern": 120 },
+//   "max_escalation_level": 2,
+//   "urgent_phrases": ["har tappat larmet"]
+// }
+// ============================================
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  llm_assessment: true,
+  concern_threshold: 6,
+  urgent_threshold: 9,
+  dedupe_minutes: 60,
+  escalation_minutes: { urgent: 10, concern: 120 },
+  max_escalation_level: 2,
+  urgent_phrases: []
+};
+
+const SEVERITY_RANK = { concern: 1, urgent: 2 };
+const MAX_EVENTS = 20;
+
+export function getWellbeingSettings(customer) {
+  const configured = customer.settings?.wellbeing || {};
+  return {
+    ...DEFAULT_SETTINGS,
+    ...configured,
+    escalation_minutes: { ...DEFAULT_SETTINGS.escalation_minutes, ...(configured.escalation_minutes || {}) }
+  };
+}
+
+// Companion sessions and verticals that opt in (eldercare) are watched
+export function tracksWellbeing(settings, vertical, companionData) {
+  return settings.enabled !== false && (!!companionData || !!vertical.wellbeing);
+}
+
+// Severity for an assessment, or null when it stays below the concern threshold
+export function severityFor(assessment, settings) {
+  if (assessment.urgent || assessment.distressScore >= settings.urgent_threshold) return 'urgent';
+  if (assessment.distressScore >= settings.concern_threshold) return 'concern';
+  return null;
+}
+
+// Session metadata.wellbeing - latest and peak score plus a capped log of
+// flagged events (calm assessments only move the scores)
+export function nextWellbeingState(previous, event) {
+  const state = previous || {};
+  const now = new Date().toISOString();
+  return {
+    last_score: event.distressScore ?? state.last_score ?? null,
+    max_score: Math.max(state.max_score || 0, event.distressScore || 0),
+    last_assessed_at: now,
+    events: event.severity
+      ? [...(state.events || []), { ...event, at: now }].slice(-MAX_EVENTS)
+      : state.events || []
+  };
+}
+
+/**
+ * Raise (or de-duplicate) a wellbeing alert for a session.
+ * An open alert for the same session within dedupe_minutes absorbs repeats;
+ * a concern that turns urgent upgrades it and notifies again.
+ * @param {object} params
+ * @param {object} params.customer
+ * @param {object} params.session - chat_sessions row
+ * @param {object} params.vertical - From resolveVertical
+ * @param {object} params.settings - From getWellbeingSettings
+ * @param {'concern'|'urgent'} params.severity
+ * @param {string} params.source - 'phrase' | 'assessment'
+ * @returns {Promise<{alert: object|null, deduped: boolean}>}
+ */
+export async function raiseWellbeingAlert({ customer, session, vertical, settings, severity, distressScore = null, categories = [], summary, evidence = null, phrases = [], source, isTestMode }) {
+  const now = new Date();
+  const since = new Date(now.getTime() - settings.dedupe_minutes * 60 * 1000).toISOString();
+  const open = await getOpenWellbeingAlert(session.id, since);
+
+  const merged = {
+    categories: [...new Set([...(open?.categories || []), ...categories])],
+    matched_phrases: [...new Set([...(open?.matched_phrases || []), ...phrases])],
+    distress_score: Math.max(open?.distress_score || 0, distressScore || 0) || null
+  };
+
+  if (open && SEVERITY_RANK[severity] <= SEVERITY_RANK[open.severity]) {
+    await updateWellbeingAlert(open.id, {
+      ...merged,
+      occurrences: (open.occurrences || 1) + 1,
+      last_detected_at: now.toISOString()
+    });
+    console.log(`🫂 [WELLBEING] Repeat ${severity} signal folded into open alert ${open.id}`);
+    return { alert: open, deduped: true };
+  }
+
+  const wording = vertical.notifications;
+  const guestName = session.metadata?.guest_name || null;
+  const alertSummary = summary || describeCategories(merged.categories);
+  const notificationFields = {
+    priority: severity === 'urgent' ? 'urgent' : 'high',
+    status: 'unread',
+    summary: alertSummary
+  };
+  const escalation = {
+    escalation_level: 0,
+    next_escalation_at: nextEscalationAt(now, severity, 0, settings)
+  };
+
+  let alert;
+
+  if (open) {
+    // Concern turned urgent: same alert and notification, notified again from level 0
+    if (open.notification_id) {
+      await updateNotification(open.notification_id, notificationFields);
+    }
+    alert = { ...open, ...merged, ...escalation, severity, summary: alertSummary, evidence: evidence || open.evidence };
+    await updateWellbeingAlert(open.id, {
+      ...merged,
+      ...escalation,
+      severity,
+      summary: alertSummary,
+      evidence: alert.evidence,
+      source,
+      last_detected_at: now.toISOString()
+    });
+    console.warn(`🚨 [WELLBEING] Alert ${open.id} upgraded to ${severity}`);
+  } else {
+    const notification = await createNotification({
+      customer_id: customer.id,
+      session_id: session.id,
+      type: 'wellbeing',
+      ...notificationFields,
+      guest_name: guestName
+    });
+
+    alert = await createWellbeingAlert({
+      customer_id: customer.id,
+      session_id: session.id,
+      notification_id: notification?.id || null,
+      visitor_id: session.visitor_id || null,
+      companion_key: session.metadata?.companion || null,
+      severity,
+      source,
+      summary: alertSummary,
+      evidence,
+      ...merged,
+      ...escalation,
+      occurrences: 1,
+      last_detected_at: now.toISOString(),
+      is_test: !!isTestMode
+    });
+
+    if (!alert) {
+      return { alert: null, deduped: false };
+    }
+    console.warn(`${severity === 'urgent' ? '🚨' : '💛'} [WELLBEING] ${severity} alert ${alert.id} (${source}): ${alertSummary}`);
+  }
+
+  await notifyLevel({ customer, alert, level: 0, wording, guestName, escalated: false, isTestMode });
+  return { alert, deduped: false };
+}
+
+/**
+ * Escalate unacknowledged alerts whose next_escalation_at has passed.
+ * Handling the notification in the dashboard counts as acknowledging it.
+ * @returns {Promise<{checked: number, escalated: number, acknowledged: number}>}
+ */
+export async function escalateWellbeingAlerts(now = new Date()) {
+  const due = await getDueWellbeingAlerts(now.toISOString());
+  const result = { checked: due.length, escalated: 0, acknowledged: 0 };
+
+  for (const alert of due) {
+    const notification = alert.notification_id ? await getNotification(alert.notification_id) : null;
+
+    if (notification && isHandled(notification)) {
+      await updateWellbeingAlert(alert.id, {
+        acknowledged_at: notification.handled_at || now.toISOString(),
+        acknowledged_by: notification.handled_by || null,
+        next_escalation_at: null
+      });
+      result.acknowledged++;
+      continue;
+    }
+
+    const customer = await getCustomerById(alert.customer_id);
+    if (!customer) {
+      await updateWellbeingAlert(alert.id, { next_escalation_at: null });
+      continue;
+    }
+
+    const settings = getWellbeingSettings(customer);
+    const vertical = resolveVertical(customer, { companion: alert.companion_key });
+    const level = (alert.escalation_level || 0) + 1;
+
+    await notifyLevel({
+      customer,
+      alert,
+      level,
+      wording: vertical.notifications,
+      guestName: notification?.guest_name || null,
+      escalated: true,
+      isTestMode: !!alert.is_test
+    });
+
+    await updateWellbeingAlert(alert.id, {
+      escalation_level: level,
+      next_escalation_at: nextEscalationAt(now, alert.severity, level, settings)
+    });
+
+    console.warn(`⏰ [WELLBEING] Alert ${alert.id} not acknowledged - escalated to level ${level}`);
+    result.escalated++;
+  }
+
+  return result;
+}
+
+// Acknowledge from the dashboard/API: stops escalation and handles the notification
+export async function acknowledgeWellbeingAlert(alert, userId) {
+  const now = new Date().toISOString();
+
+  await updateWellbeingAlert(alert.id, {
+    acknowledged_at: now,
+    acknowledged_by: userId,
+    next_escalation_at: null
+  });
+
+  if (alert.notification_id) {
+    await updateNotification(alert.notification_id, {
+      status: 'handled',
+      handled_at: now,
+      handled_by: userId
+    });
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+async function notifyLevel({ customer, alert, level, wording, guestName, escalated, isTestMode }) {
+  await pushWellbeingAlert(customer.id, alert.session_id, {
+    severity: alert.severity,
+    guestName,
+    summary: alert.summary,
+    alertId: alert.id,
+    escalated
+  }, wording);
+
+  const contacts = await getCareContacts(customer.id, alert.visitor_id, alert.companion_key);
+  const recipients = contacts
+    .filter(contact => (contact.escalation_level || 0) === level)
+    .filter(contact => contact.notify_on === 'all' || alert.severity === 'urgent')
+    .map(contact => contact.email)
+    .filter(Boolean);
+
+  if (!recipients.length) {
+    console.log(`🫂 [WELLBEING] No care contacts with email at level ${level}`);
+    return;
+  }
+
+  const title = wording.wellbeing?.[alert.severity]?.title || (alert.severity === 'urgent' ? '🚨 Akut' : '💛 Oro');
+
+  await sendWellbeingAlert({
+    to: recipients,
+    subject: `${escalated ? 'Ej kvitterat: ' : ''}${title} - ${customer.name}`,
+    customerName: customer.name,
+    residentName: guestName || wording.guest,
+    companionName: alert.companion_key,
+    severity: alert.severity,
+    summary: alert.summary,
+    evidence: alert.evidence,
+    sessionId: alert.session_id,
+    escalated,
+    isTestMode
+  });
+}
+
+function nextEscalationAt(from, severity, level, settings) {
+  if (level >= settings.max_escalation_level) return null;
+  const minutes = settings.escalation_minutes[severity] || DEFAULT_SETTINGS.escalation_minutes[severity];
+  return new Date(from.getTime() + minutes * 60 * 1000).toISOString();
+}
+
+function isHandled(notification) {
+  return !!notification.handled_at || notification.status === 'handled';
+}
+
+const CATEGORY_LABELS = {
+  fall: 'kan ha ramlat',
+  medical_emergency: 'beskriver akuta symtom',
+  self_harm: 'talar om att inte vilja leva',
+  call_for_help: 'ber om ambulans eller hjälp',
+  custom: 'använde en larmfras'
+};
+
+// Summary for phrase matches, which have no model-written summary
+function describeCategories(categories) {
+  const labels = categories.map(category => CATEGORY_LABELS[category]).filter(Boolean);
+  return labels.length ? `Brukaren ${labels.join(', ')}` : 'Brukaren verkar må dåligt';
+}
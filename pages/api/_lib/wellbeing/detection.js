@@ -0,0 +1,161 @@
+import { callLLM } from '../ai/llm.js';
+
+// ============================================
+// WELLBEING DETECTION (companion sessions)
+// Two tracks:
+// 1. Urgent phrases - deterministic, every message, no LLM call. Catches
+//    falls, chest pain, breathing trouble and cries for help in the
+//    languages residents actually write in, so an emergency is never
+//    waiting on a model or a quota.
+// 2. Assessment - the analysis model scores distress 0-10 over the recent
+//    turns after each reply, in any language.
+// ============================================
+const URGENT_PATTERNS = {
+  fall: [
+    /\b(har|jag) (ramlat|trillat|fallit)/, /\bkommer inte upp\b/, /\bligger på golvet\b/,
+    /\bhar (falt|datt)\b/, /\bkommer meg ikke opp\b/, /\bligger på gulvet\b/,
+    /\ber faldet\b/, /\bkan ikke komme op\b/,
+    /\bi (have |'ve )?fallen\b/, /\bi fell\b(?! asleep)/, /\bcan'?t get up\b/, /\bcannot get up\b/, /\blying on the floor\b/,
+    /\bbin (gestürzt|hingefallen)/, /\bkomme nicht (mehr )?(hoch|auf)\b/,
+    /\bkaaduin\b/, /\ben pääse ylös/
+  ],
+  medical_emergency: [
+    /\bont i bröstet\b/, /\bkan inte andas\b/, /\bfår ingen luft\b/, /\bsvårt att andas\b/, /\b(fått en|får en|having a|had a) stroke\b/,
+    /\bvondt i brystet\b/, /\bfår ikke puste\b/, /\bpuster tungt\b/,
+    /\bondt i brystet\b/, /\bkan ikke trække vejret\b/,
+    /\bchest pains?\b/, /\bcan'?t breathe\b/, /\bcannot breathe\b/, /\bheart attack\b/,
+    /\bschmerzen in der brust\b/, /\bbekomme keine luft\b/, /\bkann nicht atmen\b/, /\bherzinfarkt\b/,
+    /\brintakipu/, /\ben saa henkeä/
+  ],
+  self_harm: [
+    /\bvill inte leva\b/, /\bta livet av mig\b/, /\bvill dö(?![a-zåäö])/,
+    /\bvil ikke leve\b/, /\bta livet mitt\b/, /\bvil dø(?![a-zæøå])/,
+    /\bwant to die\b/, /\bkill myself\b/, /\bend my life\b/, /\bdon'?t want to live\b/,
+    /\bwill nicht mehr leben\b/, /\bmich umbringen\b/,
+    /\bhaluan kuolla\b/
+  ],
+  call_for_help: [
+    /\bring (en |efter en )?(ambulans|ambulance)/, /\bring 11[23]\b/, /\bring ambulanse\b/,
+    /\bcall (an |the )?ambulance\b/, /\bcall (911|999|112)\b/,
+    /\b(ruf|rufen sie) (einen )?(krankenwagen|notarzt)/,
+    /\bsoita ambulanssi/
+  ]
+};
+
+const ASSESSMENT_TURNS = 8;
+const MAX_TURN_CHARS = 400;
+
+/**
+ * Find urgent phrases in a message.
+ * @param {string} text - The resident's message
+ * @param {string[]} [extraPhrases] - Tenant phrases (settings.wellbeing.urgent_phrases), matched as substrings
+ * @returns {{categories: string[], phrases: string[]} | null}
+ */
+export function matchUrgentPhrases(text, extraPhrases = []) {
+  const normalized = String(text || '').toLowerCase().replace(/\s+/g, ' ');
+  if (!normalized.trim()) return null;
+
+  const categories = new Set();
+  const phrases = [];
+
+  for (const [category, patterns] of Object.entries(URGENT_PATTERNS)) {
+    for (const pattern of patterns) {
+      const match = normalized.match(pattern);
+      if (match) {
+        categories.add(category);
+        phrases.push(match[0].trim());
+      }
+    }
+  }
+
+  for (const phrase of extraPhrases) {
+    const needle = String(phrase || '').toLowerCase().trim();
+    if (needle && normalized.includes(needle)) {
+      categories.add('custom');
+      phrases.push(needle);
+    }
+  }
+
+  return phrases.length ? { categories: [...categories], phrases: [...new Set(phrases)] } : null;
+}
+
+// ============================================
+// LLM ASSESSMENT
+// ============================================
+const CATEGORIES = ['confusion', 'loneliness', 'sadness', 'anxiety', 'pain', 'fall', 'medical_emergency', 'self_harm', 'neglect'];
+
+const ASSESSMENT_PROMPT = `You watch over conversations between an elderly person (some with dementia) and a companion app, on behalf of their care staff.
+Read the conversation (it may be in any language) and assess how the PERSON is doing right now.
+
+Distress score 0-10:
+0-2: calm, content, ordinary small talk. Repetition and mild forgetfulness alone are normal.
+3-5: some sadness, loneliness, worry or confusion worth noting.
+6-8: clear distress - persistent loneliness or sadness, anxiety, disorientation about where they are, pain, not eating or sleeping.
+9-10: possible emergency - a fall, chest pain, trouble breathing, signs of stroke, talk of ending their life, or unable to get help.
+
+Set urgent to true only for 9-10 situations that need someone to check on the person now.
+Write the summary as one sentence for care staff, in Swedish.
+Respond ONLY with JSON (no markdown):
+{"distress_score": 0-10, "categories": [${CATEGORIES.map(c => `"${c}"`).join(', ')}], "urgent": boolean, "summary": "...", "evidence": "the person's own words that show it, or null"}`;
+
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    distress_score: { type: 'integer' },
+    categories: { type: 'array', items: { type: 'string', enum: CATEGORIES } },
+    urgent: { type: 'boolean' },
+    summary: { type: 'string' },
+    evidence: { type: 'string', nullable: true }
+  },
+  required: ['distress_score', 'categories', 'urgent', 'summary', 'evidence']
+};
+
+/**
+ * Score the resident's distress over the recent turns.
+ * @param {Array<{role: string, content: string}>} conversation - Oldest first
+ * @param {string} aiName - The companion's name, as it appears in the transcript
+ * @param {object} modelConfig - Analysis model from resolveModelConfig
+ * @param {object} [usageContext]
+ * @returns {Promise<{distressScore: number, categories: string[], urgent: boolean, summary: string, evidence: string|null} | null>}
+ */
+export async function assessWellbeing(conversation, aiName, modelConfig, usageContext) {
+  const transcript = conversation
+    .slice(-ASSESSMENT_TURNS)
+    .map(msg => `${msg.role === 'user' ? 'PERSON' : aiName}: ${String(msg.content).substring(0, MAX_TURN_CHARS)}`)
+    .join('\n');
+
+  try {
+    const { text: responseText } = await callLLM(
+      [{ role: 'user', parts: [{ text: `${ASSESSMENT_PROMPT}\n\nConversation (oldest first):\n${transcript}` }] }],
+      { temperature: 0.1, maxOutputTokens: 300, responseSchema: RESPONSE_SCHEMA },
+      modelConfig,
+      usageContext
+    );
+
+    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      console.warn('⚠️ No JSON in wellbeing assessment');
+      return null;
+    }
+
+    const raw = JSON.parse(jsonMatch[0]);
+    const score = Number(raw.distress_score);
+
+    if (!Number.isFinite(score)) {
+      console.warn('⚠️ Invalid wellbeing assessment:', responseText);
+      return null;
+    }
+
+    return {
+      distressScore: Math.min(10, Math.max(0, Math.round(score))),
+      categories: (Array.isArray(raw.categories) ? raw.categories : []).filter(c => CATEGORIES.includes(c)),
+      urgent: raw.urgent === true,
+      summary: typeof raw.summary === 'string' ? raw.summary.substring(0, 500) : '',
+      evidence: typeof raw.evidence === 'string' ? raw.evidence.substring(0, 500) : null
+    };
+
+  } catch (err) {
+    console.error('❌ Wellbeing assessment error:', err.message);
+    return null;
+  }
+}
@@ -1,5 +1,5 @@
 import { handleChat } from './_lib/engine/chatEngine.js';
-import { rateLimit, getClientIP } from './_lib/rateLimit.js';
+import { rateLimit, escalateRateLimit, getClientIP } from './_lib/rateLimit.js';
 
 // NOTE: Suspicious detection has been moved to chatEngine.js
 // using AI-powered Security Judge (Gemini Flash Lite)
@@ -24,7 +24,7 @@ export default async function handler(req, res) {
   const rateLimitResult = rateLimit(clientIP);
 
   // Set rate limit headers
-  res.setHeader('X-RateLimit-Limit', '5');
+  res.setHeader('X-RateLimit-Limit', String(rateLimitResult.limit));
   res.setHeader('X-RateLimit-Remaining', String(rateLimitResult.remaining));
 
   if (!rateLimitResult.success) {
@@ -43,6 +43,11 @@ export default async function handler(req, res) {
   }
 
   const { prompt, history, sessionId, customerId, slug, companion } = req.body || {};
+
+  // Widget-generated id that survives new sessions (used for risk scoring)
+  const visitorId = typeof req.body?.visitorId === 'string' && req.body.visitorId.trim()
+    ? req.body.visitorId.trim().substring(0, 100)
+    : null;
   
   // DEBUG: Log incoming request
   console.log('📥 Request body:', JSON.stringify({ 
@@ -66,6 +71,11 @@ export default async function handler(req, res) {
     });
   }
 
+  // ===== STREAMING MODE (opt-in via Accept: text/event-stream) =====
+  if (req.headers.accept?.includes('text/event-stream')) {
+    return handleStreamingChat(req, res, { prompt, history, sessionId, customerId, slug, companion, visitorId, isTestMode, clientIP });
+  }
+
   // ===== HANDLE CHAT =====
   // Security analysis is now done inside chatEngine.js using AI-powered Security Judge
   // No more hardcoded keywords - works on ALL languages
@@ -77,6 +87,8 @@ export default async function handler(req, res) {
       customerId,
       slug,
       companion,
+      visitorId,
+      clientIP,
       isTestMode
     });
 
@@ -90,6 +102,10 @@ export default async function handler(req, res) {
       console.warn(`🚨 [SECURITY] IP: ${clientIP}, Risk: ${result.riskLevel}/10, Session: ${result.sessionId}`);
     }
 
+    if (result.lockedOut) {
+      escalateRateLimit(clientIP, result.lockedUntil);
+    }
+
     return res.status(200).json(result);
 
   } catch (error) {
@@ -97,3 +113,73 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: 'Internal server error' });
   }
 }
+
+// ============================================
+// STREAMING CHAT (Server-Sent Events)
+// Events: "delta" ({ text }), "done" (same payload as the JSON response), "error" ({ error })
+// ============================================
+async function handleStreamingChat(req, res, chatParams) {
+  const { clientIP } = chatParams;
+  let streamOpen = false;
+  let doneSent = false;
+
+  // Headers are only sent once there is something to stream, so early
+  // errors (unknown customer etc.) can still be returned as plain JSON
+  const openStream = () => {
+    if (streamOpen) return;
+    streamOpen = true;
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders?.();
+  };
+
+  const sendEvent = (event, data) => {
+    openStream();
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await handleChat({
+      ...chatParams,
+      onDelta: (text) => sendEvent('delta', { text }),
+      onDone: (payload) => {
+        doneSent = true;
+        sendEvent('done', payload);
+      }
+    });
+
+    if (result.error) {
+      if (!streamOpen) {
+        return res.status(result.status || 500).json({ error: result.error });
+      }
+      sendEvent('error', { error: result.error });
+      return res.end();
+    }
+
+    if (result.suspicious) {
+      console.warn(`🚨 [SECURITY] IP: ${clientIP}, Risk: ${result.riskLevel}/10, Session: ${result.sessionId}`);
+    }
+
+    if (result.lockedOut) {
+      escalateRateLimit(clientIP, result.lockedUntil);
+    }
+
+    // Blocked and human-takeover replies have no deltas, only the final payload
+    if (!doneSent) {
+      sendEvent('done', result);
+    }
+
+    return res.end();
+
+  } catch (error) {
+    console.error('❌ Streaming chat handler error:', error.message);
+    if (!streamOpen) {
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+    sendEvent('error', { error: 'Internal server error' });
+    return res.end();
+  }
+}
@@ -0,0 +1,31 @@
+import { isCronRequest, authenticateRequest } from '../_lib/auth.js';
+import { extractIdleSessionMemories } from '../_lib/memory/companionMemory.js';
+
+// GET /api/cron/companion-memory
+// Run by Vercel Cron (vercel.json "crons"); superadmins can trigger it by hand
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronRequest(req)) {
+    const auth = await authenticateRequest(req);
+    if (!auth?.isSuperadmin) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  try {
+    const result = await extractIdleSessionMemories();
+
+    if (result.sessions) {
+      console.log(`🧠 Memory sweep: ${result.sessions} sessions, ${result.added} added, ${result.updated} updated`);
+    }
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Memory sweep error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,32 @@
+import { isCronRequest, authenticateRequest } from '../_lib/auth.js';
+import { escalateBreachedSessions } from '../_lib/handoff/sla.js';
+
+// GET /api/cron/handoff-sla
+// Escalates handoffs that staff have not answered within the tenant's SLA.
+// Run by Vercel Cron; superadmins can trigger it by hand
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronRequest(req)) {
+    const auth = await authenticateRequest(req);
+    if (!auth?.isSuperadmin) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  try {
+    const result = await escalateBreachedSessions();
+
+    if (result.due) {
+      console.log(`⏰ SLA: ${result.escalated}/${result.due} breached sessions escalated`);
+    }
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Handoff SLA error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
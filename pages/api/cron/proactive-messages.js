@@ -0,0 +1,33 @@
+import { isCronRequest, authenticateRequest } from '../_lib/auth.js';
+import { runDueSchedules, checkMissedReplies } from '../_lib/proactive/scheduler.js';
+
+// GET /api/cron/proactive-messages
+// Sends due companion check-ins and reminders, then alerts caregivers about
+// the ones left unanswered. Run by Vercel Cron; superadmins can trigger it by hand
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronRequest(req)) {
+    const auth = await authenticateRequest(req);
+    if (!auth?.isSuperadmin) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  try {
+    const schedules = await runDueSchedules();
+    const replies = await checkMissedReplies();
+
+    if (schedules.due || replies.checked) {
+      console.log(`💌 Proactive: ${schedules.sent}/${schedules.due} sent, ${replies.missed} unanswered`);
+    }
+
+    return res.status(200).json({ schedules, replies });
+
+  } catch (error) {
+    console.error('Proactive messages error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
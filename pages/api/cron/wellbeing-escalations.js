@@ -0,0 +1,31 @@
+import { isCronRequest, authenticateRequest } from '../_lib/auth.js';
+import { escalateWellbeingAlerts } from '../_lib/wellbeing/alerts.js';
+
+// GET /api/cron/wellbeing-escalations
+// Run by Vercel Cron (vercel.json "crons"); superadmins can trigger it by hand
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronRequest(req)) {
+    const auth = await authenticateRequest(req);
+    if (!auth?.isSuperadmin) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  try {
+    const result = await escalateWellbeingAlerts();
+
+    if (result.checked) {
+      console.log(`⏰ Wellbeing escalations: ${result.escalated} escalated, ${result.acknowledged} acknowledged of ${result.checked} due`);
+    }
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Wellbeing escalation error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
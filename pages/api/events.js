@@ -0,0 +1,136 @@
+import { authenticateRequest, canAccessCustomer } from './_lib/auth.js';
+import { getSession } from './_lib/db/supabase.js';
+import { createSessionWatcher, decodeCursor, POLL_INTERVAL_MS } from './_lib/realtime/sessionStream.js';
+
+// Both stay well inside the function time limit; clients simply reconnect
+const STREAM_SECONDS = 25;
+const MAX_WAIT_SECONDS = 20;
+const HEARTBEAT_MS = 10000;
+const RECONNECT_MS = 1000;
+
+// GET /api/events?session_id=uuid
+//     Accept: text/event-stream - Server-Sent Events until the window closes
+//     otherwise long-poll: waits up to `wait` seconds (max 20) for events
+//     { events: [{ id, type, data }], cursor }
+// Resume with Last-Event-ID (EventSource does this itself) or ?cursor=
+// Without a cursor the stream starts from now; /api/messages returns one.
+// Events: message, handoff, session, typing
+// With dashboard auth (Authorization or X-Internal-API-Key) handoff and
+// session events include assignment, routing and SLA details
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Internal-API-Key, Last-Event-ID, X-Test-Mode');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { session_id, cursor: cursorParam, wait } = req.query;
+
+  if (!session_id) {
+    return res.status(400).json({ error: 'session_id is required' });
+  }
+
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(session_id)) {
+    return res.status(400).json({ error: 'Invalid session_id format' });
+  }
+
+  const rawCursor = req.headers['last-event-id'] || cursorParam;
+  const cursor = decodeCursor(rawCursor);
+  if (rawCursor && !cursor) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  try {
+    // The widget only has the session id; dashboard credentials, when sent, must be valid
+    const hasCredentials = !!(req.headers.authorization || req.headers['x-internal-api-key']);
+    const auth = hasCredentials ? await authenticateRequest(req) : null;
+    if (hasCredentials && !auth) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const session = await getSession(session_id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (auth && !canAccessCustomer(auth, session.customer_id)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    // Watchers of the same session on this instance share one poll
+    const watcher = createSessionWatcher({ session, cursor, staff: !!auth });
+
+    try {
+      if (req.headers.accept?.includes('text/event-stream')) {
+        return await streamEvents(req, res, watcher);
+      }
+
+      const waitSeconds = Math.min(Math.max(Number(wait) || MAX_WAIT_SECONDS, 0), MAX_WAIT_SECONDS);
+      const deadline = Date.now() + waitSeconds * 1000;
+      let closed = false;
+      req.on('close', () => { closed = true; });
+
+      let events = await watcher.poll();
+      while (!events.length && !closed && Date.now() + POLL_INTERVAL_MS < deadline) {
+        await sleep(POLL_INTERVAL_MS);
+        events = await watcher.poll();
+      }
+
+      return res.status(200).json({ events, cursor: watcher.cursor() });
+    } finally {
+      watcher.close();
+    }
+
+  } catch (error) {
+    console.error('Events error:', error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+async function streamEvents(req, res, watcher) {
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  const deadline = Date.now() + STREAM_SECONDS * 1000;
+  let lastWrite = Date.now();
+
+  while (!closed && Date.now() < deadline) {
+    const events = await watcher.poll();
+
+    for (const event of events) {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+      lastWrite = Date.now();
+    }
+
+    // Keeps proxies from closing an idle stream
+    if (Date.now() - lastWrite >= HEARTBEAT_MS) {
+      res.write(': ping\n\n');
+      lastWrite = Date.now();
+    }
+
+    await sleep(POLL_INTERVAL_MS);
+  }
+
+  res.end();
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
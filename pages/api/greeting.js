@@ -1,4 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
+import { resolveLocale, localize } from './_lib/i18n/locale.js';
+import { resolveVertical } from './_lib/verticals/index.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -27,7 +29,7 @@ export default async function handler(req, res) {
 
   try {
     // Get customer
-    let customerQuery = supabase.from('customers').select('id, name, slug');
+    let customerQuery = supabase.from('customers').select('id, name, slug, settings');
     
     if (customerId) {
       customerQuery = customerQuery.eq('id', customerId);
@@ -44,7 +46,7 @@ export default async function handler(req, res) {
     // Get AI config with greeting
     const { data: aiConfig, error: aiError } = await supabase
       .from('customer_ai_config')
-      .select('ai_name, ai_role, greeting')
+      .select('ai_name, ai_role, greeting, language')
       .eq('customer_id', customer.id)
       .single();
 
@@ -52,13 +54,17 @@ export default async function handler(req, res) {
       return res.status(404).json({ error: 'AI config not found' });
     }
 
+    // No guest message yet - the tenant's default language
+    const { language, strings } = resolveLocale({ customer, aiConfig, vertical: resolveVertical(customer) });
+
     return res.status(200).json({
       customerId: customer.id,
       customerName: customer.name,
       slug: customer.slug,
       aiName: aiConfig.ai_name,
       aiRole: aiConfig.ai_role,
-      greeting: aiConfig.greeting || `Hej! Jag heter ${aiConfig.ai_name}. Hur kan jag hjälpa dig?`
+      greeting: aiConfig.greeting || localize(strings, 'greeting_named', { ai_name: aiConfig.ai_name }),
+      language
     });
 
   } catch (error) {
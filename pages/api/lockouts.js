@@ -0,0 +1,76 @@
+import { authenticateRequest } from './_lib/auth.js';
+import { listRiskLockouts, getRiskScore, liftRiskLockout } from './_lib/db/supabase.js';
+
+const SUBJECT_TYPES = ['session', 'visitor', 'ip'];
+
+// GET  /api/lockouts?customerId=uuid&subjectType=ip&active=false
+//      Active lockouts by default; active=false includes expired and lifted ones
+// POST /api/lockouts { "id": "uuid" }
+//      Lifts the lockout and every subject locked together with it
+// Superadmins only
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Internal-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!auth.isSuperadmin) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { customerId, subjectType, active } = req.query;
+
+      if (subjectType && !SUBJECT_TYPES.includes(subjectType)) {
+        return res.status(400).json({ error: `Invalid subjectType (expected one of ${SUBJECT_TYPES.join(', ')})` });
+      }
+
+      const lockouts = await listRiskLockouts({
+        customerId,
+        subjectType,
+        activeOnly: active !== 'false'
+      });
+
+      if (!lockouts) {
+        return res.status(500).json({ error: 'Failed to load lockouts' });
+      }
+
+      return res.status(200).json({ lockouts });
+    }
+
+    const { id } = req.body || {};
+    if (!id) {
+      return res.status(400).json({ error: 'id required' });
+    }
+
+    const lockout = await getRiskScore(id);
+    if (!lockout || !lockout.locked_at) {
+      return res.status(404).json({ error: 'Lockout not found' });
+    }
+
+    const lifted = await liftRiskLockout(lockout, auth.userId);
+    if (!lifted) {
+      return res.status(500).json({ error: 'Failed to lift lockout' });
+    }
+
+    console.log(`🔓 Lockout lifted for ${lifted.length} subject(s) by ${auth.email || 'internal'}`);
+    return res.status(200).json({ lifted });
+
+  } catch (error) {
+    console.error('Lockouts error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,189 @@
+import { authenticateRequest, canAccessCustomer } from './_lib/auth.js';
+import {
+  getCompanionMemories,
+  getCompanionMemory,
+  createCompanionMemories,
+  updateCompanionMemory,
+  deleteCompanionMemory,
+  deleteCompanionMemories
+} from './_lib/db/supabase.js';
+import { MEMORY_CATEGORIES } from './_lib/memory/companionMemory.js';
+
+const MAX_CONTENT_LENGTH = 300;
+
+// GET    /api/memories?customerId=uuid&visitorId=abc&companion=key
+//        What a companion (or, without companion, every companion) remembers about a resident
+// POST   /api/memories { customerId, visitorId, companion, category, content, pinned }
+// PATCH  /api/memories { id, content?, category?, pinned? }
+// DELETE /api/memories?id=uuid
+// DELETE /api/memories?customerId=uuid&visitorId=abc&companion=key
+//        Forgets everything about the resident (companion optional)
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Internal-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { customerId, visitorId, companion } = req.query;
+
+      if (!customerId || !visitorId) {
+        return res.status(400).json({ error: 'customerId and visitorId required' });
+      }
+
+      if (!canAccessCustomer(auth, customerId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const memories = await getCompanionMemories(customerId, visitorId, companion || null);
+      if (!memories) {
+        return res.status(500).json({ error: 'Failed to load memories' });
+      }
+
+      return res.status(200).json({ memories: memories.map(publicMemory) });
+    }
+
+    if (req.method === 'POST') {
+      const { customerId, visitorId, companion, category = 'other', content, pinned = false } = req.body || {};
+
+      if (!customerId || !visitorId || !companion) {
+        return res.status(400).json({ error: 'customerId, visitorId and companion required' });
+      }
+
+      if (!canAccessCustomer(auth, customerId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const error = validateMemory({ category, content });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const [memory] = await createCompanionMemories([{
+        customer_id: customerId,
+        visitor_id: visitorId,
+        companion_key: companion,
+        category,
+        content: content.trim(),
+        source: 'staff',
+        pinned: !!pinned,
+        updated_by: auth.userId
+      }]) || [];
+
+      if (!memory) {
+        return res.status(500).json({ error: 'Failed to save memory' });
+      }
+
+      return res.status(201).json({ memory: publicMemory(memory) });
+    }
+
+    if (req.method === 'PATCH') {
+      const { id, content, category, pinned } = req.body || {};
+      if (!id) {
+        return res.status(400).json({ error: 'id required' });
+      }
+
+      const memory = await getCompanionMemory(id);
+      if (!memory) {
+        return res.status(404).json({ error: 'Memory not found' });
+      }
+
+      if (!canAccessCustomer(auth, memory.customer_id)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const error = validateMemory({ category: category ?? memory.category, content: content ?? memory.content });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const updates = { source: 'staff', updated_by: auth.userId };
+      if (category !== undefined) updates.category = category;
+      if (pinned !== undefined) updates.pinned = !!pinned;
+      if (content !== undefined) {
+        // Re-embedded the next time the memory is ranked
+        updates.content = content.trim();
+        updates.embedding = null;
+        updates.embedding_model = null;
+      }
+
+      const updated = await updateCompanionMemory(id, updates);
+      if (!updated) {
+        return res.status(500).json({ error: 'Failed to update memory' });
+      }
+
+      return res.status(200).json({ memory: publicMemory(updated) });
+    }
+
+    // DELETE - one memory, or everything about a resident
+    const { id, customerId, visitorId, companion } = { ...req.query, ...(req.body || {}) };
+
+    if (id) {
+      const memory = await getCompanionMemory(id);
+      if (!memory) {
+        return res.status(404).json({ error: 'Memory not found' });
+      }
+
+      if (!canAccessCustomer(auth, memory.customer_id)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      if (!await deleteCompanionMemory(id)) {
+        return res.status(500).json({ error: 'Failed to delete memory' });
+      }
+
+      return res.status(200).json({ deleted: 1 });
+    }
+
+    if (!customerId || !visitorId) {
+      return res.status(400).json({ error: 'id, or customerId and visitorId, required' });
+    }
+
+    if (!canAccessCustomer(auth, customerId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const deleted = await deleteCompanionMemories(customerId, visitorId, companion || null);
+    if (deleted === null) {
+      return res.status(500).json({ error: 'Failed to delete memories' });
+    }
+
+    console.log(`🧠 Forgot ${deleted} memories about visitor ${visitorId} (by ${auth.email || 'internal'})`);
+    return res.status(200).json({ deleted });
+
+  } catch (error) {
+    console.error('Memories error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+function validateMemory({ category, content }) {
+  if (!MEMORY_CATEGORIES.includes(category)) {
+    return `Invalid category (expected one of ${MEMORY_CATEGORIES.join(', ')})`;
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    return 'content required';
+  }
+  if (content.length > MAX_CONTENT_LENGTH) {
+    return `content too long (max ${MAX_CONTENT_LENGTH} characters)`;
+  }
+  return null;
+}
+
+// Embeddings stay server-side
+function publicMemory({ embedding, embedding_model, ...memory }) {
+  return memory;
+}
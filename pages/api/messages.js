@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { historyCursor } from './_lib/realtime/sessionStream.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -30,12 +31,14 @@ export default async function handler(req, res) {
 
   try {
     console.log('Fetching messages for session:', session_id);
+    const fetchedAt = new Date().toISOString();
 
     const { data: messages, error } = await supabase
       .from('chat_messages')
       .select('id, role, content, sender_type, timestamp')
       .eq('session_id', session_id)
-      .order('timestamp', { ascending: true });
+      .order('timestamp', { ascending: true })
+      .order('id', { ascending: true });
 
     if (error) {
       console.error('Supabase error:', error);
@@ -46,7 +49,9 @@ export default async function handler(req, res) {
 
     return res.status(200).json({
       messages: messages || [],
-      count: messages?.length || 0
+      count: messages?.length || 0,
+      // Continue live from here with /api/events
+      cursor: historyCursor(messages || [], fetchedAt)
     });
 
   } catch (error) {
@@ -0,0 +1,60 @@
+import { authenticateRequest, canAccessCustomer } from './_lib/auth.js';
+import { listReservations } from './_lib/db/supabase.js';
+import { isValidDate } from './_lib/reservations/rules.js';
+
+const STATUSES = ['confirmed', 'rejected', 'cancelled'];
+
+// GET /api/reservations?customerId=uuid&date=YYYY-MM-DD
+// GET /api/reservations?customerId=uuid&from=YYYY-MM-DD&to=YYYY-MM-DD&status=confirmed
+// Dates are the tenant's local dates; without any, all reservations are returned
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Internal-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { customerId, date, status } = req.query;
+  const from = date || req.query.from;
+  const to = date || req.query.to;
+
+  if (!customerId) {
+    return res.status(400).json({ error: 'customerId required' });
+  }
+
+  if (!canAccessCustomer(auth, customerId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return res.status(400).json({ error: 'Invalid date (expected YYYY-MM-DD)' });
+  }
+
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status (expected one of ${STATUSES.join(', ')})` });
+  }
+
+  try {
+    const reservations = await listReservations({ customerId, from, to, status });
+    if (!reservations) {
+      return res.status(500).json({ error: 'Failed to load reservations' });
+    }
+
+    return res.status(200).json({ reservations });
+
+  } catch (error) {
+    console.error('Reservations error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,175 @@
+import { authenticateRequest, canAccessCustomer } from './_lib/auth.js';
+import {
+  getCustomerById,
+  listCompanionSchedules,
+  getCompanionSchedule,
+  createCompanionSchedule,
+  updateCompanionSchedule,
+  deleteCompanionSchedule
+} from './_lib/db/supabase.js';
+import { getProactiveSettings } from './_lib/proactive/scheduler.js';
+import { isValidSchedule, nextRunAt } from './_lib/proactive/timing.js';
+
+const KINDS = ['check_in', 'reminder', 'follow_up'];
+const EDITABLE = ['kind', 'instruction', 'times', 'days', 'run_at', 'reply_window_minutes', 'alert_on_no_reply', 'no_reply_severity', 'is_active'];
+const MAX_INSTRUCTION_LENGTH = 500;
+
+// GET    /api/schedules?customerId=uuid&visitorId=abc
+// POST   /api/schedules { customerId, visitorId, companion, kind, instruction,
+//                         times: ["08:00"], days: ["monday"] | run_at, reply_window_minutes,
+//                         alert_on_no_reply, no_reply_severity }
+// PATCH  /api/schedules { id, ...fields }
+// DELETE /api/schedules?id=uuid
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Internal-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { customerId, visitorId } = req.query;
+
+      if (!customerId) {
+        return res.status(400).json({ error: 'customerId required' });
+      }
+
+      if (!canAccessCustomer(auth, customerId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const schedules = await listCompanionSchedules({ customerId, visitorId });
+      if (!schedules) {
+        return res.status(500).json({ error: 'Failed to load schedules' });
+      }
+
+      return res.status(200).json({ schedules });
+    }
+
+    if (req.method === 'POST') {
+      const { customerId, visitorId, companion, ...fields } = req.body || {};
+
+      if (!customerId || !visitorId || !companion) {
+        return res.status(400).json({ error: 'customerId, visitorId and companion required' });
+      }
+
+      if (!canAccessCustomer(auth, customerId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const schedule = {
+        kind: 'check_in',
+        reply_window_minutes: null,
+        alert_on_no_reply: true,
+        no_reply_severity: 'concern',
+        is_active: true,
+        ...pick(fields, EDITABLE)
+      };
+
+      const error = validateSchedule(schedule);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const customer = await getCustomerById(customerId);
+      const created = await createCompanionSchedule({
+        ...schedule,
+        customer_id: customerId,
+        visitor_id: visitorId,
+        companion_key: companion,
+        next_run_at: nextRunAt(schedule, getProactiveSettings(customer || {}).timezone),
+        created_by: auth.userId
+      });
+
+      if (!created) {
+        return res.status(500).json({ error: 'Failed to create schedule' });
+      }
+
+      return res.status(201).json({ schedule: created });
+    }
+
+    const { id } = req.method === 'DELETE' ? { ...req.query, ...(req.body || {}) } : req.body || {};
+    if (!id) {
+      return res.status(400).json({ error: 'id required' });
+    }
+
+    const existing = await getCompanionSchedule(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    if (!canAccessCustomer(auth, existing.customer_id)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!await deleteCompanionSchedule(id)) {
+        return res.status(500).json({ error: 'Failed to delete schedule' });
+      }
+      return res.status(200).json({ deleted: true });
+    }
+
+    const updates = pick(req.body, EDITABLE);
+    const schedule = { ...existing, ...updates };
+
+    const error = validateSchedule(schedule);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Timing or activation changed: recompute from now
+    const customer = await getCustomerById(existing.customer_id);
+    updates.next_run_at = schedule.is_active
+      ? nextRunAt(schedule, getProactiveSettings(customer || {}).timezone)
+      : null;
+
+    const updated = await updateCompanionSchedule(id, updates);
+    if (!updated) {
+      return res.status(500).json({ error: 'Failed to update schedule' });
+    }
+
+    return res.status(200).json({ schedule: updated });
+
+  } catch (error) {
+    console.error('Schedules error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+function validateSchedule(schedule) {
+  if (!KINDS.includes(schedule.kind)) {
+    return `Invalid kind (expected one of ${KINDS.join(', ')})`;
+  }
+  if (typeof schedule.instruction !== 'string' || !schedule.instruction.trim()) {
+    return 'instruction required';
+  }
+  if (schedule.instruction.length > MAX_INSTRUCTION_LENGTH) {
+    return `instruction too long (max ${MAX_INSTRUCTION_LENGTH} characters)`;
+  }
+  if (!isValidSchedule(schedule)) {
+    return 'times (HH:MM, with optional weekday names in days) or run_at required';
+  }
+  if (schedule.reply_window_minutes != null && !(Number.isInteger(schedule.reply_window_minutes) && schedule.reply_window_minutes > 0)) {
+    return 'reply_window_minutes must be a positive integer';
+  }
+  if (!['concern', 'urgent'].includes(schedule.no_reply_severity)) {
+    return 'no_reply_severity must be concern or urgent';
+  }
+  return null;
+}
+
+function pick(source, keys) {
+  return Object.fromEntries(keys.filter(key => source?.[key] !== undefined).map(key => [key, source[key]]));
+}
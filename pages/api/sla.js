@@ -0,0 +1,64 @@
+import { authenticateRequest, canAccessCustomer } from './_lib/auth.js';
+import { startOfMonth, startOfNextMonth } from './_lib/billing/usage.js';
+import { getSlaMetrics } from './_lib/handoff/sla.js';
+
+// GET /api/sla?customerId=uuid&teamId=uuid&from=ISO&to=ISO
+// Unanswered-handoff breaches per team the session was assigned to
+// Period defaults to the current calendar month (UTC)
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Internal-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { customerId, teamId, from, to } = req.query;
+
+  if (!customerId) {
+    return res.status(400).json({ error: 'customerId required' });
+  }
+
+  if (!canAccessCustomer(auth, customerId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const fromDate = from ? new Date(from) : startOfMonth();
+  const toDate = to ? new Date(to) : startOfNextMonth();
+
+  if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate >= toDate) {
+    return res.status(400).json({ error: 'Invalid from/to' });
+  }
+
+  try {
+    const metrics = await getSlaMetrics({
+      customerId,
+      teamId,
+      from: fromDate.toISOString(),
+      to: toDate.toISOString()
+    });
+
+    if (!metrics) {
+      return res.status(500).json({ error: 'Failed to load SLA metrics' });
+    }
+
+    return res.status(200).json({
+      period: { from: fromDate.toISOString(), to: toDate.toISOString() },
+      ...metrics
+    });
+
+  } catch (error) {
+    console.error('SLA metrics error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
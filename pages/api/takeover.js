@@ -0,0 +1,105 @@
+import { authenticateRequest, canAccessCustomer } from './_lib/auth.js';
+import { getSession, listSessionEvents } from './_lib/db/supabase.js';
+import { claimSession, postStaffMessage, releaseSession } from './_lib/handoff/takeover.js';
+
+const ACTIONS = ['claim', 'message', 'release'];
+
+const ERRORS = {
+  claimed_by_other: [409, 'Session is claimed by another staff member'],
+  content_required: [400, 'content required'],
+  content_too_long: [400, 'content too long'],
+  save_failed: [500, 'Failed to save message']
+};
+
+// GET  /api/takeover?sessionId=uuid
+//      Who holds the session, plus its audit trail
+// POST /api/takeover { sessionId, action: "claim", force? }
+// POST /api/takeover { sessionId, action: "message", content }
+//      Claims the session first if nobody holds it
+// POST /api/takeover { sessionId, action: "release", note?, force? }
+//      Hands the session back to the AI
+// Internal API key callers act on behalf of { userId }
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Internal-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { sessionId } = req.method === 'GET' ? req.query : req.body || {};
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId required' });
+    }
+
+    const session = await getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!canAccessCustomer(auth, session.customer_id)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    if (req.method === 'GET') {
+      const events = await listSessionEvents(session.id);
+      if (!events) {
+        return res.status(500).json({ error: 'Failed to load session events' });
+      }
+
+      return res.status(200).json({ session: takeoverState(session), events });
+    }
+
+    const { action, content, note, force } = req.body;
+
+    if (!ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Invalid action (expected one of ${ACTIONS.join(', ')})` });
+    }
+
+    const userId = auth.userId || req.body.userId;
+    if (!userId) {
+      return res.status(400).json({ error: 'userId required for internal requests' });
+    }
+
+    const result = action === 'claim'
+      ? await claimSession(session, userId, { force: !!force })
+      : action === 'message'
+        ? await postStaffMessage(session, userId, content)
+        : await releaseSession(session, userId, { note, force: !!force });
+
+    if (result.error) {
+      const [status, message] = ERRORS[result.error] || [500, 'Takeover failed'];
+      return res.status(status).json({ error: message, code: result.error });
+    }
+
+    return res.status(200).json({ session: takeoverState(result.session) });
+
+  } catch (error) {
+    console.error('Takeover error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+function takeoverState(session) {
+  return {
+    id: session.id,
+    customer_id: session.customer_id,
+    needs_human: !!session.needs_human,
+    assigned_user_id: session.assigned_user_id || null,
+    assigned_at: session.assigned_at || null,
+    assigned_team_id: session.assigned_team_id || null,
+    routed_user_id: session.metadata?.routed_user_id || null,
+    released_at: session.metadata?.released_at || null
+  };
+}
@@ -1,13 +1,18 @@
-import { createClient } from '@supabase/supabase-js';
-
-const SUPABASE_URL = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
-
+import { authenticateRequest, canAccessCustomer } from './_lib/auth.js';
+import { getSession } from './_lib/db/supabase.js';
+import { setTyping, getTypingState, TYPING_TTL_SECONDS, HEARTBEAT_SECONDS } from './_lib/realtime/typing.js';
+
+// GET  /api/typing?session_id=uuid
+//      { visitor_typing, staff_typing } - with dashboard auth also
+//      staff: [{ user_id, expires_at }] for each staff member typing
+// POST /api/typing?session_id=uuid { typing: true|false, sender: "visitor"|"staff" }
+//      Typing expires after a few seconds unless repeated (heartbeat).
+//      Staff requests with credentials are tracked per user.
+// Live updates: /api/events
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Test-Mode');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Internal-API-Key, X-Test-Mode');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -27,19 +32,13 @@ export default async function handler(req, res) {
   // GET - Check typing status
   if (req.method === 'GET') {
     try {
-      const { data, error } = await supabase
-        .from('chat_sessions')
-        .select('visitor_typing, staff_typing')
-        .eq('id', session_id)
-        .single();
-
-      if (error) {
-        return res.status(200).json({ visitor_typing: false, staff_typing: false });
-      }
+      const { visitor_typing, staff_typing, staff } = await getTypingState(session_id);
+      const auth = await staffViewer(req, session_id);
 
       return res.status(200).json({
-        visitor_typing: data?.visitor_typing || false,
-        staff_typing: data?.staff_typing || false
+        visitor_typing,
+        staff_typing,
+        ...(auth && { staff })
       });
     } catch (error) {
       console.error('Typing GET error:', error);
@@ -49,28 +48,30 @@ export default async function handler(req, res) {
 
   // POST - Update typing status
   if (req.method === 'POST') {
-    const { typing, sender } = req.body;
+    const { typing, sender } = req.body || {};
 
     if (typeof typing !== 'boolean' || !['visitor', 'staff'].includes(sender)) {
       return res.status(400).json({ error: 'Invalid parameters' });
     }
 
     try {
-      const updateData = sender === 'visitor'
-        ? { visitor_typing: typing }
-        : { staff_typing: typing };
+      const auth = sender === 'staff' ? await staffViewer(req, session_id) : null;
 
-      const { error } = await supabase
-        .from('chat_sessions')
-        .update(updateData)
-        .eq('id', session_id);
+      const saved = await setTyping({
+        sessionId: session_id,
+        sender,
+        userId: auth?.userId || null,
+        typing
+      });
 
-      if (error) {
-        console.error('Typing update error:', error);
+      if (!saved) {
         return res.status(500).json({ error: 'Failed to update typing status' });
       }
 
-      return res.status(200).json({ success: true });
+      return res.status(200).json({
+        success: true,
+        ...(typing && { expires_in: TYPING_TTL_SECONDS, heartbeat: HEARTBEAT_SECONDS })
+      });
     } catch (error) {
       console.error('Server error:', error);
       return res.status(500).json({ error: 'Server error' });
@@ -79,3 +80,15 @@ export default async function handler(req, res) {
 
   return res.status(405).json({ error: 'Method not allowed' });
 }
+
+// Widgets send no credentials; only staff of the session's customer are
+// told who is typing or tracked per user
+async function staffViewer(req, sessionId) {
+  if (!req.headers.authorization && !req.headers['x-internal-api-key']) return null;
+
+  const auth = await authenticateRequest(req);
+  if (!auth) return null;
+
+  const session = await getSession(sessionId);
+  return session && canAccessCustomer(auth, session.customer_id) ? auth : null;
+}
@@ -0,0 +1,74 @@
+import { authenticateRequest, canAccessCustomer } from './_lib/auth.js';
+import { getCustomerById } from './_lib/db/supabase.js';
+import { getCustomerUsageReport, getAllCustomersUsageReport, startOfMonth, startOfNextMonth } from './_lib/billing/usage.js';
+
+// GET /api/usage?customerId=uuid&from=ISO&to=ISO&includeTest=true
+// Without customerId (superadmin only): every tenant ranked by cost
+// Period defaults to the current calendar month (UTC)
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Internal-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { customerId, from, to, includeTest } = req.query;
+
+  const fromDate = from ? new Date(from) : startOfMonth();
+  const toDate = to ? new Date(to) : startOfNextMonth();
+
+  if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate >= toDate) {
+    return res.status(400).json({ error: 'Invalid from/to' });
+  }
+
+  const period = {
+    from: fromDate.toISOString(),
+    to: toDate.toISOString(),
+    includeTest: includeTest === 'true'
+  };
+
+  try {
+    if (!customerId) {
+      if (!auth.isSuperadmin) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const report = await getAllCustomersUsageReport(period);
+      if (!report) {
+        return res.status(500).json({ error: 'Failed to load usage' });
+      }
+      return res.status(200).json(report);
+    }
+
+    if (!canAccessCustomer(auth, customerId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const customer = await getCustomerById(customerId);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const report = await getCustomerUsageReport(customer, period);
+    if (!report) {
+      return res.status(500).json({ error: 'Failed to load usage' });
+    }
+
+    return res.status(200).json(report);
+
+  } catch (error) {
+    console.error('Usage error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
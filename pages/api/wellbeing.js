@@ -0,0 +1,74 @@
+import { authenticateRequest, canAccessCustomer } from './_lib/auth.js';
+import { listWellbeingAlerts, getWellbeingAlert } from './_lib/db/supabase.js';
+import { acknowledgeWellbeingAlert } from './_lib/wellbeing/alerts.js';
+
+// GET  /api/wellbeing?customerId=uuid&open=true
+//      Wellbeing alerts, newest first; open=true only unacknowledged ones
+// POST /api/wellbeing { "alertId": "uuid" }
+//      Acknowledges the alert (stops escalation, handles its notification)
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Internal-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { customerId, open } = req.query;
+
+      if (!customerId) {
+        return res.status(400).json({ error: 'customerId required' });
+      }
+
+      if (!canAccessCustomer(auth, customerId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const alerts = await listWellbeingAlerts({ customerId, openOnly: open === 'true' });
+      if (!alerts) {
+        return res.status(500).json({ error: 'Failed to load wellbeing alerts' });
+      }
+
+      return res.status(200).json({ alerts });
+    }
+
+    const { alertId } = req.body || {};
+    if (!alertId) {
+      return res.status(400).json({ error: 'alertId required' });
+    }
+
+    const alert = await getWellbeingAlert(alertId);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    if (!canAccessCustomer(auth, alert.customer_id)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    if (alert.acknowledged_at) {
+      return res.status(200).json({ acknowledged: true, alreadyAcknowledged: true });
+    }
+
+    await acknowledgeWellbeingAlert(alert, auth.userId);
+    console.log(`🫂 Wellbeing alert ${alert.id} acknowledged by ${auth.email || 'internal'}`);
+
+    return res.status(200).json({ acknowledged: true });
+
+  } catch (error) {
+    console.error('Wellbeing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}